@@ -1,4 +1,22 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import multer from 'multer';
 import { orchestrateScan } from '../utils/orchestrateScan.js';
+import { getScanArtifacts } from '../utils/scanStore.js';
+import { SBOM_FORMATS, renderSbom } from '../utils/sbom.js';
+import { isGitHubAppConfigured } from '../utils/providers/githubAppAuth.js';
+import { findRepoHost, validateGitRef, validateScanPath } from '../lib/validateRepoUrl.js';
+import { CONFIG } from '../lib/config.js';
+
+const uploadArchive = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: CONFIG.MAX_UPLOAD_MB * 1024 * 1024,
+    files: 1,
+    fields: 10,
+  },
+}).single('archive');
 
 function extractClientIp(req) {
   const forwardedFor = req.headers['x-forwarded-for'];
@@ -29,16 +47,79 @@ function validateScanRequest(body) {
     return errors;
   }
 
-  const { repoUrl, scanMode } = body;
+  const { repoUrl, scanMode, ref, localPath, auth, path: scanPath, baselineRules, secretsHistory } = body;
 
-  if (!repoUrl) {
+  if (localPath !== undefined) {
+    if (typeof localPath !== 'string' || !localPath.trim()) {
+      errors.push({ field: 'localPath', message: 'localPath must be a non-empty string' });
+    }
+    if (repoUrl !== undefined) {
+      errors.push({ field: 'repoUrl', message: 'Provide either repoUrl or localPath, not both' });
+    }
+  } else if (!repoUrl) {
     errors.push({ field: 'repoUrl', message: 'repoUrl is required' });
   } else if (typeof repoUrl !== 'string') {
     errors.push({ field: 'repoUrl', message: 'repoUrl must be a string' });
-  } else if (!repoUrl.includes('github.com')) {
-    errors.push({ field: 'repoUrl', message: 'repoUrl must be a GitHub URL' });
+  } else if (!findRepoHost(repoUrl)) {
+    errors.push({
+      field: 'repoUrl',
+      message: 'repoUrl must point to a supported repository host',
+    });
+  }
+
+  if (ref !== undefined) {
+    const refValidation = validateGitRef(ref);
+    if (!refValidation.isValid) {
+      errors.push({ field: 'ref', message: refValidation.error });
+    }
+  }
+
+  validateScanPathField(scanPath, errors);
+
+  if (auth !== undefined) {
+    validateAuth(auth, errors);
+    if (localPath !== undefined) {
+      errors.push({ field: 'auth', message: 'auth is only used with repoUrl' });
+    }
+  }
+
+  validateScanMode(scanMode, errors);
+
+  if (baselineRules !== undefined && typeof baselineRules !== 'boolean') {
+    errors.push({ field: 'baselineRules', message: 'baselineRules must be a boolean' });
+  }
+
+  if (secretsHistory !== undefined && typeof secretsHistory !== 'boolean') {
+    errors.push({ field: 'secretsHistory', message: 'secretsHistory must be a boolean' });
+  }
+
+  return errors;
+}
+
+// Error messages here must never echo the credential itself
+function validateAuth(auth, errors) {
+  if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
+    errors.push({ field: 'auth', message: 'auth must be an object' });
+    return;
   }
 
+  if (auth.type === 'token') {
+    const { token } = auth;
+    if (typeof token !== 'string' || !token.trim() || token.length > 1024 || /\s/.test(token.trim())) {
+      errors.push({ field: 'auth.token', message: 'auth.token must be a non-empty token string' });
+    }
+  } else if (auth.type === 'github_app') {
+    if (!isGitHubAppConfigured()) {
+      errors.push({ field: 'auth.type', message: 'GitHub App authentication is not configured on this server' });
+    } else if (CONFIG.GITHUB_APP.allowedRepos.length === 0 || !CONFIG.GITHUB_APP.callerKey) {
+      errors.push({ field: 'auth.type', message: 'GitHub App authentication is not enabled on this server' });
+    }
+  } else {
+    errors.push({ field: 'auth.type', message: "auth.type must be 'token' or 'github_app'" });
+  }
+}
+
+function validateScanMode(scanMode, errors) {
   if (scanMode !== undefined) {
     if (scanMode !== 'fast' && scanMode !== 'full') {
       errors.push({
@@ -47,8 +128,59 @@ function validateScanRequest(body) {
       });
     }
   }
+}
 
-  return errors;
+function validateScanPathField(scanPath, errors) {
+  if (scanPath !== undefined) {
+    const pathValidation = validateScanPath(scanPath);
+    if (!pathValidation.isValid) {
+      errors.push({ field: 'path', message: pathValidation.error });
+    }
+  }
+}
+
+// Hashed first so the comparison is constant-time whatever the header's length
+function isGitHubAppCaller(req) {
+  const key = req.get('x-scan-key');
+  if (typeof key !== 'string' || !key || !CONFIG.GITHUB_APP.callerKey) {
+    return false;
+  }
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(key), digest(CONFIG.GITHUB_APP.callerKey));
+}
+
+function sendUnauthorized(res, message) {
+  res.status(401).json({
+    status: 'error',
+    error: {
+      code: 'UNAUTHORIZED',
+      message,
+    },
+    rateLimit: null,
+  });
+}
+
+function sendValidationError(res, details) {
+  res.status(400).json({
+    status: 'error',
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid request',
+      details,
+    },
+    rateLimit: null,
+  });
+}
+
+function sendInternalError(res) {
+  res.status(500).json({
+    status: 'error',
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred',
+    },
+    rateLimit: null,
+  });
 }
 
 function getHttpStatus(result) {
@@ -60,9 +192,14 @@ function getHttpStatus(result) {
   switch (errorCode) {
     case 'RATE_LIMIT_EXCEEDED':
       return 429;
-    case 'INVALID_GITHUB_URL':
+    case 'INVALID_REPO_URL':
+    case 'INVALID_ARCHIVE':
       return 400;
+    case 'LOCAL_SCAN_DISABLED':
+    case 'LOCAL_PATH_NOT_ALLOWED':
+      return 403;
     case 'REPO_NOT_FOUND':
+    case 'LOCAL_PATH_NOT_FOUND':
       return 404;
     case 'CLONE_TIMEOUT':
       return 504;
@@ -75,24 +212,39 @@ export async function handleScanRequest(req, res) {
   try {
     const validationErrors = validateScanRequest(req.body);
     if (validationErrors.length > 0) {
-      res.status(400).json({
-        status: 'error',
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Invalid request',
-          details: validationErrors,
-        },
-        rateLimit: null,
-      });
+      sendValidationError(res, validationErrors);
+      return;
+    }
+    // The app can read private repos, so only known callers may have it scan one
+    if (req.body.auth?.type === 'github_app' && !isGitHubAppCaller(req)) {
+      sendUnauthorized(res, 'GitHub App scans require a valid X-Scan-Key header');
       return;
     }
 
-    const { repoUrl, scanMode = 'fast' } = req.body;
+    const {
+      repoUrl,
+      ref,
+      localPath,
+      auth,
+      path: scanPath,
+      scanMode = 'fast',
+      baselineRules = false,
+      secretsHistory = false,
+    } = req.body;
     const clientIp = extractClientIp(req);
 
     const result = await orchestrateScan({
       repoUrl,
+      ref: ref?.trim(),
+      auth: auth && {
+        type: auth.type,
+        token: auth.type === 'token' ? auth.token.trim() : undefined,
+      },
+      localPath: localPath?.trim(),
+      subPath: scanPath !== undefined ? validateScanPath(scanPath).path : undefined,
       scanMode,
+      baselineRules,
+      secretsHistory,
       clientIp,
     });
 
@@ -100,14 +252,135 @@ export async function handleScanRequest(req, res) {
     res.status(httpStatus).json(result);
   } catch (error) {
     console.error('Unexpected error in handleScanRequest:', error);
-    res.status(500).json({
-      status: 'error',
-      error: {
-        code: 'INTERNAL_ERROR',
-        message: 'An unexpected error occurred',
-      },
-      rateLimit: null,
-    });
+    sendInternalError(res);
+  }
+}
+
+// POST /api/scan/upload - multipart form with an `archive` file (.zip or .tar.gz)
+export function handleUploadScanRequest(req, res) {
+  uploadArchive(req, res, async (uploadError) => {
+    const uploadedPath = req.file?.path;
+
+    try {
+      if (uploadError) {
+        if (uploadError.code === 'LIMIT_FILE_SIZE') {
+          res.status(413).json({
+            status: 'error',
+            error: {
+              code: 'UPLOAD_TOO_LARGE',
+              message: `Archive exceeds the ${CONFIG.MAX_UPLOAD_MB}MB upload limit`,
+            },
+            rateLimit: null,
+          });
+          return;
+        }
+        sendValidationError(res, [{ field: 'archive', message: uploadError.message }]);
+        return;
+      }
+
+      const errors = [];
+      if (!req.file) {
+        errors.push({ field: 'archive', message: 'archive file is required' });
+      }
+      const { scanMode = 'fast', path: scanPath, baselineRules = 'false' } = req.body || {};
+      validateScanMode(scanMode, errors);
+      validateScanPathField(scanPath, errors);
+      // Multipart fields arrive as strings
+      if (baselineRules !== 'true' && baselineRules !== 'false') {
+        errors.push({ field: 'baselineRules', message: "baselineRules must be 'true' or 'false'" });
+      }
+      if (errors.length > 0) {
+        sendValidationError(res, errors);
+        return;
+      }
+
+      const result = await orchestrateScan({
+        upload: { path: uploadedPath, originalName: req.file.originalname },
+        subPath: scanPath !== undefined ? validateScanPath(scanPath).path : undefined,
+        scanMode,
+        baselineRules: baselineRules === 'true',
+        clientIp: extractClientIp(req),
+      });
+
+      res.status(getHttpStatus(result)).json(result);
+    } catch (error) {
+      console.error('Unexpected error in handleUploadScanRequest:', error);
+      sendInternalError(res);
+    } finally {
+      if (uploadedPath) {
+        fs.rm(uploadedPath, { force: true }, () => {});
+      }
+    }
+  });
+}
+
+// GET /api/scan/:scanId/patch - unified diff of the auto-fixes found by a completed scan
+export function handleScanPatchRequest(req, res) {
+  try {
+    const scan = getScanArtifacts(req.params.scanId, extractClientIp(req));
+    if (!scan?.patch) {
+      res.status(404).json({
+        status: 'error',
+        error: {
+          code: 'PATCH_NOT_FOUND',
+          message: `No patch for this scan. Patches are kept for ${CONFIG.SCAN_STORE.ttlMinutes} minutes and only for scans with fixable findings.`,
+        },
+        rateLimit: null,
+      });
+      return;
+    }
+
+    res
+      .status(200)
+      .type('text/x-diff')
+      .set('Content-Disposition', `attachment; filename="lumen-${req.params.scanId}.patch"`)
+      .send(scan.patch);
+  } catch (error) {
+    console.error('Unexpected error in handleScanPatchRequest:', error);
+    sendInternalError(res);
+  }
+}
+
+// GET /api/scan/:scanId/sbom?format=cyclonedx|spdx - CycloneDX 1.5 (default) or SPDX 2.3 JSON
+// for the scanned commit, with the dependency panel's vulnerabilities as VEX entries
+export function handleScanSbomRequest(req, res) {
+  try {
+    const format = req.query.format || 'cyclonedx';
+    // Own keys only: "toString" or "__proto__" would otherwise pass
+    if (typeof format !== 'string' || !Object.hasOwn(SBOM_FORMATS, format)) {
+      res.status(400).json({
+        status: 'error',
+        error: {
+          code: 'INVALID_SBOM_FORMAT',
+          message: `Unknown SBOM format "${format}". Use one of: ${Object.keys(SBOM_FORMATS).join(', ')}.`,
+        },
+        rateLimit: null,
+      });
+      return;
+    }
+
+    const scan = getScanArtifacts(req.params.scanId, extractClientIp(req));
+    if (!scan?.sbom) {
+      res.status(404).json({
+        status: 'error',
+        error: {
+          code: 'SBOM_NOT_FOUND',
+          message: `No SBOM for this scan. SBOMs are kept for ${CONFIG.SCAN_STORE.ttlMinutes} minutes and only for scans with a lockfile.`,
+        },
+        rateLimit: null,
+      });
+      return;
+    }
+
+    const { contentType, extension } = SBOM_FORMATS[format];
+    res
+      .status(200)
+      .type(contentType)
+      .set('Content-Disposition', `attachment; filename="lumen-${req.params.scanId}.${extension}"`)
+      .send(JSON.stringify(renderSbom(scan.sbom, format), null, 2));
+  } catch (error) {
+    console.error('Unexpected error in handleScanSbomRequest:', error);
+    sendInternalError(res);
   }
 }
 
@@ -7,6 +7,24 @@ export const ENDPOINTS = {
   scan: `${API_BASE_URL}/api/scan`,
 };
 
+function parseRepoHosts(value) {
+  if (!value) return [];
+  try {
+    const hosts = JSON.parse(value);
+    return Array.isArray(hosts)
+      ? hosts.filter((h) => h && typeof h.host === 'string' && typeof h.provider === 'string')
+      : [];
+  } catch {
+    console.warn('[Config] REPO_HOSTS is not valid JSON - ignoring');
+    return [];
+  }
+}
+
+function parseList(value) {
+  if (!value) return null;
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
 export const CONFIG = {
   API_BASE_URL,
   API_SCAN_ENDPOINT: ENDPOINTS.scan,
@@ -22,16 +40,119 @@ export const CONFIG = {
   CLAUDE_TEMPERATURE: 0.7,
 
   // ============================================
-  // GITHUB CONFIGURATION
+  // REPOSITORY HOSTS
   // ============================================
-  GITHUB_URL_PATTERN: /^https:\/\/github\.com\/[a-zA-Z0-9_-]+\/[a-zA-Z0-9_.-]+\/?$/,
+  // Each host maps to a provider implementation in utils/providers/.
+  // Self-hosted GitLab/Gitea/GitHub Enterprise instances are added through the
+  // REPO_HOSTS env var as a JSON array of the same shape, e.g.
+  // [{"host":"git.example.com","provider":"gitea","apiBaseUrl":"https://git.example.com/api/v1","tokenEnv":"GITEA_TOKEN"}]
+  REPO_HOSTS: [
+    { host: 'github.com', provider: 'github', apiBaseUrl: 'https://api.github.com', rawBaseUrl: 'https://raw.githubusercontent.com', tokenEnv: 'GITHUB_TOKEN' },
+    { host: 'gitlab.com', provider: 'gitlab', apiBaseUrl: 'https://gitlab.com/api/v4', tokenEnv: 'GITLAB_TOKEN' },
+    ...parseRepoHosts(process.env.REPO_HOSTS),
+  ],
+  // GitHub App used for `auth: { type: 'github_app' }` scans of private repos.
+  // The private key may be given with literal \n escapes (single-line env var).
+  // Scan requests are otherwise unauthenticated, so a github_app scan must send
+  // callerKey in the X-Scan-Key header, and the app only mints tokens for the
+  // owners ("acme") and repositories ("acme/api") in allowedRepos. Without both
+  // (the default) github_app scans are disabled.
+  GITHUB_APP: {
+    appId: process.env.GITHUB_APP_ID,
+    privateKey: (process.env.GITHUB_APP_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+    allowedRepos: (parseList(process.env.GITHUB_APP_ALLOWED_REPOS) || []).map((entry) => entry.toLowerCase()),
+    callerKey: process.env.GITHUB_APP_CALLER_KEY,
+  },
+  // Branch, tag or commit SHA accepted in the `ref` request field
+  GIT_REF_PATTERN: /^(?!\/)(?!.*\.\.)(?!.*\/\/)[^\s~^:?*\[\\]{1,255}(?<!\/)$/,
 
   // ============================================
   // REPOSITORY LIMITS
   // ============================================
   MAX_REPO_SIZE_MB_FOR_FULL_SCAN: 100,
   MAX_FILE_SIZE_MB: 1,
-  ALLOWED_FILE_TYPES: ['.js', '.jsx', '.ts', '.tsx', '.json'],
+  // Files each analyzer reads. Fetchers download the union of these lists (plus
+  // MANIFEST_FILES). An entry starting with "." is an extension or a file name
+  // (".yaml", ".npmrc"); anything else is a file name ("Dockerfile"). A trailing
+  // "*" matches names starting with the rest (".env*" covers .env.local).
+  ANALYZER_FILE_TYPES: {
+    eslint: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.eslintrc.json', '.eslintrc.yaml', '.eslintrc.yml', '.eslintrc'],
+    complexity: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'],
+    a11y: ['.jsx', '.tsx', '.html', '.htm'],
+    secrets: [
+      '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.json',
+      // Config and environment files
+      '.env*', '.env', '.yml', '.yaml', '.toml', '.ini', '.cfg', '.conf', '.properties', '.xml',
+      // Credential stores and keys
+      '.npmrc', '.yarnrc', '.pypirc', '.netrc', '.git-credentials', '.htpasswd', 'credentials',
+      '.pem', '.key', 'id_rsa', 'id_dsa', 'id_ecdsa', 'id_ed25519',
+      // Build, deploy and infrastructure
+      'Dockerfile', 'Dockerfile.*', '.dockerfile', '.tf', '.tfvars', '.sh', '.bash', '.zsh', '.ps1',
+    ],
+  },
+  // Dependency manifests and lockfiles are always fetched (any directory, not
+  // counted against maxFiles) so dependency audits see the whole workspace
+  MANIFEST_FILES: [
+    'package.json',
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'pnpm-workspace.yaml',
+  ],
+  // Lockfiles routinely exceed MAX_FILE_SIZE_MB
+  MAX_MANIFEST_FILE_SIZE_MB: 20,
+  // Upper bound on per-workspace npm audit runs in one scan
+  MAX_WORKSPACE_AUDITS: 20,
+  // Dependency vulnerabilities come from `npm audit` (needs the registry, npm
+  // lockfiles only) or from matching package-lock.json / yarn.lock / pnpm-lock.yaml
+  // against a local OSV advisory database, refreshed with
+  // `npm run advisories:import -- <file>`. 'auto' uses the database once one exists.
+  DEPENDENCY_AUDIT: {
+    mode: process.env.DEPENDENCY_AUDIT_MODE || 'auto',
+    // Relative paths resolve against the server root
+    advisoryDbPath: process.env.ADVISORY_DB_PATH || 'data/advisory-db.json',
+  },
+  // Licenses panel: each dependency's SPDX license expression (from
+  // package-lock.json v2+, which copies it from the package) is checked against
+  // these lists. Entries are SPDX ids; a trailing * matches a family ("GPL-*").
+  // LICENSE_ALLOW / LICENSE_DENY replace a list with a comma-separated one.
+  LICENSE_POLICY: {
+    allow: parseList(process.env.LICENSE_ALLOW) || [
+      'MIT',
+      'ISC',
+      'BSD-2-Clause',
+      'BSD-3-Clause',
+      '0BSD',
+      'Apache-2.0',
+      'Zlib',
+      'CC0-1.0',
+      'CC-BY-3.0',
+      'CC-BY-4.0',
+      'Unlicense',
+      'BlueOak-1.0.0',
+      'Python-2.0',
+    ],
+    deny: parseList(process.env.LICENSE_DENY) || [
+      'GPL-*',
+      'AGPL-*',
+      'SSPL-*',
+      'EUPL-*',
+      'OSL-*',
+      'CC-BY-NC-*',
+    ],
+  },
+  // Supply-chain signals in the dependencies panel. Publish dates (and install
+  // scripts and licenses for lockfiles that don't record them) come from a local
+  // snapshot of registry metadata, trimmed packuments keyed by name:
+  // { "generatedAt": "...", "packages": { "<name>": { "time": { "<version>": "<ISO date>" },
+  //   "versions": { "<version>": { "scripts": { ... }, "license": "MIT" } } } } }
+  // Without a snapshot, recently published versions aren't checked.
+  SUPPLY_CHAIN: {
+    // Relative paths resolve against the server root
+    metadataSnapshotPath: process.env.PACKAGE_METADATA_PATH || 'data/package-metadata.json',
+    recentPublishDays: 14,
+  },
   FILES_TO_IGNORE: [
     'node_modules/',
     'dist/',
@@ -45,6 +166,124 @@ export const CONFIG = {
     'target/'
   ],
 
+  // ============================================
+  // DOWNLOAD STRATEGY
+  // ============================================
+  // 'archive': one tarball request per scan, extracted as a stream
+  // 'files': one request per file (also the fallback if the archive fails)
+  DOWNLOAD_STRATEGY: process.env.DOWNLOAD_STRATEGY || 'archive',
+  DOWNLOAD_BATCH_SIZE: 10,
+  // When a recursive tree listing comes back truncated, subtrees are listed one
+  // request at a time; these cap how hard that walk hits the host API
+  TREE_WALK: {
+    concurrency: 5,
+    maxRequests: 1000,
+  },
+  ARCHIVE: {
+    timeoutMs: 60000,
+    maxDownloadMb: 200,
+    // Guards against decompression bombs; counts every inflated byte
+    maxExtractedMb: 1024,
+    maxEntries: 200000,
+  },
+  // On-disk file cache shared across scans, keyed by git blob SHA. Content is
+  // verified against the SHA before it is stored, so one repo can't poison another.
+  BLOB_CACHE: {
+    enabled: process.env.BLOB_CACHE_DISABLED !== 'true',
+    dir: process.env.BLOB_CACHE_DIR || '/tmp/lumen-blob-cache',
+    maxSizeMb: Number(process.env.BLOB_CACHE_MAX_MB) || 500,
+    // Below this many uncached files, per-file requests beat downloading the whole archive
+    minMissesForArchive: 25,
+  },
+
+  // ============================================
+  // UPLOAD & LOCAL SOURCES
+  // ============================================
+  // POST /api/scan/upload accepts a .zip or .tar.gz in the `archive` field
+  MAX_UPLOAD_MB: 50,
+  // Directories the server may scan via the `localPath` request field.
+  // Empty (the default) disables local scanning entirely.
+  LOCAL_SCAN_ROOTS: (process.env.LOCAL_SCAN_ROOTS || '')
+    .split(',')
+    .map((root) => root.trim())
+    .filter(Boolean),
+
+  // ============================================
+  // ANALYZER EXECUTION
+  // ============================================
+  // Analyzers run in worker threads or child processes so scans never block
+  // the event loop. The limit is shared by every scan running on the server.
+  ANALYZERS: {
+    concurrency: Number(process.env.ANALYZER_CONCURRENCY) || 4,
+    // Workers get their timeout to return partial results, then this long before they are killed
+    killGraceMs: 2000,
+    maxOutputMb: 10,
+  },
+
+  // Analyzers that spawn processes (ESLint, npm audit) run with a stripped
+  // environment, resource limits and, for ESLint, no network. Repo ESLint configs
+  // are only honored when they are static JSON that can't load repo code.
+  // Curated config (lib/eslintBaseline.json) used when a repo has no usable
+  // ESLint config or the request sets `baselineRules`. Bump the version when
+  // the rules change so findings can be compared across scans.
+  ESLINT_BASELINE: {
+    name: 'lumen-baseline',
+    version: '1.0.0',
+  },
+  SANDBOX: {
+    honorStaticRepoEslintConfig: process.env.ESLINT_HONOR_REPO_CONFIG !== 'false',
+    envAllowList: ['PATH', 'LANG', 'LC_ALL', 'TZ'],
+    maxMemoryMb: 1024,
+    cpuSeconds: 60,
+    maxFileWriteMb: 50,
+    npmRegistry: 'https://registry.npmjs.org/',
+  },
+
+  // Maintainability panel: functions, files and callback chains past these
+  // limits become findings; duplicated blocks are at least duplicateMinLines
+  // lines of code long (blank lines, comments and lone braces don't count)
+  COMPLEXITY: {
+    cyclomaticThreshold: 10,
+    cognitiveThreshold: 15,
+    maxFileLines: 400,
+    maxCallbackDepth: 3,
+    duplicateMinLines: 6,
+  },
+  // Secrets panel detectors come from lib/secretRules.json. Extra rule files
+  // (same format, comma-separated in SECRET_RULES_PATHS) are applied on top in
+  // order: new ids add detectors, existing ids replace them, "disabled": true drops them.
+  // A pattern can wrap the credential itself in a (?<secret>...) group so only
+  // that part is redacted and fingerprinted; otherwise the whole match is.
+  SECRET_RULES: {
+    // Relative paths resolve against the server root
+    extraRulesPaths: parseList(process.env.SECRET_RULES_PATHS) || [],
+  },
+  // Secrets panel: string literals scored by Shannon entropy (bits per character)
+  // on lines no detector matched. Random base64 tops out near 6 bits and hex at 4;
+  // a name like "secret" or "password" just before the literal lowers the bar.
+  SECRETS_ENTROPY: {
+    base64: { minLength: 20, threshold: 4.5, keywordMinLength: 12, keywordThreshold: 3.5 },
+    hex: { minLength: 32, threshold: 3.5, keywordMinLength: 16, keywordThreshold: 3.0 },
+  },
+  // Secret values never leave a scan: findings carry a preview with up to
+  // previewChars from each end, the length and a truncated HMAC-SHA256 keyed
+  // with fingerprintKey instead. Without a key each server process makes up its
+  // own, so fingerprints only match within one run.
+  REDACTION: {
+    previewChars: 4,
+    fingerprintLength: 16,
+    fingerprintKey: process.env.REDACTION_FINGERPRINT_KEY,
+  },
+  // Opt-in (`secretsHistory` on POST /api/scan): the secrets detectors also run
+  // on lines added by the last maxCommits commits, so keys deleted from HEAD
+  // still show up. Hosted repos are fetched with git to that depth; local
+  // paths use their own repository.
+  SECRETS_HISTORY: {
+    maxCommits: Number(process.env.SECRETS_HISTORY_MAX_COMMITS) || 200,
+    fetchTimeoutMs: 60000,
+    scanTimeoutMs: 45000,
+  },
+
   // ============================================
   // SCAN MODES
   // ============================================
@@ -58,6 +297,10 @@ export const CONFIG = {
     npmAuditTimeoutMs: 15000,
     secretsScanTimeoutMs: 10000,
     a11yTimeoutMs: 20000,
+    complexityTimeoutMs: 20000,
+    licenseTimeoutMs: 10000,
+    sbomTimeoutMs: 10000,
+    supplyChainTimeoutMs: 10000,
     // CHANGED: 20000 → 45000ms
     // Why: Haiku is 3-5x faster (typically 2-5 sec), so 45 sec = 9x safety margin
     // This prevents any edge-case timeouts while maintaining speed
@@ -75,10 +318,24 @@ export const CONFIG = {
     npmAuditTimeoutMs: 30000,
     secretsScanTimeoutMs: 30000,
     a11yTimeoutMs: 45000,
+    complexityTimeoutMs: 45000,
+    licenseTimeoutMs: 20000,
+    sbomTimeoutMs: 20000,
+    supplyChainTimeoutMs: 20000,
     // CHANGED: 20000 → 45000ms (same reasoning as FAST_SCAN)
     claudeTranslationTimeoutMs: 45000,
   },
 
+  // ============================================
+  // SCAN STORE
+  // ============================================
+  // Completed scans keep their auto-fix patch and SBOM inventory in memory for
+  // GET /api/scan/:scanId/patch and /sbom; the files themselves are deleted after the scan
+  SCAN_STORE: {
+    ttlMinutes: 60,
+    maxEntries: 500,
+  },
+
   // ============================================
   // RATE LIMITING
   // ============================================
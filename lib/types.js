@@ -4,8 +4,8 @@
 /**
  * @typedef {'low' | 'medium' | 'high' | 'critical'} Severity
  * @typedef {'fyi' | 'note' | 'explore' | 'important'} Importance
- * @typedef {'code_quality' | 'dependencies' | 'secrets' | 'accessibility'} PanelType
- * @typedef {'eslint' | 'npm_audit' | 'secrets_regex' | 'a11y_analyzer'} ToolType
+ * @typedef {'code_quality' | 'dependencies' | 'secrets' | 'accessibility' | 'maintainability' | 'licenses'} PanelType
+ * @typedef {'eslint' | 'npm_audit' | 'secrets_regex' | 'secrets_entropy' | 'secrets_history' | 'a11y_analyzer' | 'complexity_analyzer' | 'lockfile_audit' | 'license_checker' | 'supply_chain'} ToolType
  */
 
 /**
@@ -31,6 +31,133 @@
  * @property {Importance} importance
  * @property {string} reflection
  * @property {string} [staticAnalysisNote]
+ * @property {string} [file]
+ * @property {number} [line]
+ * @property {number} [column]
+ * @property {{name: string, path: string}} [workspace] - Workspace package a dependency finding came from
+ * @property {DependencyDetails} [dependency] - How a vulnerable package got into the project
+ * @property {'install_script' | 'git_dependency' | 'tarball_dependency' | 'typosquat' | 'recent_publish'} [signal] - Supply-chain findings only
+ * @property {'pattern' | 'entropy'} [detectedBy] - Secrets findings: a known credential format, or a random-looking value
+ * @property {RedactedSecret} [secret] - Secrets findings: the flagged value, masked
+ * @property {SecretHistory} [history] - Secrets history findings: the commit that added the secret
+ * @property {boolean} autoFixAvailable - Whether the scan's patch (GET /api/scan/:scanId/patch) fixes this finding
+ */
+
+/**
+ * A secret value as it appears outside the scanner. The fingerprint is stable
+ * across scans on the same deployment (see CONFIG.REDACTION), so the same key
+ * can be recognized without being shown.
+ * @typedef {Object} RedactedSecret
+ * @property {string} preview - A few characters from each end, e.g. "ghp_…x9Qz"
+ * @property {number} length
+ * @property {string} fingerprint - "hmac-sha256:" and the first CONFIG.REDACTION.fingerprintLength hex digits
+ */
+
+/**
+ * Where a secret found in git history (tool "secrets_history") came from.
+ * file/line of the finding point into that commit, not HEAD.
+ * @typedef {Object} SecretHistory
+ * @property {string} commit - Full SHA of the commit that added the line
+ * @property {string} authorDate - ISO 8601
+ * @property {boolean | null} presentAtHead - Still somewhere in the tree at the scanned commit; null if that couldn't be checked
+ */
+
+/**
+ * Where a vulnerable package sits in the dependency tree, from the lockfile.
+ * file/line of a dependency finding point at `declaredIn`.
+ * @typedef {Object} DependencyDetails
+ * @property {string[]} chain - name@version from the top-level dependency down to the vulnerable package
+ * @property {boolean} isDirect - Declared in package.json itself
+ * @property {'prod' | 'dev'} type - 'dev' when only reachable through devDependencies
+ * @property {string} topLevel - The package.json dependency that pulls it in
+ * @property {{file: string, line: number, field: string}} declaredIn - Where topLevel is declared
+ * @property {string | null} firstPatchedVersion - Lowest version without the vulnerability, if known
+ * @property {'direct' | 'override' | null} fixType - Bump in package.json, or update its parents / override; null without a patched version
+ * @property {string} overrideField - package.json field for overrides: overrides, resolutions or pnpm.overrides
+ */
+
+/**
+ * A file or config ESLint could not analyze, shown in the code quality
+ * panel's `couldNotAnalyze` list rather than as a finding.
+ * @typedef {Object} AnalysisProblem
+ * @property {'parse_error' | 'fatal_error' | 'config_error'} kind
+ * @property {string} message
+ * @property {string} [file]
+ * @property {number} [line]
+ * @property {number} [column]
+ */
+
+/**
+ * Repo-level numbers for the maintainability panel, computed over every
+ * analyzed file rather than just the findings that made the cap.
+ * @typedef {Object} MaintainabilityMetrics
+ * @property {number} filesAnalyzed
+ * @property {number} filesFailed - Files the parser couldn't read
+ * @property {number} linesOfCode - Non-blank lines
+ * @property {number} functionsAnalyzed
+ * @property {{average: number, max: number, functionsOverThreshold: number}} cyclomaticComplexity
+ * @property {{average: number, max: number, functionsOverThreshold: number}} cognitiveComplexity
+ * @property {number} longFiles
+ * @property {number} deeplyNestedCallbacks
+ * @property {{blocks: number, duplicatedLines: number, percent: number}} duplication
+ * @property {{name: string, file: string, line: number, cyclomatic: number, cognitive: number}[]} mostComplexFunctions
+ * @property {Object} thresholds
+ */
+
+/**
+ * Licenses panel totals over every checked package, not just the findings.
+ * @typedef {Object} LicenseSummary
+ * @property {number} packagesChecked
+ * @property {number} packagesWithoutLicenseData - In lockfiles that don't record licenses (yarn, pnpm,
+ *   npm v1) and missing from the package metadata snapshot; counted as unknown
+ * @property {number} allowed
+ * @property {number} denied
+ * @property {number} notAllowed - Neither allowed nor denied: needs review
+ * @property {number} unknown - Missing, proprietary or unparseable license, or no license data
+ * @property {{license: string, count: number}[]} licenses - Most common license expressions
+ * @property {{allow: string[], deny: string[]}} policy
+ * @property {{path: string, manager: string, lockfileVersion: string, packageCount: number, recordsLicenses: boolean, licenseSource: 'lockfile' | 'metadata_snapshot' | null}[]} lockfiles
+ */
+
+/**
+ * Supply-chain signal counts for the dependencies panel.
+ * @typedef {Object} SupplyChainSummary
+ * @property {number} packagesChecked
+ * @property {number} installScripts - Packages with preinstall, install or postinstall scripts
+ * @property {number} gitDependencies
+ * @property {number} tarballDependencies - Installed from a URL outside the registry
+ * @property {number} typosquatCandidates - Names close to a popular package's
+ * @property {number} recentlyPublished - Versions newer than CONFIG.SUPPLY_CHAIN.recentPublishDays
+ * @property {{generatedAt: string | null, packageCount: number} | null} metadataSnapshot - Null without a snapshot (publish dates unchecked)
+ * @property {{path: string, manager: string, lockfileVersion: string}[]} lockfiles
+ */
+
+/**
+ * @typedef {Object} RepoLocation
+ * @property {string} host
+ * @property {string} owner - Owner, or GitLab namespace path
+ * @property {string} repo
+ * @property {string} [projectPath] - Full GitLab project path
+ */
+
+/**
+ * @typedef {Object} RepoTreeEntry
+ * @property {string} path
+ * @property {string} sha - Blob SHA
+ * @property {number} [size] - Bytes, when the host reports it
+ */
+
+/**
+ * @typedef {Object} RepoProvider
+ * @property {'github' | 'gitlab' | 'gitea'} name
+ * @property {string} host
+ * @property {(segments: string[]) => Object} parseUrl
+ * @property {(location: RepoLocation) => Promise<{success: boolean, error?: string}>} [prepareAuth]
+ * @property {() => Object} getHeaders
+ * @property {(location: RepoLocation, ref: string) => Promise<{success: boolean, sha?: string, error?: string}>} resolveRef
+ * @property {(location: RepoLocation, sha: string) => Promise<{success: boolean, entries?: RepoTreeEntry[], complete?: boolean, error?: string}>} listTree
+ * @property {(location: RepoLocation, sha: string, filePath: string) => Promise<{success: boolean, content?: string, error?: string}>} downloadFile
+ * @property {(location: RepoLocation, sha: string) => {url: string, headers: Object, stripComponents: number}} getArchiveRequest
  */
 
 export {};
@@ -0,0 +1,88 @@
+import { CONFIG } from './config.js';
+
+export function validateGitRef(ref) {
+  if (typeof ref !== 'string' || !ref.trim()) {
+    return { isValid: false, error: 'ref must be a non-empty string' };
+  }
+
+  const trimmed = ref.trim();
+  if (!CONFIG.GIT_REF_PATTERN.test(trimmed) || trimmed.endsWith('.lock')) {
+    return { isValid: false, error: `Invalid git ref: ${trimmed}` };
+  }
+
+  return { isValid: true, ref: trimmed };
+}
+
+// Normalizes the optional `path` request field to a repo-relative directory
+export function validateScanPath(scanPath) {
+  if (typeof scanPath !== 'string') {
+    return { isValid: false, error: 'path must be a string' };
+  }
+
+  const segments = scanPath.trim().replace(/\\/g, '/').split('/').filter((s) => s && s !== '.');
+  if (scanPath.trim().startsWith('/') || segments.some((s) => s === '..')) {
+    return { isValid: false, error: 'path must be relative to the repository root and must not contain ".."' };
+  }
+
+  // An empty path (or ".") means the whole repository
+  return { isValid: true, path: segments.length > 0 ? segments.join('/') : undefined };
+}
+
+// Find the configured host entry for a repository URL, or null if the host isn't supported
+export function findRepoHost(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return null;
+  }
+
+  const hostname = parsed.host.toLowerCase();
+  return CONFIG.REPO_HOSTS.find((entry) => entry.host.toLowerCase() === hostname) || null;
+}
+
+/**
+ * Checks the host-independent parts of a repository URL and splits its path.
+ * Providers interpret the segments (owner/repo, GitLab groups, /tree/<ref>...).
+ */
+export function validateRepoUrl(url) {
+  const trimmed = typeof url === 'string' ? url.trim() : '';
+
+  if (!trimmed) {
+    return { isValid: false, error: 'Please enter a repository URL' };
+  }
+
+  if (!trimmed.startsWith('https://')) {
+    return { isValid: false, error: 'URL must start with https://' };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch {
+    return { isValid: false, error: 'Invalid repository URL' };
+  }
+
+  if (parsed.username || parsed.password || parsed.search || parsed.hash) {
+    return {
+      isValid: false,
+      error: 'Repository URL must not contain credentials, query strings or fragments',
+    };
+  }
+
+  const hostConfig = findRepoHost(trimmed);
+  if (!hostConfig) {
+    const supported = CONFIG.REPO_HOSTS.map((entry) => entry.host).join(', ');
+    return {
+      isValid: false,
+      error: `Unsupported repository host: ${parsed.host}. Supported hosts: ${supported}`,
+    };
+  }
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  if (segments.length > 0) {
+    segments[segments.length - 1] = segments[segments.length - 1].replace(/\.git$/, '');
+  }
+
+  return { isValid: true, hostConfig, segments };
+}
@@ -0,0 +1,23 @@
+// Refreshes the offline advisory database used by lockfile audits.
+// Usage: npm run advisories:import -- <osv.json | directory | all.zip> [...]
+//   e.g. OSV's npm export (https://osv-vulnerabilities.storage.googleapis.com/npm/all.zip)
+//   or a checkout/tarball of github/advisory-database
+import { importAdvisories } from '../utils/advisoryDb.js';
+
+const sources = process.argv.slice(2);
+if (sources.length === 0) {
+  console.error('Usage: npm run advisories:import -- <file.json | directory | archive.zip> [...]');
+  process.exit(1);
+}
+
+try {
+  const result = await importAdvisories(sources);
+  console.log(
+    `Advisory database: ${result.advisoryCount} advisories ` +
+    `(${result.added} added, ${result.updated} updated, ${result.removed} withdrawn, ${result.unchanged} unchanged` +
+    `${result.invalidFiles > 0 ? `, ${result.invalidFiles} unreadable files skipped` : ''})`
+  );
+} catch (error) {
+  console.error(`Import failed: ${error.message}`);
+  process.exit(1);
+}
@@ -1,6 +1,11 @@
 import express from 'express';
 import cors from 'cors';
-import { handleScanRequest } from './api/scan.js';
+import {
+  handleScanRequest,
+  handleUploadScanRequest,
+  handleScanPatchRequest,
+  handleScanSbomRequest,
+} from './api/scan.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,6 +23,15 @@ app.get('/health', (req, res) => {
 // Main scan endpoint
 app.post('/api/scan', handleScanRequest);
 
+// Scan an uploaded .zip / .tar.gz archive
+app.post('/api/scan/upload', handleUploadScanRequest);
+
+// Auto-fix patch for a completed scan
+app.get('/api/scan/:scanId/patch', handleScanPatchRequest);
+
+// CycloneDX / SPDX SBOM for a completed scan
+app.get('/api/scan/:scanId/sbom', handleScanSbomRequest);
+
 // Start server
 app.listen(PORT, () => {
   console.log(`[LumenClew] Server running on port ${PORT}`);
@@ -0,0 +1,334 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import semver from 'semver';
+import { CONFIG } from '../lib/config.js';
+import { extractArchiveFile } from './archiveExtractor.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[AdvisoryDb] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[AdvisoryDb] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[AdvisoryDb] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[AdvisoryDb] ${msg}`, data ?? ''),
+};
+
+const SERVER_ROOT = fileURLToPath(new URL('..', import.meta.url));
+const SCHEMA_VERSION = 1;
+
+// Loaded once and reloaded when an import replaces the file
+let cached = null;
+
+function getDbPath() {
+  return path.resolve(SERVER_ROOT, CONFIG.DEPENDENCY_AUDIT.advisoryDbPath);
+}
+
+function emptyDb() {
+  return { schemaVersion: SCHEMA_VERSION, updatedAt: null, advisoryCount: 0, sources: [], packages: {} };
+}
+
+/**
+ * Returns the advisory database, or null if none has been imported yet.
+ * @returns {{schemaVersion: number, updatedAt: string, advisoryCount: number, sources: Object[], packages: Object<string, Object[]>} | null}
+ */
+export function loadAdvisoryDb() {
+  const dbPath = getDbPath();
+  let stats;
+  try {
+    stats = fs.statSync(dbPath);
+  } catch {
+    cached = null;
+    return null;
+  }
+
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.db;
+  }
+
+  try {
+    const db = JSON.parse(fs.readFileSync(dbPath, 'utf-8'));
+    if (db.schemaVersion !== SCHEMA_VERSION || !db.packages) {
+      logger.error(`Ignoring ${dbPath}: unknown schema version ${db.schemaVersion}`);
+      return null;
+    }
+    cached = { mtimeMs: stats.mtimeMs, db };
+    logger.info(`Loaded ${db.advisoryCount} advisories (updated ${db.updatedAt})`);
+    return db;
+  } catch (error) {
+    logger.error(`Could not read advisory database ${dbPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Whether dependency scans should match lockfiles against the local database
+ * instead of running npm audit: always in 'offline' mode, and in 'auto' mode
+ * once a database has been imported.
+ */
+export function useOfflineAdvisories() {
+  const { mode } = CONFIG.DEPENDENCY_AUDIT;
+  if (mode === 'offline') return true;
+  if (mode === 'npm') return false;
+  return fs.existsSync(getDbPath());
+}
+
+// A version is affected while it is inside an introduced..fixed (or ..last_affected) interval
+function isInRange(version, events) {
+  const sorted = [...events].sort((a, b) => {
+    const versionOf = (event) => {
+      const value = event.introduced ?? event.fixed ?? event.last_affected;
+      return value === '0' ? '0.0.0-0' : value;
+    };
+    return semver.compare(versionOf(a), versionOf(b));
+  });
+
+  let affected = false;
+  for (const event of sorted) {
+    if (event.introduced !== undefined && (event.introduced === '0' || semver.gte(version, event.introduced))) {
+      affected = true;
+    } else if (event.fixed !== undefined && semver.gte(version, event.fixed)) {
+      affected = false;
+    } else if (event.last_affected !== undefined && semver.gt(version, event.last_affected)) {
+      affected = false;
+    }
+  }
+  return affected;
+}
+
+function isAffected(advisory, version) {
+  if (advisory.versions.includes(version)) {
+    return true;
+  }
+  return advisory.ranges.some((events) => {
+    try {
+      return isInRange(version, events);
+    } catch {
+      // Ranges with non-semver bounds can't be evaluated
+      return false;
+    }
+  });
+}
+
+/**
+ * Advisories in db that affect name@version.
+ * @returns {Object[]}
+ */
+export function findAdvisories(db, name, version) {
+  const candidates = db.packages[name];
+  if (!candidates || !semver.valid(version)) {
+    return [];
+  }
+  return candidates.filter((advisory) => isAffected(advisory, version));
+}
+
+/**
+ * The lowest version above `version` that one of the advisory's ranges marks
+ * as fixed, or null when the advisory has no fix for that line.
+ */
+export function firstFixedVersion(advisory, version) {
+  const fixed = advisory.ranges
+    .flatMap((events) => events.map((event) => event.fixed))
+    .filter((candidate) => semver.valid(candidate) && semver.gt(candidate, version))
+    .sort(semver.compare);
+  return fixed[0] || null;
+}
+
+/**
+ * Human-readable affected ranges, e.g. ">=1.0.0 <1.2.3 || <0.9.9"
+ */
+export function describeAffectedRanges(advisory) {
+  // Each `introduced` event opens a new interval
+  const parts = advisory.ranges.flatMap((events) => {
+    const intervals = [];
+    for (const event of events) {
+      if (event.introduced !== undefined) {
+        intervals.push(event.introduced === '0' ? [] : [`>=${event.introduced}`]);
+        continue;
+      }
+      if (intervals.length === 0) intervals.push([]);
+      const current = intervals[intervals.length - 1];
+      if (event.fixed !== undefined) current.push(`<${event.fixed}`);
+      if (event.last_affected !== undefined) current.push(`<=${event.last_affected}`);
+    }
+    return intervals.map((bounds) => bounds.join(' ') || '*');
+  });
+  if (advisory.versions.length > 0 && parts.length === 0) {
+    parts.push(advisory.versions.join(' || '));
+  }
+  return parts.join(' || ') || '*';
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+function advisoryUrl(record) {
+  const reference = (record.references || []).find((ref) => ref.type === 'ADVISORY') || record.references?.[0];
+  return reference?.url || `https://osv.dev/vulnerability/${record.id}`;
+}
+
+/**
+ * Reduces an OSV record (as published by OSV.dev and the GitHub Advisory
+ * Database) to one compact entry per affected npm package.
+ */
+function normalizeOsvRecord(record) {
+  if (!record || typeof record.id !== 'string' || !Array.isArray(record.affected)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const affected of record.affected) {
+    if (affected.package?.ecosystem !== 'npm' || !affected.package.name) continue;
+
+    const ranges = (affected.ranges || [])
+      .filter((range) => range.type === 'SEMVER' || range.type === 'ECOSYSTEM')
+      .map((range) => range.events.filter((event) => Object.keys(event).length === 1));
+    const versions = affected.versions || [];
+    if (ranges.length === 0 && versions.length === 0) continue;
+
+    // GHSA records put LOW / MODERATE / HIGH / CRITICAL here
+    const severity = record.database_specific?.severity || affected.database_specific?.severity || null;
+
+    entries.push({
+      name: affected.package.name,
+      advisory: {
+        id: record.id,
+        aliases: record.aliases || [],
+        summary: record.summary || record.details?.split('\n')[0]?.slice(0, 200) || record.id,
+        severity: typeof severity === 'string' ? severity.toLowerCase() : null,
+        modified: record.modified || null,
+        withdrawn: Boolean(record.withdrawn),
+        url: advisoryUrl(record),
+        ranges,
+        versions,
+      },
+    });
+  }
+  return entries;
+}
+
+// OSV exports hold one record per file; hand-made imports may hold an array or {vulns: [...]}
+function recordsFromJson(content) {
+  const parsed = JSON.parse(content);
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed.vulns)) return parsed.vulns;
+  return [parsed];
+}
+
+function listJsonFiles(dir, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      listJsonFiles(fullPath, files);
+    } else if (entry.isFile() && entry.name.endsWith('.json')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+function readRecordsFromFiles(files, stats) {
+  const records = [];
+  for (const file of files) {
+    try {
+      records.push(...recordsFromJson(fs.readFileSync(file, 'utf-8')));
+    } catch (error) {
+      stats.invalidFiles++;
+      logger.debug(`Skipping ${file}: ${error.message}`);
+    }
+  }
+  return records;
+}
+
+// A .json file, a directory of them, or a .zip/.tar.gz of them (e.g. OSV's npm/all.zip)
+async function readImportSource(source, stats) {
+  const stat = fs.statSync(source);
+  if (stat.isDirectory()) {
+    return readRecordsFromFiles(listJsonFiles(source), stats);
+  }
+  if (source.endsWith('.json')) {
+    return readRecordsFromFiles([source], stats);
+  }
+
+  const extractDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumen-advisories-'));
+  try {
+    await extractArchiveFile(source, extractDir, { shouldExtract: (relativePath) => relativePath.endsWith('.json') });
+    return readRecordsFromFiles(listJsonFiles(extractDir), stats);
+  } finally {
+    fs.rmSync(extractDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Merges OSV/GHSA advisories into the local database. Records replace the
+ * stored copy with the same id unless they are older; withdrawn records
+ * remove it. The database file is replaced atomically, so running scans keep
+ * the copy they loaded and the next scan picks up the new one.
+ * @param {string[]} sources - .json files, directories or .zip/.tar.gz archives
+ * @returns {Promise<{added: number, updated: number, removed: number, unchanged: number, invalidFiles: number, advisoryCount: number}>}
+ */
+export async function importAdvisories(sources) {
+  const dbPath = getDbPath();
+  const db = loadAdvisoryDb() || emptyDb();
+  const stats = { added: 0, updated: 0, removed: 0, unchanged: 0, invalidFiles: 0 };
+
+  // Keyed by package and id: one OSV record can cover several packages
+  const byKey = new Map();
+  for (const [name, advisories] of Object.entries(db.packages)) {
+    for (const advisory of advisories) {
+      byKey.set(`${name}\0${advisory.id}`, { name, advisory });
+    }
+  }
+
+  for (const source of sources) {
+    const records = await readImportSource(source, stats);
+    for (const entry of records.flatMap(normalizeOsvRecord)) {
+      const key = `${entry.name}\0${entry.advisory.id}`;
+      const existing = byKey.get(key);
+
+      if (entry.advisory.withdrawn) {
+        if (existing) {
+          byKey.delete(key);
+          stats.removed++;
+        }
+        continue;
+      }
+      if (existing && existing.advisory.modified && entry.advisory.modified
+        && existing.advisory.modified >= entry.advisory.modified) {
+        stats.unchanged++;
+        continue;
+      }
+
+      byKey.set(key, entry);
+      if (existing) {
+        stats.updated++;
+      } else {
+        stats.added++;
+      }
+    }
+    db.sources.push({ source: path.basename(source), importedAt: new Date().toISOString() });
+  }
+
+  const packages = {};
+  for (const { name, advisory } of byKey.values()) {
+    const { withdrawn, ...stored } = advisory;
+    (packages[name] ||= []).push(stored);
+  }
+
+  const next = {
+    schemaVersion: SCHEMA_VERSION,
+    updatedAt: new Date().toISOString(),
+    advisoryCount: byKey.size,
+    // The last few imports, for the report's "database updated" line
+    sources: db.sources.slice(-20),
+    packages,
+  };
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const tempPath = `${dbPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(next));
+  fs.renameSync(tempPath, dbPath);
+
+  logger.info(`Imported advisories into ${dbPath}`, stats);
+  return { ...stats, advisoryCount: next.advisoryCount };
+}
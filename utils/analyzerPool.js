@@ -0,0 +1,149 @@
+import { spawn } from 'child_process';
+import { Worker } from 'worker_threads';
+import { CONFIG } from '../lib/config.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[AnalyzerPool] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[AnalyzerPool] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[AnalyzerPool] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[AnalyzerPool] ${msg}`, data ?? ''),
+};
+
+const WORKER_ENTRY = new URL('./analyzerWorker.js', import.meta.url);
+
+// One queue for workers and child processes, so N concurrent scans can't start 4N analyzers
+let running = 0;
+const waiting = [];
+
+function acquireSlot() {
+  if (running < CONFIG.ANALYZERS.concurrency) {
+    running++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    running--;
+  }
+}
+
+async function withSlot(task) {
+  await acquireSlot();
+  try {
+    return await task();
+  } finally {
+    releaseSlot();
+  }
+}
+
+/**
+ * Runs an exported analyzer function in a worker thread. The timeout starts
+ * when the worker starts (not while queued); on expiry the worker is terminated.
+ * @param {string | URL} moduleUrl - Module exporting the function (usually import.meta.url)
+ * @param {string} exportName
+ * @param {any[]} args - Must be structured-cloneable
+ * @param {number} timeoutMs
+ * @returns {Promise<{timedOut: boolean, result?: any}>}
+ */
+export function runInWorker(moduleUrl, exportName, args, timeoutMs) {
+  return withSlot(() => new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_ENTRY, {
+      workerData: { moduleUrl: String(moduleUrl), exportName, args },
+    });
+    let settled = false;
+
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      callback();
+    };
+
+    const timer = setTimeout(() => {
+      logger.warn(`${exportName} exceeded ${timeoutMs}ms, terminating worker`);
+      finish(() => {
+        worker.terminate().catch(() => {});
+        resolve({ timedOut: true });
+      });
+    }, timeoutMs);
+
+    worker.once('message', (result) => finish(() => resolve({ timedOut: false, result })));
+    worker.once('error', (error) => finish(() => reject(error)));
+    worker.once('exit', (code) => finish(() => reject(new Error(`${exportName} worker exited with code ${code}`))));
+  }));
+}
+
+/**
+ * Runs a command as a child process without blocking the event loop. The
+ * command gets its own process group so a timeout kills it together with any
+ * children it spawned (npx -> node).
+ * @param {string} command
+ * @param {string[]} args
+ * @param {{cwd?: string, timeoutMs: number, env?: Object}} options
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number | null, timedOut: boolean, error?: string}>}
+ */
+export function runCommand(command, args, { cwd, timeoutMs, env }) {
+  const maxOutputBytes = CONFIG.ANALYZERS.maxOutputMb * 1024 * 1024;
+
+  return withSlot(() => new Promise((resolve) => {
+    const stdout = [];
+    const stderr = [];
+    let outputBytes = 0;
+    let timedOut = false;
+    let outputError;
+
+    const child = spawn(command, args, {
+      cwd,
+      env: env || process.env,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // Already exited
+      }
+    };
+
+    const collect = (chunks) => (chunk) => {
+      outputBytes += chunk.length;
+      if (outputBytes > maxOutputBytes) {
+        outputError = `Output exceeded ${CONFIG.ANALYZERS.maxOutputMb}MB`;
+        killGroup();
+        return;
+      }
+      chunks.push(chunk);
+    };
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      logger.warn(`${command} exceeded ${timeoutMs}ms, killing process group ${child.pid}`);
+      killGroup();
+    }, timeoutMs);
+
+    child.once('error', (error) => {
+      clearTimeout(timer);
+      resolve({ stdout: '', stderr: '', exitCode: null, timedOut: false, error: error.message });
+    });
+
+    child.once('close', (exitCode) => {
+      clearTimeout(timer);
+      resolve({
+        stdout: Buffer.concat(stdout).toString('utf-8'),
+        stderr: Buffer.concat(stderr).toString('utf-8'),
+        exitCode,
+        timedOut,
+        error: outputError,
+      });
+    });
+  }));
+}
@@ -0,0 +1,7 @@
+// Worker thread entry for runInWorker(): loads the analyzer module and posts back its result
+import { parentPort, workerData } from 'worker_threads';
+
+const { moduleUrl, exportName, args } = workerData;
+const analyzer = await import(moduleUrl);
+const result = await analyzer[exportName](...args);
+parentPort.postMessage(result);
@@ -0,0 +1,267 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGunzip } from 'zlib';
+import tar from 'tar-stream';
+import yauzl from 'yauzl';
+import { CONFIG } from '../lib/config.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[Archive] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[Archive] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[Archive] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[Archive] ${msg}`, data ?? ''),
+};
+
+export class ArchiveLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveLimitError';
+  }
+}
+
+// Counts bytes flowing through and aborts the pipeline once a limit is crossed
+function createByteLimiter(maxBytes, label) {
+  let total = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxBytes) {
+        callback(new ArchiveLimitError(`${label} exceeds ${Math.round(maxBytes / (1024 * 1024))}MB limit`));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Normalizes an archive entry name into a safe relative path.
+ * Returns null for anything that could escape the target directory (zip-slip).
+ */
+export function sanitizeEntryPath(entryName, stripComponents = 0) {
+  const normalized = entryName.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || normalized.includes('\0')) {
+    return null;
+  }
+
+  const segments = normalized.split('/').filter((s) => s && s !== '.');
+  if (segments.some((s) => s === '..')) {
+    return null;
+  }
+
+  const stripped = segments.slice(stripComponents);
+  return stripped.length > 0 ? stripped.join('/') : null;
+}
+
+export function resolveInsideDir(targetDir, relativePath) {
+  const root = path.resolve(targetDir);
+  const targetPath = path.resolve(root, relativePath);
+  return targetPath.startsWith(`${root}${path.sep}`) ? targetPath : null;
+}
+
+function drain(stream, next) {
+  stream.on('end', () => next());
+  stream.resume();
+}
+
+/**
+ * Streams a .tar.gz archive into targetDir, writing only regular files the
+ * caller accepts. Symlinks, hardlinks and device entries are never written.
+ *
+ * @param {import('stream').Readable} source - Compressed archive stream
+ * @param {string} targetDir
+ * @param {Object} options
+ * @param {(relativePath: string, size: number) => boolean} options.shouldExtract
+ * @param {number} [options.stripComponents] - Leading path segments to drop (host archives wrap everything in one folder)
+ * @returns {Promise<{extracted: string[], entriesSeen: number, bytesWritten: number}>}
+ */
+export async function extractTarGz(source, targetDir, { shouldExtract, stripComponents = 0 }) {
+  const limits = CONFIG.ARCHIVE;
+  const extracted = [];
+  let entriesSeen = 0;
+  let bytesWritten = 0;
+
+  const extract = tar.extract();
+
+  extract.on('entry', (header, stream, next) => {
+    // Entry streams error when the outer pipeline is torn down; the pipeline reports the cause
+    stream.on('error', () => {});
+    entriesSeen++;
+    if (entriesSeen > limits.maxEntries) {
+      stream.resume();
+      next(new ArchiveLimitError(`Archive has more than ${limits.maxEntries} entries`));
+      return;
+    }
+
+    if (header.type !== 'file') {
+      drain(stream, next);
+      return;
+    }
+
+    const relativePath = sanitizeEntryPath(header.name, stripComponents);
+    const targetPath = relativePath && resolveInsideDir(targetDir, relativePath);
+    if (!targetPath) {
+      logger.warn(`Skipping unsafe archive entry: ${header.name}`);
+      drain(stream, next);
+      return;
+    }
+
+    if (!shouldExtract(relativePath, header.size)) {
+      drain(stream, next);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    pipeline(stream, fs.createWriteStream(targetPath))
+      .then(() => {
+        extracted.push(relativePath);
+        bytesWritten += header.size;
+        next();
+      })
+      .catch(next);
+  });
+
+  await pipeline(
+    source,
+    createByteLimiter(limits.maxDownloadMb * 1024 * 1024, 'Archive download'),
+    createGunzip(),
+    // Decompression bomb guard: caps inflated bytes, including entries we skip
+    createByteLimiter(limits.maxExtractedMb * 1024 * 1024, 'Extracted archive'),
+    extract
+  );
+
+  logger.debug(`Extracted ${extracted.length}/${entriesSeen} entries (${bytesWritten} bytes)`);
+  return { extracted, entriesSeen, bytesWritten };
+}
+
+function openZip(filePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true, autoClose: true }, (error, zipFile) => {
+      if (error) reject(error);
+      else resolve(zipFile);
+    });
+  });
+}
+
+function openZipEntryStream(zipFile, entry) {
+  return new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (error, stream) => {
+      if (error) reject(error);
+      else resolve(stream);
+    });
+  });
+}
+
+function isZipSymlink(entry) {
+  const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+  return mode === 0o120000;
+}
+
+/**
+ * Extracts a .zip file from disk into targetDir with the same filtering and
+ * zip-slip / bomb guards as extractTarGz. Sizes come from the central
+ * directory and are re-checked against the bytes actually inflated.
+ */
+export async function extractZip(filePath, targetDir, { shouldExtract, stripComponents = 0 }) {
+  const limits = CONFIG.ARCHIVE;
+  const maxExtractedBytes = limits.maxExtractedMb * 1024 * 1024;
+  const extracted = [];
+  let entriesSeen = 0;
+  let bytesWritten = 0;
+
+  const zipFile = await openZip(filePath);
+  if (zipFile.entryCount > limits.maxEntries) {
+    zipFile.close();
+    throw new ArchiveLimitError(`Archive has more than ${limits.maxEntries} entries`);
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      zipFile.on('error', reject);
+      zipFile.on('end', resolve);
+      zipFile.on('entry', async (entry) => {
+        try {
+          entriesSeen++;
+          const isDirectory = entry.fileName.endsWith('/');
+          const isEncrypted = (entry.generalPurposeBitFlag & 0x1) !== 0;
+          if (isDirectory || isEncrypted || isZipSymlink(entry)) {
+            zipFile.readEntry();
+            return;
+          }
+
+          const relativePath = sanitizeEntryPath(entry.fileName, stripComponents);
+          const targetPath = relativePath && resolveInsideDir(targetDir, relativePath);
+          if (!targetPath) {
+            logger.warn(`Skipping unsafe archive entry: ${entry.fileName}`);
+            zipFile.readEntry();
+            return;
+          }
+
+          if (!shouldExtract(relativePath, entry.uncompressedSize)) {
+            zipFile.readEntry();
+            return;
+          }
+
+          if (bytesWritten + entry.uncompressedSize > maxExtractedBytes) {
+            throw new ArchiveLimitError(`Extracted archive exceeds ${limits.maxExtractedMb}MB limit`);
+          }
+
+          fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+          const stream = await openZipEntryStream(zipFile, entry);
+          await pipeline(
+            stream,
+            createByteLimiter(maxExtractedBytes - bytesWritten, 'Extracted archive'),
+            fs.createWriteStream(targetPath)
+          );
+
+          extracted.push(relativePath);
+          bytesWritten += entry.uncompressedSize;
+          zipFile.readEntry();
+        } catch (error) {
+          reject(error);
+        }
+      });
+      zipFile.readEntry();
+    });
+  } finally {
+    zipFile.close();
+  }
+
+  logger.debug(`Extracted ${extracted.length}/${entriesSeen} entries (${bytesWritten} bytes)`);
+  return { extracted, entriesSeen, bytesWritten };
+}
+
+// Sniffs the archive format from its magic bytes rather than trusting the file name
+export function detectArchiveFormat(filePath) {
+  const header = Buffer.alloc(4);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, 4, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (header[0] === 0x50 && header[1] === 0x4b && header[2] === 0x03 && header[3] === 0x04) {
+    return 'zip';
+  }
+  if (header[0] === 0x1f && header[1] === 0x8b) {
+    return 'tar.gz';
+  }
+  return null;
+}
+
+/**
+ * Extracts a .zip or .tar.gz file from disk. Throws for unknown formats.
+ */
+export async function extractArchiveFile(filePath, targetDir, options) {
+  const format = detectArchiveFormat(filePath);
+  if (format === 'zip') {
+    return extractZip(filePath, targetDir, options);
+  }
+  if (format === 'tar.gz') {
+    return extractTarGz(fs.createReadStream(filePath), targetDir, options);
+  }
+  throw new Error('Unsupported archive format (expected .zip or .tar.gz)');
+}
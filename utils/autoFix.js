@@ -0,0 +1,183 @@
+import * as fs from 'fs';
+import { createTwoFilesPatch } from 'diff';
+import semver from 'semver';
+import { resolveInsideDir } from './archiveExtractor.js';
+import { redactText } from './redaction.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[AutoFix] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[AutoFix] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[AutoFix] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[AutoFix] ${msg}`, data ?? ''),
+};
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function readScanFile(tempDir, relativePath) {
+  const absolute = resolveInsideDir(tempDir, relativePath);
+  if (!absolute) {
+    return null;
+  }
+  try {
+    return fs.readFileSync(absolute, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+function toUnifiedDiff(relativePath, original, updated) {
+  return createTwoFilesPatch(`a/${relativePath}`, `b/${relativePath}`, original, updated, undefined, undefined, { context: 3 })
+    // Drop the "====" separator jsdiff prepends; git apply only needs ---/+++
+    .replace(/^=+\n/m, '');
+}
+
+/**
+ * Applies ESLint fix objects ({range, text}) the way ESLint's own fixer does in
+ * a single pass: in source order, skipping any fix that overlaps one already applied.
+ * @returns {{output: string, appliedIds: string[]}}
+ */
+function applyEslintFixes(source, fixes) {
+  const sorted = [...fixes].sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1]);
+  const appliedIds = [];
+  let output = '';
+  let lastEnd = 0;
+
+  for (const fix of sorted) {
+    const [start, end] = fix.range;
+    if (start < lastEnd || end > source.length) {
+      continue;
+    }
+    output += source.slice(lastEnd, start) + fix.text;
+    lastEnd = end;
+    appliedIds.push(fix.findingId);
+  }
+
+  return { output: output + source.slice(lastEnd), appliedIds };
+}
+
+// Keeps the range operator the manifest already uses (^, ~, or exact)
+function bumpVersionRange(currentRange, version) {
+  const prefix = currentRange.match(/^[\^~]/)?.[0] ?? '';
+  return `${prefix}${version}`;
+}
+
+/**
+ * Rewrites the version of each fixed dependency in place, so the rest of the
+ * package.json keeps its formatting. Only direct dependencies whose current
+ * range is a plain version (not a tag, URL or workspace protocol) are touched.
+ */
+function applyDependencyFixes(source, fixes) {
+  let manifest;
+  try {
+    manifest = JSON.parse(source);
+  } catch {
+    return { output: source, appliedIds: [] };
+  }
+
+  let output = source;
+  const appliedIds = [];
+  // name -> version the manifest now asks for
+  const bumped = new Map();
+
+  // Highest first, so one bump covers the lower fixes on its major line
+  const ordered = [...fixes].sort((a, b) => semver.rcompare(a.version, b.version));
+
+  for (const fix of ordered) {
+    // Several advisories are often fixed by the same bump, but only if it reaches
+    // their fix version without leaving its major line
+    const bumpedTo = bumped.get(fix.name);
+    if (bumpedTo) {
+      if (semver.major(fix.version) === semver.major(bumpedTo) && semver.gte(bumpedTo, fix.version)) {
+        appliedIds.push(fix.findingId);
+      }
+      continue;
+    }
+
+    const field = DEPENDENCY_FIELDS.find((name) => typeof manifest[name]?.[fix.name] === 'string');
+    const currentRange = field && manifest[field][fix.name];
+    if (!currentRange || !/^[\^~]?\d+\.\d+\.\d+/.test(currentRange)) {
+      continue;
+    }
+
+    // A fix found for another installed copy of the package could be a downgrade
+    // or a major bump for the version the manifest asks for
+    const declared = semver.coerce(currentRange)?.version;
+    if (!declared || !semver.gt(fix.version, declared) || semver.major(fix.version) !== semver.major(declared)) {
+      continue;
+    }
+
+    const nextRange = bumpVersionRange(currentRange, fix.version);
+    const entry = new RegExp(`("${escapeRegex(fix.name)}"\\s*:\\s*")${escapeRegex(currentRange)}(")`);
+    if (!entry.test(output)) {
+      continue;
+    }
+    output = output.replace(entry, `$1${nextRange}$2`);
+    bumped.set(fix.name, fix.version);
+    appliedIds.push(fix.findingId);
+  }
+
+  return { output, appliedIds };
+}
+
+function groupByFile(fixes) {
+  const byFile = new Map();
+  for (const fix of fixes) {
+    if (!byFile.has(fix.file)) byFile.set(fix.file, []);
+    byFile.get(fix.file).push(fix);
+  }
+  return byFile;
+}
+
+/**
+ * Builds one unified diff (git apply-able, paths relative to the repo root)
+ * from ESLint fixes and non-breaking dependency bumps. Must run while the scan
+ * files are still on disk.
+ * @param {string} tempDir
+ * @param {Object} fixes
+ * @param {{file: string, range: [number, number], text: string, findingId: string}[]} [fixes.eslint]
+ * @param {{file: string, name: string, version: string, findingId: string}[]} [fixes.dependencies]
+ * @param {{rules: Object[]}} ruleset - From loadSecretRules(); files whose diff would show a secret are left out
+ * @returns {{diff: string, files: string[], fixedFindingIds: Set<string>}}
+ */
+export function buildScanPatch(tempDir, { eslint = [], dependencies = [] }, ruleset) {
+  const diffs = [];
+  const files = [];
+  const fixedFindingIds = new Set();
+
+  const appliers = [
+    [groupByFile(eslint), applyEslintFixes],
+    [groupByFile(dependencies), applyDependencyFixes],
+  ];
+
+  for (const [byFile, apply] of appliers) {
+    for (const [relativePath, fileFixes] of byFile) {
+      const source = readScanFile(tempDir, relativePath);
+      if (source === null) {
+        continue;
+      }
+
+      const { output, appliedIds } = apply(source, fileFixes);
+      if (output === source) {
+        continue;
+      }
+
+      // The patch is served as-is, and masking a line would stop it applying
+      const diff = toUnifiedDiff(relativePath, source, output);
+      if (redactText(diff, ruleset).secrets.length > 0) {
+        logger.warn(`Leaving ${relativePath} out of the patch: its hunks show a secret`);
+        continue;
+      }
+
+      diffs.push(diff);
+      files.push(relativePath);
+      appliedIds.forEach((id) => fixedFindingIds.add(id));
+    }
+  }
+
+  logger.info(`Patch covers ${fixedFindingIds.size} fixes in ${files.length} files`);
+  return { diff: diffs.join(''), files, fixedFindingIds };
+}
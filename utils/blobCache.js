@@ -0,0 +1,170 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { CONFIG } from '../lib/config.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[BlobCache] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[BlobCache] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[BlobCache] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[BlobCache] ${msg}`, data ?? ''),
+};
+
+// SHA-1 repos use 40 hex chars, SHA-256 repos 64
+const BLOB_SHA_REGEX = /^(?:[0-9a-f]{40}|[0-9a-f]{64})$/;
+
+// sha -> size in bytes; Map iteration order doubles as LRU order (oldest first)
+let index = null;
+let totalBytes = 0;
+
+function blobPath(sha) {
+  return path.join(CONFIG.BLOB_CACHE.dir, sha.slice(0, 2), sha);
+}
+
+// Rebuilds the index from disk once per process, oldest access first
+function loadIndex() {
+  if (index) {
+    return index;
+  }
+
+  index = new Map();
+  totalBytes = 0;
+  const blobs = [];
+
+  try {
+    for (const prefix of fs.readdirSync(CONFIG.BLOB_CACHE.dir)) {
+      const prefixDir = path.join(CONFIG.BLOB_CACHE.dir, prefix);
+      for (const name of fs.readdirSync(prefixDir)) {
+        if (!BLOB_SHA_REGEX.test(name)) continue;
+        const stats = fs.statSync(path.join(prefixDir, name));
+        blobs.push({ sha: name, size: stats.size, lastUsed: stats.mtimeMs });
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+      logger.warn('Failed to read cache directory:', error.message);
+    }
+  }
+
+  blobs.sort((a, b) => a.lastUsed - b.lastUsed);
+  for (const blob of blobs) {
+    index.set(blob.sha, blob.size);
+    totalBytes += blob.size;
+  }
+
+  logger.debug(`Loaded ${index.size} cached blobs (${totalBytes} bytes)`);
+  return index;
+}
+
+function touch(sha) {
+  const size = index.get(sha);
+  index.delete(sha);
+  index.set(sha, size);
+  const now = new Date();
+  try {
+    fs.utimesSync(blobPath(sha), now, now);
+  } catch {
+    // Access time only affects eviction order after a restart
+  }
+}
+
+function evict(maxBytes) {
+  for (const [sha, size] of index) {
+    if (totalBytes <= maxBytes) break;
+    try {
+      fs.rmSync(blobPath(sha), { force: true });
+    } catch (error) {
+      logger.warn(`Failed to evict blob ${sha}:`, error.message);
+      continue;
+    }
+    index.delete(sha);
+    totalBytes -= size;
+  }
+}
+
+// Git object id of a blob: hash of "blob <size>\0" followed by the content
+function hashBlob(content, sha) {
+  const algorithm = sha.length === 64 ? 'sha256' : 'sha1';
+  return createHash(algorithm)
+    .update(`blob ${content.length}\0`)
+    .update(content)
+    .digest('hex');
+}
+
+export function isBlobCacheEnabled() {
+  return CONFIG.BLOB_CACHE.enabled;
+}
+
+/**
+ * Copies a cached blob to targetPath. Returns false on a miss.
+ * @param {string} sha - Git blob SHA from the tree listing
+ * @param {string} targetPath
+ */
+export function restoreBlob(sha, targetPath) {
+  if (!isBlobCacheEnabled() || !sha || !BLOB_SHA_REGEX.test(sha)) {
+    return false;
+  }
+
+  if (!loadIndex().has(sha)) {
+    return false;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.copyFileSync(blobPath(sha), targetPath);
+    touch(sha);
+    return true;
+  } catch (error) {
+    // Evicted by another process or removed by hand
+    logger.debug(`Dropping unreadable blob ${sha}: ${error.message}`);
+    totalBytes -= index.get(sha) || 0;
+    index.delete(sha);
+    return false;
+  }
+}
+
+/**
+ * Adds a downloaded file to the cache if its content matches the blob SHA.
+ * Files that fail verification (e.g. re-encoded by the host) are not cached.
+ * @param {string} sha - Git blob SHA from the tree listing
+ * @param {string} sourcePath - The file as written to the scan directory
+ * @returns {boolean} Whether the blob was stored
+ */
+export function storeBlob(sha, sourcePath) {
+  if (!isBlobCacheEnabled() || !sha || !BLOB_SHA_REGEX.test(sha)) {
+    return false;
+  }
+
+  loadIndex();
+  if (index.has(sha)) {
+    return true;
+  }
+
+  try {
+    const content = fs.readFileSync(sourcePath);
+    if (hashBlob(content, sha) !== sha) {
+      logger.debug(`Content of ${sourcePath} does not match blob ${sha}, not caching`);
+      return false;
+    }
+
+    const maxBytes = CONFIG.BLOB_CACHE.maxSizeMb * 1024 * 1024;
+    if (content.length > maxBytes) {
+      return false;
+    }
+
+    const target = blobPath(sha);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    // Write then rename so concurrent scans never read a partial blob
+    const partial = `${target}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(partial, content);
+    fs.renameSync(partial, target);
+
+    index.set(sha, content.length);
+    totalBytes += content.length;
+    evict(maxBytes);
+    return true;
+  } catch (error) {
+    logger.warn(`Failed to cache blob ${sha}:`, error.message);
+    return false;
+  }
+}
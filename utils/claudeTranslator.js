@@ -79,8 +79,12 @@ Acknowledge that style choices are often team decisions, not universal truths.`,
 You're translating npm audit findings about dependency vulnerabilities.
 Focus on:
 - What the vulnerability means in plain language
-- Whether it's likely to affect this specific project (many vulnerabilities require specific conditions)
-- How dependency updates work and their trade-offs
+- How the package got into the project: metadata.dependency.chain runs from the dependency declared in package.json to the vulnerable package
+- Whether it's likely to affect this specific project (many vulnerabilities require specific conditions, and dev-only dependencies don't ship to users)
+- How dependency updates work and their trade-offs: a "direct" fixType is a version bump in package.json; an "override" means updating the packages above it or pinning firstPatchedVersion via metadata.dependency.overrideField
+Some findings (tool "supply_chain") are risk signals rather than known vulnerabilities; metadata.signal says which:
+install scripts that run on install, git or tarball sources outside the registry, a name resembling a popular package
+(metadata.similarTo), or a version published only days ago. Explain why each matters and how to check it, without assuming malice.
 Normalize that all projects have some vulnerabilities - it's about informed prioritization.`,
 
     secrets: `${basePrompt}
@@ -89,6 +93,8 @@ You're translating findings about potential secrets or credentials in code.
 Focus on:
 - What was detected and why it might be sensitive
 - That false positives are common (test data, example values, etc.)
+- For metadata.detectedBy "entropy": the value only looks random (metadata.entropy, metadata.charset) and sits near a name like metadata.keyword; it matched no known credential format, so be more tentative
+- For tool "secrets_history": the line was added in an earlier commit (metadata.commit, metadata.authorDate). When metadata.presentAtHead is false the secret was deleted since, but anyone with the repository history can still read it, so deleting it isn't enough - it would need rotating
 - General best practices for credential management
 Remove any shame - accidental commits happen to everyone. Focus on awareness.`,
 
@@ -100,6 +106,27 @@ Focus on:
 - The underlying accessibility principle
 - That automated tools catch ~30% of issues - manual testing matters too
 Add context that accessibility is a journey, not a checklist.`,
+
+    maintainability: `${basePrompt}
+
+You're translating maintainability metrics: function complexity (cyclomatic and cognitive),
+long files, deeply nested callbacks and duplicated code blocks.
+Focus on:
+- What the number measures and how it shows up when someone reads or changes the code
+- Why complex or repeated code tends to attract bugs and slow down new contributors
+- That some complexity is essential (parsers, state machines, generated code) and thresholds are rules of thumb
+Never call code "bad" or "messy" - frame findings as places that may reward a second look.`,
+
+    licenses: `${basePrompt}
+
+You're translating license compliance findings: dependencies whose license is denied by
+the team's policy, not on its allowlist, or unknown (metadata.policyStatus).
+Focus on:
+- What the license asks of people who use or distribute the code, in plain language (e.g. sharing source, keeping notices)
+- When those obligations apply: shipping or hosting the app versus dev-only tooling (metadata.dev), and linking versus modifying
+- How the package got in (metadata.dependency.chain) and common paths: an alternative package, a dual-license option, or asking legal
+- That a missing or unusual license field often just means checking the package's LICENSE file
+Never give legal advice or say something is definitely a violation - frame findings as questions worth bringing to whoever owns licensing.`,
   };
 
   return panelPrompts[panel];
@@ -127,7 +154,7 @@ function validateTranslatedFinding(obj, originalId) {
     ? finding.importance
     : 'note';
 
-  const validPanels = ['code_quality', 'dependencies', 'secrets', 'accessibility'];
+  const validPanels = ['code_quality', 'dependencies', 'secrets', 'accessibility', 'maintainability', 'licenses'];
   const panel = validPanels.includes(finding.panel)
     ? finding.panel
     : 'code_quality';
@@ -203,6 +230,42 @@ function parseClaudeResponse(text) {
   return objects;
 }
 
+/**
+ * sourceFields: Where a finding came from, carried over from the raw finding
+ * unchanged so Claude can't alter it
+ */
+function sourceFields(raw) {
+  const fields = {
+    file: raw.file,
+    line: raw.line,
+    column: raw.column,
+    autoFixAvailable: raw.metadata?.autoFixAvailable === true,
+  };
+  if (raw.metadata?.workspace) {
+    fields.workspace = raw.metadata.workspace;
+  }
+  if (raw.metadata?.dependency) {
+    fields.dependency = raw.metadata.dependency;
+  }
+  if (raw.metadata?.signal) {
+    fields.signal = raw.metadata.signal;
+  }
+  if (raw.metadata?.detectedBy) {
+    fields.detectedBy = raw.metadata.detectedBy;
+  }
+  if (raw.metadata?.redacted) {
+    fields.secret = raw.metadata.redacted;
+  }
+  if (raw.metadata?.commit) {
+    fields.history = {
+      commit: raw.metadata.commit,
+      authorDate: raw.metadata.authorDate,
+      presentAtHead: raw.metadata.presentAtHead,
+    };
+  }
+  return fields;
+}
+
 /**
  * buildFallback: Creates fallback findings when translation fails
  * ✅ PRESERVES: file, line, column from raw findings
@@ -216,9 +279,7 @@ function buildFallback(rawFindings, panel, reason) {
     importance: mapSeverityToImportance(raw.severity),
     reflection: 'Consider reviewing this in the context of your specific project needs.',
     staticAnalysisNote: `Translation unavailable (${reason}). Showing original finding.`,
-    file: raw.file,
-    line: raw.line,
-    column: raw.column,
+    ...sourceFields(raw),
   }));
 }
 
@@ -323,9 +384,7 @@ ${JSON.stringify(batchFindings, null, 2)}`;
         // SUCCESS: Claude translation matched by ID
         validated.panel = panel;
         validated.importance = mapSeverityToImportance(rawFinding.severity);
-        validated.file = rawFinding.file;
-        validated.line = rawFinding.line;
-        validated.column = rawFinding.column;
+        Object.assign(validated, sourceFields(rawFinding));
         translated.push(validated);
         matchedCount++;
       } else {
@@ -338,9 +397,7 @@ ${JSON.stringify(batchFindings, null, 2)}`;
           importance: mapSeverityToImportance(rawFinding.severity),
           reflection: 'Consider reviewing this in the context of your specific project needs.',
           staticAnalysisNote: 'Partial translation - showing original finding.',
-          file: rawFinding.file,
-          line: rawFinding.line,
-          column: rawFinding.column,
+          ...sourceFields(rawFinding),
         });
         fallbackCount++;
         logger.debug(`[${panel}] Batch ${batchIndex + 1}: No match for ID: ${rawFinding.id}`);
@@ -439,7 +496,7 @@ export async function translatePanel(panel, rawFindings) {
 }
 
 export async function translateAllPanels(panelsMap) {
-  const panels = ['code_quality', 'dependencies', 'secrets', 'accessibility'];
+  const panels = ['code_quality', 'dependencies', 'secrets', 'accessibility', 'maintainability', 'licenses'];
 
   logger.info('Starting parallel translation for all panels');
 
@@ -0,0 +1,184 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import semver from 'semver';
+
+// Top-level fields that ship with the package; anything only reachable through devDependencies is dev
+const PROD_FIELDS = new Set(['dependencies', 'optionalDependencies', 'peerDependencies']);
+
+// Where each package manager pins a transitive dependency to another version
+const OVERRIDE_FIELDS = {
+  npm: 'overrides',
+  yarn: 'resolutions',
+  pnpm: 'pnpm.overrides',
+};
+
+function joinPath(dir, file) {
+  return dir === '.' ? file : `${dir}/${file}`;
+}
+
+// Breadth-first from the top-level dependencies, so each node keeps its shortest chain
+function walk(graph, roots) {
+  const reached = new Map();
+  const queue = [];
+  for (const root of roots) {
+    if (!reached.has(root.id)) {
+      reached.set(root.id, { parent: null, root });
+      queue.push(root.id);
+    }
+  }
+
+  for (let i = 0; i < queue.length; i++) {
+    const { root } = reached.get(queue[i]);
+    for (const dependency of graph.nodes.get(queue[i])?.dependencies || []) {
+      if (!reached.has(dependency)) {
+        reached.set(dependency, { parent: queue[i], root });
+        queue.push(dependency);
+      }
+    }
+  }
+  return reached;
+}
+
+function chainTo(index, reached, id) {
+  const chain = [];
+  for (let current = id; current; current = reached.get(current).parent) {
+    const node = index.graph.nodes.get(current);
+    chain.unshift(`${node.name}@${node.version}`);
+  }
+  return chain;
+}
+
+/**
+ * Line of `"name":` inside the manifest's `field` object (1-based), falling
+ * back to its first occurrence anywhere, then to line 1.
+ */
+export function findDeclarationLine(manifestContent, field, name) {
+  const lines = manifestContent.split('\n');
+  const key = new RegExp(`^\\s*${JSON.stringify(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*:`);
+
+  const start = lines.findIndex((line) => new RegExp(`^\\s*"${field}"\\s*:`).test(line));
+  if (start !== -1) {
+    for (let i = start + 1; i < lines.length && !/^\s*}/.test(lines[i]); i++) {
+      if (key.test(lines[i])) return i + 1;
+    }
+  }
+
+  const anywhere = lines.findIndex((line) => key.test(line));
+  return anywhere === -1 ? 1 : anywhere + 1;
+}
+
+/**
+ * The lowest version that leaves a vulnerable range such as "<4.17.21" or
+ * ">=1.0.0 <1.2.6 || <0.2.4", for the comparator set `version` falls in.
+ * Null when the range has no upper bound there (or an inclusive one).
+ */
+export function firstPatchedInRange(vulnerableRange, version) {
+  let range;
+  try {
+    range = new semver.Range(vulnerableRange);
+  } catch {
+    return null;
+  }
+
+  const bounds = range.set
+    .filter((comparators) => comparators.every((comparator) => comparator.test(version)))
+    .flatMap((comparators) => comparators.filter((comparator) => comparator.operator === '<'))
+    .map((comparator) => comparator.semver.version)
+    .filter((bound) => semver.gt(bound, version));
+  return bounds.sort(semver.compare)[0] || null;
+}
+
+/**
+ * Indexes a lockfile graph (see parseLockfile) for chain lookups.
+ * @param {{nodes: Map<string, Object>, roots: Object[]}} graph
+ * @param {string} lockfileDir - absolute directory of the lockfile, to read importer manifests
+ * @param {'npm' | 'yarn' | 'pnpm'} manager
+ */
+export function buildPathIndex(graph, lockfileDir, manager) {
+  const byPackage = new Map();
+  for (const [id, node] of graph.nodes) {
+    const key = `${node.name}@${node.version}`;
+    if (!byPackage.has(key)) byPackage.set(key, []);
+    byPackage.get(key).push(id);
+  }
+
+  return {
+    graph,
+    lockfileDir,
+    manager,
+    byPackage,
+    prod: walk(graph, graph.roots.filter((root) => PROD_FIELDS.has(root.field))),
+    all: walk(graph, graph.roots),
+    manifests: new Map(),
+  };
+}
+
+function readManifest(index, importer) {
+  if (!index.manifests.has(importer)) {
+    let content = null;
+    try {
+      content = fs.readFileSync(path.join(index.lockfileDir, importer, 'package.json'), 'utf-8');
+    } catch {
+      // Declaration line falls back to 1
+    }
+    index.manifests.set(importer, content);
+  }
+  return index.manifests.get(importer);
+}
+
+/**
+ * How a vulnerable package got into the project: the shortest chain from a
+ * top-level dependency, whether it is only reachable through devDependencies,
+ * and where that top-level dependency is declared. Pass either node ids
+ * (npm install paths) or a name and version.
+ *
+ * `declaredIn.file` is relative to the lockfile's directory. Returns null when
+ * no top-level dependency leads to the package.
+ * @param {Object} index - from buildPathIndex
+ * @param {{ids?: string[], name?: string, version?: string}} target
+ * @returns {{installedVersion: string, chain: string[], isDirect: boolean, type: 'prod' | 'dev', topLevel: string, declaredIn: {file: string, line: number, field: string}, overrideField: string} | null}
+ */
+export function describeDependency(index, { ids, name, version }) {
+  const candidates = ids || index.byPackage.get(`${name}@${version}`) || [];
+
+  for (const [reached, type] of [[index.prod, 'prod'], [index.all, 'dev']]) {
+    let best = null;
+    for (const id of candidates) {
+      if (!reached.has(id)) continue;
+      const chain = chainTo(index, reached, id);
+      if (!best || chain.length < best.chain.length) best = { id, chain };
+    }
+    if (!best) continue;
+
+    const { root } = reached.get(best.id);
+    const manifest = readManifest(index, root.importer);
+    return {
+      installedVersion: index.graph.nodes.get(best.id).version,
+      chain: best.chain,
+      isDirect: best.chain.length === 1,
+      type,
+      topLevel: root.name,
+      declaredIn: {
+        file: joinPath(root.importer, 'package.json'),
+        line: manifest ? findDeclarationLine(manifest, root.field, root.name) : 1,
+        field: root.field,
+      },
+      overrideField: OVERRIDE_FIELDS[index.manager],
+    };
+  }
+  return null;
+}
+
+/**
+ * Finding metadata for a described dependency. A direct dependency is fixed by
+ * bumping it in package.json; a transitive one by updating the packages above
+ * it or, failing that, an override.
+ */
+export function dependencyDetails(described, firstPatchedVersion) {
+  const { installedVersion, ...details } = described;
+  return {
+    ...details,
+    firstPatchedVersion: firstPatchedVersion || null,
+    fixType: firstPatchedVersion ? (described.isDirect ? 'direct' : 'override') : null,
+  };
+}
@@ -0,0 +1,209 @@
+import * as path from 'path';
+
+// Lower tiers are scanned first when fast mode has to drop files
+const TIERS = {
+  ENTRY_OR_CONFIG: 0,
+  APP_CODE: 1,
+  OTHER_CODE: 2,
+  TESTS: 3,
+  LOW_VALUE: 4,
+  MARKED_GENERATED: 5,
+};
+
+const APP_DIRS = new Set(['src', 'app', 'lib', 'components', 'pages', 'routes', 'server', 'api', 'hooks', 'views']);
+const TEST_DIRS = new Set(['test', 'tests', '__tests__', 'spec', 'e2e', 'cypress']);
+const LOW_VALUE_DIRS = new Set([
+  'docs', 'doc', 'examples', 'example', 'samples', 'demo', 'demos', 'fixtures', '__fixtures__',
+  '__mocks__', '__snapshots__', '__generated__', 'generated', 'stories', 'storybook', 'benchmark', 'benchmarks',
+]);
+const GENERATED_FILE_REGEX = /(\.min\.[cm]?js|\.bundle\.[cm]?js|\.generated\.[a-z]+|\.d\.ts|\.map)$/i;
+const TEST_FILE_REGEX = /\.(test|spec|e2e)\.[cm]?[jt]sx?$/i;
+const STORY_FILE_REGEX = /\.stories\.[cm]?[jt]sx?$/i;
+const CONFIG_FILE_REGEX = /(^|\.)(config|rc)\.[cm]?[jt]s$|^\.?[a-z]+rc\.json$|^tsconfig(\..+)?\.json$|^\.env(\..+)?$/i;
+// Credential stores, keys and container definitions: few, small and where secrets live
+const CREDENTIAL_FILE_REGEX = /^\.(npmrc|yarnrc(\.yml)?|pypirc|netrc|git-credentials|htpasswd)$|\.(pem|key|tfvars)$|^id_(rsa|dsa|ecdsa|ed25519)$|^(Dockerfile(\..+)?|docker-compose[^/]*\.ya?ml)$/i;
+const UI_FILE_REGEX = /\.(jsx|tsx)$/i;
+const MAX_SAMPLED_DIRECTORIES = 25;
+
+function escapeRegex(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// .gitattributes patterns follow gitignore rules: a pattern without a slash
+// matches the basename at any depth, one with a slash is relative to the root.
+// `dir/` is read as `dir/**`, which is what people writing it mean.
+function gitAttributesPatternToRegex(pattern) {
+  const normalized = pattern.replace(/\/$/, '/**');
+  const anchored = normalized.includes('/');
+  const source = normalized
+    .replace(/^\//, '')
+    .split('/')
+    .map((segment) => {
+      if (segment === '**') return '\u0000';
+      return escapeRegex(segment).replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+    })
+    .join('/')
+    .replace(/\u0000\//g, '(?:.*/)?')
+    .replace(/\u0000/g, '.*');
+
+  return anchored ? new RegExp(`^${source}$`) : new RegExp(`(^|/)${source}$`);
+}
+
+/**
+ * Parses linguist-generated / linguist-vendored markers from a .gitattributes file.
+ * `-attr` and `attr=false` unset a marker for paths an earlier line matched.
+ * @param {string} content
+ * @returns {{regex: RegExp, generated?: boolean, vendored?: boolean}[]}
+ */
+export function parseGitAttributes(content) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const [pattern, ...attributes] = line.split(/\s+/);
+    const rule = {};
+    for (const attribute of attributes) {
+      const match = attribute.match(/^([-!]?)linguist-(generated|vendored)(?:=(\w+))?$/);
+      if (!match) continue;
+      const [, prefix, name, value] = match;
+      rule[name] = !prefix && value !== 'false';
+    }
+
+    if (rule.generated !== undefined || rule.vendored !== undefined) {
+      rules.push({ regex: gitAttributesPatternToRegex(pattern), ...rule });
+    }
+  }
+
+  return rules;
+}
+
+// Later lines win, as in git
+export function isMarkedGenerated(filePath, rules) {
+  let generated = false;
+  let vendored = false;
+  for (const rule of rules) {
+    if (!rule.regex.test(filePath)) continue;
+    if (rule.generated !== undefined) generated = rule.generated;
+    if (rule.vendored !== undefined) vendored = rule.vendored;
+  }
+  return generated || vendored;
+}
+
+function collectExportTargets(value, targets) {
+  if (typeof value === 'string') {
+    targets.push(value);
+  } else if (value && typeof value === 'object') {
+    for (const nested of Object.values(value)) {
+      collectExportTargets(nested, targets);
+    }
+  }
+}
+
+/**
+ * Repo-relative source paths a package.json declares as entry points
+ * (main, module, browser, bin, exports). Extension-less targets get the usual
+ * Node resolution candidates.
+ * @param {string} content - package.json text
+ * @param {string} packageDir - Directory of the package.json, '.' for the root
+ * @returns {Set<string>}
+ */
+export function getPackageEntryPoints(content, packageDir) {
+  const entryPoints = new Set();
+  let pkg;
+  try {
+    pkg = JSON.parse(content);
+  } catch {
+    return entryPoints;
+  }
+
+  const targets = [];
+  for (const field of ['main', 'module', 'browser', 'bin', 'exports']) {
+    collectExportTargets(pkg[field], targets);
+  }
+
+  for (const target of targets) {
+    const resolved = path.posix.normalize(path.posix.join(packageDir, target));
+    if (resolved.startsWith('..') || resolved.includes('*')) continue;
+    entryPoints.add(resolved);
+    if (!path.posix.extname(resolved)) {
+      entryPoints.add(`${resolved}.js`);
+      entryPoints.add(`${resolved}/index.js`);
+    }
+  }
+
+  return entryPoints;
+}
+
+function getTier(filePath, entryPoints, attributeRules) {
+  if (isMarkedGenerated(filePath, attributeRules)) {
+    return TIERS.MARKED_GENERATED;
+  }
+  if (entryPoints.has(filePath)) {
+    return TIERS.ENTRY_OR_CONFIG;
+  }
+
+  const segments = filePath.split('/');
+  const fileName = segments.pop();
+
+  if (GENERATED_FILE_REGEX.test(fileName) || STORY_FILE_REGEX.test(fileName)
+    || segments.some((segment) => LOW_VALUE_DIRS.has(segment.toLowerCase()))) {
+    return TIERS.LOW_VALUE;
+  }
+  if (TEST_FILE_REGEX.test(fileName) || segments.some((segment) => TEST_DIRS.has(segment.toLowerCase()))) {
+    return TIERS.TESTS;
+  }
+  if (CONFIG_FILE_REGEX.test(fileName) || CREDENTIAL_FILE_REGEX.test(fileName)) {
+    return TIERS.ENTRY_OR_CONFIG;
+  }
+  if (UI_FILE_REGEX.test(fileName) || segments.some((segment) => APP_DIRS.has(segment))) {
+    return TIERS.APP_CODE;
+  }
+  return TIERS.OTHER_CODE;
+}
+
+/**
+ * Orders files so the ones most worth scanning come first: entry points,
+ * config and credential files, then app code and UI components, then other
+ * code, tests, docs, examples, fixtures and generated-looking files, and
+ * finally anything .gitattributes marks linguist-generated or
+ * linguist-vendored. Within a tier, shallower paths come first.
+ * @param {{path: string}[]} files
+ * @param {{entryPoints?: Set<string>, attributeRules?: Object[]}} [hints]
+ *   attributeRules come from parseGitAttributes()
+ */
+export function prioritizeFiles(files, { entryPoints = new Set(), attributeRules = [] } = {}) {
+  return files
+    .map((file) => ({
+      file,
+      tier: getTier(file.path, entryPoints, attributeRules),
+      depth: file.path.split('/').length,
+    }))
+    .sort((a, b) => a.tier - b.tier || a.depth - b.depth || a.file.path.localeCompare(b.file.path))
+    .map(({ file }) => file);
+}
+
+/**
+ * Counts selected files per directory (two levels below the scan root) for
+ * scanScope, largest first and capped at MAX_SAMPLED_DIRECTORIES.
+ * @param {{path: string}[]} files
+ * @param {string} [subPath]
+ * @returns {{path: string, files: number}[]}
+ */
+export function summarizeSampledDirectories(files, subPath) {
+  const counts = new Map();
+  const prefix = subPath ? `${subPath}/` : '';
+
+  for (const file of files) {
+    if (prefix && !file.path.startsWith(prefix)) continue;
+    const segments = file.path.slice(prefix.length).split('/').slice(0, -1).slice(0, 2);
+    const dir = segments.length > 0 ? `${prefix}${segments.join('/')}` : (subPath || '.');
+    counts.set(dir, (counts.get(dir) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .map(([dir, count]) => ({ path: dir, files: count }))
+    .sort((a, b) => b.files - a.files || a.path.localeCompare(b.path))
+    .slice(0, MAX_SAMPLED_DIRECTORIES);
+}
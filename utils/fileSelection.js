@@ -0,0 +1,156 @@
+import * as path from 'path';
+import { CONFIG } from '../lib/config.js';
+import {
+  getPackageEntryPoints,
+  isMarkedGenerated,
+  parseGitAttributes,
+  prioritizeFiles,
+  summarizeSampledDirectories,
+} from './filePriority.js';
+
+// Every file type some analyzer reads
+const FETCHED_FILE_TYPES = [...new Set(Object.values(CONFIG.ANALYZER_FILE_TYPES).flat())];
+
+export function isManifestFile(filePath) {
+  return CONFIG.MANIFEST_FILES.includes(path.posix.basename(filePath));
+}
+
+/**
+ * Whether a file matches a CONFIG.ANALYZER_FILE_TYPES list: by extension
+ * (".yaml"), exact file name ("Dockerfile", ".npmrc") or name prefix (".env*").
+ * @param {string} filePath
+ * @param {string[]} types
+ */
+export function matchesFileType(filePath, types) {
+  const fileName = path.posix.basename(filePath);
+  const ext = path.posix.extname(fileName).toLowerCase();
+  return types.some((type) => {
+    if (type.endsWith('*')) {
+      return fileName.startsWith(type.slice(0, -1));
+    }
+    return fileName === type || (type.startsWith('.') && ext === type);
+  });
+}
+
+export function isAllowedFile(filePath) {
+  for (const ignored of CONFIG.FILES_TO_IGNORE) {
+    if (filePath.startsWith(ignored) || filePath.includes(`/${ignored}`)) {
+      return false;
+    }
+  }
+
+  if (isManifestFile(filePath)) {
+    return true;
+  }
+
+  return matchesFileType(filePath, FETCHED_FILE_TYPES);
+}
+
+export function getMaxFiles(scanMode) {
+  return scanMode === 'fast' 
+    ? CONFIG.FAST_SCAN.maxFiles 
+    : CONFIG.FULL_SCAN.maxFiles;
+}
+
+export function getMaxFileSizeBytes(filePath) {
+  const limitMb = filePath && isManifestFile(filePath)
+    ? CONFIG.MAX_MANIFEST_FILE_SIZE_MB
+    : CONFIG.MAX_FILE_SIZE_MB;
+  return limitMb * 1024 * 1024;
+}
+
+/**
+ * True if filePath belongs to a scan limited to subPath. Manifests in the
+ * directories above subPath (the repo root, the enclosing workspace package)
+ * are kept so workspace detection and dependency audits still work.
+ */
+export function isInScanPath(filePath, subPath) {
+  if (!subPath || filePath.startsWith(`${subPath}/`)) {
+    return true;
+  }
+
+  if (!isManifestFile(filePath)) {
+    return false;
+  }
+  const dir = path.posix.dirname(filePath);
+  return dir === '.' || subPath.startsWith(`${dir}/`);
+}
+
+/**
+ * Files selectFiles() reads to rank the rest: the root .gitattributes and the
+ * package.json files of the root and each directory down to subPath.
+ * @param {{path: string}[]} entries
+ * @param {string} [subPath]
+ * @returns {string[]}
+ */
+export function getPriorityHintPaths(entries, subPath) {
+  const candidates = ['.gitattributes', 'package.json'];
+  if (subPath) {
+    const segments = subPath.split('/');
+    for (let i = 1; i <= segments.length; i++) {
+      candidates.push(`${segments.slice(0, i).join('/')}/package.json`);
+    }
+  }
+
+  const present = new Set(entries.map((item) => item.path));
+  return candidates.filter((candidate) => present.has(candidate));
+}
+
+function buildPriorityHints(hintFiles) {
+  const entryPoints = new Set();
+  let attributeRules = [];
+
+  for (const [filePath, content] of Object.entries(hintFiles)) {
+    if (typeof content !== 'string') continue;
+    if (filePath === '.gitattributes') {
+      attributeRules = parseGitAttributes(content);
+    } else if (path.posix.basename(filePath) === 'package.json') {
+      for (const entryPoint of getPackageEntryPoints(content, path.posix.dirname(filePath))) {
+        entryPoints.add(entryPoint);
+      }
+    }
+  }
+
+  return { entryPoints, attributeRules };
+}
+
+/**
+ * Applies the scan path, allow-list, size limit and scan-mode file cap to a
+ * file listing. Shared by every scan source so scanScope means the same thing
+ * for each. Manifests don't count against the file cap; the rest are ranked
+ * (see prioritizeFiles) so fast mode keeps the most useful ones, with files
+ * .gitattributes marks linguist-generated or linguist-vendored last.
+ * @param {{path: string, size?: number}[]} entries
+ * @param {'fast' | 'full'} scanMode
+ * @param {{subPath?: string, hintFiles?: Object<string, string>}} [options]
+ *   hintFiles maps the paths from getPriorityHintPaths() to their contents
+ */
+export function selectFiles(entries, scanMode, { subPath, hintFiles = {} } = {}) {
+  const { entryPoints, attributeRules } = buildPriorityHints(hintFiles);
+
+  const scopedFiles = entries.filter((item) => isInScanPath(item.path, subPath));
+  const allowedFiles = scopedFiles.filter((item) => isAllowedFile(item.path));
+  const sizedFiles = allowedFiles.filter(
+    (item) => !item.size || item.size <= getMaxFileSizeBytes(item.path)
+  );
+
+  const manifests = sizedFiles.filter((item) => isManifestFile(item.path));
+  const sourceFiles = sizedFiles.filter((item) => !isManifestFile(item.path));
+  const selectedSourceFiles = prioritizeFiles(sourceFiles, { entryPoints, attributeRules }).slice(0, getMaxFiles(scanMode));
+  const selected = new Set(selectedSourceFiles);
+
+  return {
+    scopedFiles,
+    allowedFiles,
+    selectedFiles: [...manifests, ...selectedSourceFiles],
+    // Marked files that didn't make the file cap
+    generatedFilesExcluded: sourceFiles.filter(
+      (item) => !selected.has(item) && isMarkedGenerated(item.path, attributeRules)
+    ).length,
+    sampledDirectories: summarizeSampledDirectories(selectedSourceFiles, subPath),
+  };
+}
+
+export function createTempDir() {
+  return `/tmp/lumen-${Date.now()}`;
+}
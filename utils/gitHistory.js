@@ -0,0 +1,110 @@
+import { runCommand } from './analyzerPool.js';
+import { createTempDir } from './fileSelection.js';
+import { cleanupDir } from './repoFetcher.js';
+import { createSandboxEnv } from './sandbox.js';
+import { CONFIG } from '../lib/config.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[GitHistory] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[GitHistory] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[GitHistory] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[GitHistory] ${msg}`, data ?? ''),
+};
+
+/**
+ * Environment for git: the sandbox's stripped environment, no prompts and no
+ * system or user config (credential helpers, hooks paths). `config` entries are
+ * passed as GIT_CONFIG_* variables so values like auth headers stay out of argv.
+ * @param {[string, string][]} [config] - [key, value] pairs; a key may repeat
+ * @returns {Object}
+ */
+export function createGitEnv(config = []) {
+  const env = createSandboxEnv({
+    GIT_TERMINAL_PROMPT: '0',
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_CONFIG_GLOBAL: '/dev/null',
+    GIT_CONFIG_COUNT: String(config.length),
+  });
+  config.forEach(([key, value], index) => {
+    env[`GIT_CONFIG_KEY_${index}`] = key;
+    env[`GIT_CONFIG_VALUE_${index}`] = value;
+  });
+  return env;
+}
+
+// git's own explanation is the first "fatal:" line; hints and advice follow it
+function describeGitError(stderr) {
+  const lines = stderr.trim().split('\n');
+  const fatal = lines.find((line) => /^(fatal|error): /.test(line));
+  return fatal ? fatal.replace(/^(fatal|error): /, '') : lines.pop();
+}
+
+async function git(args, { config } = {}) {
+  const result = await runCommand('git', args, {
+    timeoutMs: CONFIG.SECRETS_HISTORY.fetchTimeoutMs,
+    env: createGitEnv(config),
+  });
+  if (result.timedOut) {
+    return { success: false, error: `git timed out after ${CONFIG.SECRETS_HISTORY.fetchTimeoutMs}ms` };
+  }
+  if (result.error || result.exitCode !== 0) {
+    return { success: false, error: result.error || describeGitError(result.stderr) || `git exited with code ${result.exitCode}` };
+  }
+  return { success: true, stdout: result.stdout.trim() };
+}
+
+/**
+ * Fetches the last `maxCommits` commits up to commitSha into a new bare
+ * repository, for hosted repos whose snapshot came through the provider API.
+ * One extra commit is fetched so the oldest scanned commit still has its
+ * parent to diff against. The caller removes gitDir when done.
+ * @param {{url: string, headers: Object<string, string>}} cloneRequest - From provider.getCloneRequest()
+ * @param {string} commitSha - The commit the snapshot was taken at
+ * @param {number} maxCommits
+ * @returns {Promise<{success: boolean, gitDir?: string, rev?: string, pathPrefix?: string, temporary?: boolean, error?: string}>}
+ */
+export async function fetchRepositoryHistory(cloneRequest, commitSha, maxCommits) {
+  const gitDir = `${createTempDir()}-history.git`;
+  const config = Object.entries(cloneRequest.headers).map(([name, value]) => ['http.extraHeader', `${name}: ${value}`]);
+
+  const init = await git(['init', '--bare', '--quiet', gitDir]);
+  if (!init.success) {
+    cleanupDir(gitDir);
+    return { success: false, error: `Failed to create history repository: ${init.error}` };
+  }
+
+  logger.info(`Fetching ${maxCommits} commits of history up to ${commitSha}`);
+  const fetched = await git(
+    ['--git-dir', gitDir, 'fetch', '--quiet', '--no-tags', `--depth=${maxCommits + 1}`, cloneRequest.url, commitSha],
+    { config }
+  );
+  if (!fetched.success) {
+    cleanupDir(gitDir);
+    return { success: false, error: `Failed to fetch history: ${fetched.error}` };
+  }
+
+  return { success: true, gitDir, rev: commitSha, pathPrefix: '', temporary: true };
+}
+
+/**
+ * The git repository a local scan path belongs to (a working tree or a bare
+ * repository), and the commit its HEAD points at. pathPrefix is where the
+ * scanned directory sits inside the repository ("" at its root), since
+ * snapshot paths are relative to the directory.
+ * @param {string} dir
+ * @returns {Promise<{success: boolean, gitDir?: string, rev?: string, pathPrefix?: string, temporary?: boolean, error?: string}>}
+ */
+export async function findLocalRepository(dir) {
+  const location = await git(['-C', dir, 'rev-parse', '--absolute-git-dir', '--show-prefix']);
+  if (!location.success) {
+    return { success: false, error: 'Local path is not inside a git repository' };
+  }
+  const [gitDir, pathPrefix = ''] = location.stdout.split('\n');
+
+  const head = await git(['--git-dir', gitDir, 'rev-parse', '--verify', 'HEAD^{commit}']);
+  if (!head.success) {
+    return { success: false, error: 'Local repository has no commits' };
+  }
+
+  return { success: true, gitDir, rev: head.stdout, pathPrefix, temporary: false };
+}
@@ -0,0 +1,161 @@
+// Deprecated SPDX ids and common free-text spellings found in package.json files
+const LICENSE_ALIASES = {
+  'gpl-2.0': 'GPL-2.0-only',
+  'gpl-2.0+': 'GPL-2.0-or-later',
+  'gpl-3.0': 'GPL-3.0-only',
+  'gpl-3.0+': 'GPL-3.0-or-later',
+  'lgpl-2.1': 'LGPL-2.1-only',
+  'lgpl-2.1+': 'LGPL-2.1-or-later',
+  'lgpl-3.0': 'LGPL-3.0-only',
+  'lgpl-3.0+': 'LGPL-3.0-or-later',
+  'agpl-3.0': 'AGPL-3.0-only',
+  'agpl-3.0+': 'AGPL-3.0-or-later',
+  'apache 2.0': 'Apache-2.0',
+  'apache-2': 'Apache-2.0',
+  'apache license 2.0': 'Apache-2.0',
+  'apache license, version 2.0': 'Apache-2.0',
+  'mit license': 'MIT',
+  'mit/x11': 'MIT',
+  'bsd-3': 'BSD-3-Clause',
+  'bsd-2': 'BSD-2-Clause',
+  'public domain': 'Unlicense',
+};
+
+// Values that say something about the license without naming one
+const UNKNOWN_LICENSE = /^(unlicensed|unknown|none|see license in .*|custom.*|proprietary)$/i;
+
+function normalizeLicenseId(id) {
+  return LICENSE_ALIASES[id.toLowerCase()] || id;
+}
+
+function tokenize(expression) {
+  return expression
+    .replace(/\(/g, ' ( ')
+    .replace(/\)/g, ' ) ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Parses an SPDX license expression ("MIT", "(MIT OR Apache-2.0)",
+ * "GPL-2.0-only WITH Classpath-exception-2.0 AND BSD-3-Clause") into the ways
+ * it can be satisfied: an OR of AND-ed license lists. Throws on malformed input.
+ * @param {string} expression
+ * @returns {string[][]} e.g. [['MIT'], ['Apache-2.0']]
+ */
+export function parseLicenseExpression(expression) {
+  // Free-text names with spaces ("Apache License 2.0") aren't expressions
+  const alias = LICENSE_ALIASES[expression.trim().toLowerCase()];
+  const tokens = tokenize(alias || expression);
+  let position = 0;
+
+  const peek = () => tokens[position]?.toUpperCase();
+
+  function parseOr() {
+    let alternatives = parseAnd();
+    while (peek() === 'OR') {
+      position++;
+      alternatives = [...alternatives, ...parseAnd()];
+    }
+    return alternatives;
+  }
+
+  function parseAnd() {
+    let alternatives = parsePrimary();
+    while (peek() === 'AND') {
+      position++;
+      const right = parsePrimary();
+      // (a OR b) AND c => [a, c] OR [b, c]
+      alternatives = alternatives.flatMap((left) => right.map((licenses) => [...left, ...licenses]));
+    }
+    return alternatives;
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (token === undefined || [')', 'AND', 'OR', 'WITH'].includes(token.toUpperCase())) {
+      throw new Error(`Unexpected ${token === undefined ? 'end of expression' : `"${token}"`}`);
+    }
+    if (token === '(') {
+      const inner = parseOr();
+      if (tokens[position++] !== ')') throw new Error('Missing ")"');
+      return inner;
+    }
+
+    let license = normalizeLicenseId(token);
+    if (peek() === 'WITH') {
+      position++;
+      const exception = tokens[position++];
+      if (!exception || exception === '(' || exception === ')') throw new Error('Missing license exception');
+      license = `${license} WITH ${exception}`;
+    }
+    return [[license]];
+  }
+
+  const alternatives = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position]}"`);
+  }
+  return alternatives;
+}
+
+// Policy entries are SPDX ids, optionally with a trailing * ("GPL-*") or a WITH exception
+function matchesRule(license, rule) {
+  const candidate = license.toLowerCase();
+  const pattern = rule.toLowerCase();
+  const base = candidate.split(' with ')[0];
+  if (pattern.endsWith('*')) {
+    return base.startsWith(pattern.slice(0, -1));
+  }
+  return candidate === pattern || base === pattern;
+}
+
+function findRule(license, rules) {
+  return rules.find((rule) => matchesRule(license, rule)) || null;
+}
+
+/**
+ * Checks a package's license against an allow/deny policy. An expression is
+ * allowed when one of its alternatives uses only allowed licenses, and denied
+ * when every alternative needs a denied one; anything else is `not_allowed`
+ * (needs review). Deny rules win over allow rules.
+ * @param {string | undefined} expression - the package's `license` field
+ * @param {{allow: string[], deny: string[]}} policy
+ * @returns {{status: 'allowed' | 'denied' | 'not_allowed' | 'unknown', licenses: string[], deniedBy: string[], reason?: string}}
+ */
+export function evaluateLicense(expression, policy) {
+  if (!expression || UNKNOWN_LICENSE.test(expression.trim())) {
+    return {
+      status: 'unknown',
+      licenses: [],
+      deniedBy: [],
+      reason: expression ? `declares "${expression}"` : 'declares no license',
+    };
+  }
+
+  let alternatives;
+  try {
+    alternatives = parseLicenseExpression(expression);
+  } catch (error) {
+    return { status: 'unknown', licenses: [], deniedBy: [], reason: `"${expression}" is not an SPDX expression (${error.message})` };
+  }
+
+  const licenses = [...new Set(alternatives.flat())];
+  const deniedBy = new Set();
+  let hasAllowed = false;
+  let hasUndenied = false;
+
+  for (const alternative of alternatives) {
+    const denied = alternative.map((license) => findRule(license, policy.deny)).filter(Boolean);
+    denied.forEach((rule) => deniedBy.add(rule));
+    if (denied.length > 0) continue;
+
+    hasUndenied = true;
+    if (alternative.every((license) => findRule(license, policy.allow))) {
+      hasAllowed = true;
+    }
+  }
+
+  const status = hasAllowed ? 'allowed' : hasUndenied ? 'not_allowed' : 'denied';
+  return { status, licenses, deniedBy: status === 'denied' ? [...deniedBy] : [] };
+}
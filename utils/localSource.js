@@ -0,0 +1,241 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { CONFIG } from '../lib/config.js';
+import { extractArchiveFile } from './archiveExtractor.js';
+import { cleanupDir } from './repoFetcher.js';
+import {
+  createTempDir,
+  getMaxFileSizeBytes,
+  getPriorityHintPaths,
+  isAllowedFile,
+  selectFiles,
+} from './fileSelection.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[LocalSource] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[LocalSource] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[LocalSource] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[LocalSource] ${msg}`, data ?? ''),
+};
+
+function isInsideRoot(candidate, root) {
+  return candidate === root || candidate.startsWith(`${root}${path.sep}`);
+}
+
+/**
+ * Checks a requested local path against CONFIG.LOCAL_SCAN_ROOTS.
+ * Symlinks are resolved first so a link inside a root can't point outside it.
+ */
+export function resolveLocalPath(requestedPath) {
+  if (CONFIG.LOCAL_SCAN_ROOTS.length === 0) {
+    return { isValid: false, code: 'LOCAL_SCAN_DISABLED', error: 'Local directory scanning is not enabled on this server' };
+  }
+
+  if (typeof requestedPath !== 'string' || !path.isAbsolute(requestedPath)) {
+    return { isValid: false, code: 'LOCAL_PATH_NOT_ALLOWED', error: 'localPath must be an absolute path' };
+  }
+
+  let realPath;
+  try {
+    realPath = fs.realpathSync(requestedPath);
+  } catch {
+    return { isValid: false, code: 'LOCAL_PATH_NOT_FOUND', error: 'Local path does not exist' };
+  }
+
+  const allowed = CONFIG.LOCAL_SCAN_ROOTS.some((root) => {
+    try {
+      return isInsideRoot(realPath, fs.realpathSync(root));
+    } catch {
+      return false;
+    }
+  });
+  if (!allowed) {
+    return { isValid: false, code: 'LOCAL_PATH_NOT_ALLOWED', error: 'Local path is outside the allowed scan roots' };
+  }
+
+  if (!fs.statSync(realPath).isDirectory()) {
+    return { isValid: false, code: 'LOCAL_PATH_NOT_FOUND', error: 'Local path is not a directory' };
+  }
+
+  return { isValid: true, path: realPath };
+}
+
+function readHintFiles(rootDir, entries, subPath) {
+  const hintFiles = {};
+  for (const hintPath of getPriorityHintPaths(entries, subPath)) {
+    try {
+      hintFiles[hintPath] = fs.readFileSync(path.join(rootDir, hintPath), 'utf-8');
+    } catch (error) {
+      logger.debug(`Could not read ${hintPath} for file prioritization: ${error.message}`);
+    }
+  }
+  return hintFiles;
+}
+
+// Lists regular files without following symlinks, skipping ignored directories early
+function listLocalFiles(rootDir) {
+  const entries = [];
+  const ignoredNames = CONFIG.FILES_TO_IGNORE.map((ignored) => ignored.replace(/\/$/, ''));
+  const stack = [''];
+
+  while (stack.length > 0) {
+    const relativeDir = stack.pop();
+    let dirEntries;
+    try {
+      dirEntries = fs.readdirSync(path.join(rootDir, relativeDir), { withFileTypes: true });
+    } catch (error) {
+      logger.debug(`Error reading directory ${relativeDir}: ${error.message}`);
+      continue;
+    }
+
+    for (const entry of dirEntries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (!ignoredNames.includes(entry.name)) {
+          stack.push(relativePath);
+        }
+      } else if (entry.isFile()) {
+        entries.push({ path: relativePath, size: fs.statSync(path.join(rootDir, relativePath)).size });
+        if (entries.length >= CONFIG.ARCHIVE.maxEntries) {
+          return { entries, complete: false };
+        }
+      }
+    }
+  }
+
+  entries.sort((a, b) => a.path.localeCompare(b.path));
+  return { entries, complete: true };
+}
+
+/**
+ * Copies the selected files of an allow-listed local directory into a temp dir,
+ * so analyzers and cleanup never touch the original.
+ */
+export function materializeLocalDirectory(localPath, scanMode = 'fast', { subPath } = {}) {
+  const tempDir = createTempDir();
+  logger.info(`Copying local directory ${localPath} (mode: ${scanMode})`);
+
+  try {
+    const { entries, complete } = listLocalFiles(localPath);
+    const hintFiles = readHintFiles(localPath, entries, subPath);
+    const {
+      scopedFiles,
+      allowedFiles,
+      selectedFiles,
+      generatedFilesExcluded,
+      sampledDirectories,
+    } = selectFiles(entries, scanMode, { subPath, hintFiles });
+    if (subPath && !scopedFiles.some((item) => item.path.startsWith(`${subPath}/`))) {
+      return { success: false, error: `Path not found in directory: ${subPath}` };
+    }
+
+    fs.mkdirSync(tempDir, { recursive: true });
+    let filesScanned = 0;
+    for (const file of selectedFiles) {
+      const targetPath = path.join(tempDir, file.path);
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.copyFileSync(path.join(localPath, file.path), targetPath);
+      filesScanned++;
+    }
+
+    logger.info(`Files: ${scopedFiles.length} total, ${allowedFiles.length} allowed, ${filesScanned} copied`);
+
+    return {
+      success: true,
+      tempDir,
+      fileCount: scopedFiles.length,
+      fileListingComplete: complete,
+      filesScanned,
+      filesSkipped: scopedFiles.length - filesScanned,
+      generatedFilesExcluded,
+      sampledDirectories,
+    };
+  } catch (error) {
+    cleanupDir(tempDir);
+    return { success: false, error: `Failed to read local directory: ${error.message}` };
+  }
+}
+
+// Archives are often a single wrapping folder (my-app/...); scan from inside it
+function unwrapSingleRootDir(tempDir, entries) {
+  const roots = new Set(entries.map((entry) => entry.path.split('/')[0]));
+  if (roots.size !== 1 || entries.some((entry) => !entry.path.includes('/'))) {
+    return entries;
+  }
+
+  const [rootName] = roots;
+  const wrapperDir = path.join(tempDir, `.lumen-unwrap-${Date.now()}`);
+  if (fs.existsSync(path.join(tempDir, rootName))) {
+    fs.renameSync(path.join(tempDir, rootName), wrapperDir);
+    for (const child of fs.readdirSync(wrapperDir)) {
+      fs.renameSync(path.join(wrapperDir, child), path.join(tempDir, child));
+    }
+    fs.rmSync(wrapperDir, { recursive: true, force: true });
+  }
+
+  return entries.map((entry) => ({ ...entry, path: entry.path.slice(rootName.length + 1) }));
+}
+
+/**
+ * Extracts an uploaded .zip/.tar.gz into a temp dir laid out like a fetched repo.
+ * Every allowed file is extracted, then the scan-mode selection prunes the rest.
+ */
+export async function materializeUpload(archivePath, originalName, scanMode = 'fast', { subPath } = {}) {
+  const tempDir = createTempDir();
+  logger.info(`Extracting uploaded archive ${originalName} (mode: ${scanMode})`);
+
+  let entries = [];
+  try {
+    fs.mkdirSync(tempDir, { recursive: true });
+    await extractArchiveFile(archivePath, tempDir, {
+      shouldExtract: (relativePath, size) => {
+        // .gitattributes is only read for file prioritization and removed with the other unselected files
+        const isHintFile = /^([^/]+\/)?\.gitattributes$/.test(relativePath) && size <= getMaxFileSizeBytes();
+        const extracted = isHintFile
+          || (isAllowedFile(relativePath) && size <= getMaxFileSizeBytes(relativePath));
+        entries.push({ path: relativePath, size, extracted });
+        return extracted;
+      },
+    });
+  } catch (error) {
+    cleanupDir(tempDir);
+    logger.warn(`Failed to extract upload: ${error.message}`);
+    return { success: false, error: `Could not extract archive: ${error.message}` };
+  }
+
+  entries = unwrapSingleRootDir(tempDir, entries);
+  const hintFiles = readHintFiles(tempDir, entries, subPath);
+  const {
+    scopedFiles,
+    allowedFiles,
+    selectedFiles,
+    generatedFilesExcluded,
+    sampledDirectories,
+  } = selectFiles(entries, scanMode, { subPath, hintFiles });
+  if (subPath && !scopedFiles.some((item) => item.path.startsWith(`${subPath}/`))) {
+    cleanupDir(tempDir);
+    return { success: false, error: `Path not found in archive: ${subPath}` };
+  }
+  const selected = new Set(selectedFiles.map((file) => file.path));
+
+  // Drop files outside the scan path or past the scan-mode cap so analyzers see the same set scanScope reports
+  for (const file of entries) {
+    if (file.extracted && !selected.has(file.path)) {
+      fs.rmSync(path.join(tempDir, file.path), { force: true });
+    }
+  }
+
+  logger.info(`Files: ${scopedFiles.length} total, ${allowedFiles.length} allowed, ${selected.size} extracted`);
+
+  return {
+    success: true,
+    tempDir,
+    fileCount: scopedFiles.length,
+    fileListingComplete: true,
+    filesScanned: selected.size,
+    filesSkipped: scopedFiles.length - selected.size,
+    generatedFilesExcluded,
+    sampledDirectories,
+  };
+}
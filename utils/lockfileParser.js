@@ -0,0 +1,632 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { CONFIG } from '../lib/config.js';
+import { detectWorkspaces, filterWorkspacesToPath } from './workspaces.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[Lockfile] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[Lockfile] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[Lockfile] ${msg}`, data ?? ''),
+};
+
+// In lookup order: npm-shrinkwrap.json wins over package-lock.json, as it does for npm
+const LOCKFILES = [
+  { file: 'npm-shrinkwrap.json', manager: 'npm' },
+  { file: 'package-lock.json', manager: 'npm' },
+  { file: 'pnpm-lock.yaml', manager: 'pnpm' },
+  { file: 'yarn.lock', manager: 'yarn' },
+];
+
+// Manifest fields that make a package a top-level dependency, and the ones a package's own dependencies come from
+const ROOT_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+const NODE_FIELDS = ['dependencies', 'optionalDependencies', 'peerDependencies'];
+
+// Registry versions only; git, file and tarball dependencies have nothing to match advisories against
+function isRegistryVersion(version) {
+  return typeof version === 'string' && /^\d+\.\d+\.\d+/.test(version);
+}
+
+/**
+ * Splits a package spec ("@scope/name@^1.0.0", "name@npm:^1.0.0") into name
+ * and range. npm aliases ("alias@npm:real@^1.0.0") resolve to the real package.
+ */
+function parseSpec(spec) {
+  const at = spec.indexOf('@', 1);
+  if (at === -1) {
+    return { name: spec, range: '' };
+  }
+  const name = spec.slice(0, at);
+  const range = spec.slice(at + 1);
+
+  if (range.startsWith('npm:') && range.indexOf('@', 5) > 0) {
+    return parseSpec(range.slice(4));
+  }
+  return { name, range };
+}
+
+// Registry tarballs (any registry host) end in /<name>/-/<name>-<version>.tgz
+const REGISTRY_TARBALL = /\/-\/[^/]+-\d+\.\d+\.\d+[^/]*\.tgz([?#].*)?$/;
+
+/**
+ * Whether a package.json spec or a lockfile's resolved URL points outside the
+ * registry: a git repository ('git') or an arbitrary tarball URL ('tarball').
+ * @param {string} spec
+ * @returns {'git' | 'tarball' | null}
+ */
+export function classifySource(spec) {
+  if (typeof spec !== 'string') return null;
+  const isGit = /^(git\+|git:\/\/|git@|github:|gitlab:|bitbucket:|gist:)/.test(spec)
+    || /^https?:\/\/\S+\.git(#.*)?$/.test(spec)
+    // yarn and pnpm resolve GitHub dependencies to codeload tarballs
+    || /^https:\/\/codeload\.github\.com\//.test(spec);
+  if (isGit) {
+    return 'git';
+  }
+  if (/^https?:\/\//.test(spec)) {
+    return REGISTRY_TARBALL.test(spec) ? null : 'tarball';
+  }
+  // GitHub shorthand, only ever written in package.json: user/repo or user/repo#ref
+  if (/^[\w.-]+\/[\w.-]+(#\S+)?$/.test(spec)) {
+    return 'git';
+  }
+  return null;
+}
+
+function unquote(text) {
+  return text.trim().replace(/^["']|["']$/g, '');
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Just enough YAML for pnpm-lock.yaml and berry's yarn.lock: nested block
+ * mappings of scalars. Flow values ({integrity: ...}) stay strings and list
+ * items are ignored, since neither format needs them here.
+ */
+function parseYamlMappings(content) {
+  const root = {};
+  const stack = [{ indent: -1, value: root }];
+
+  for (const raw of content.split('\n')) {
+    const trimmed = raw.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('- ')) continue;
+
+    // Plain keys may contain ':' (pnpm's name@https://... keys) as long as no space follows it
+    const entry = trimmed.match(/^("[^"]*"|'[^']*'|[^:\s].*?)\s*:(?:\s+(.*))?$/);
+    if (!entry) continue;
+
+    const indent = raw.length - raw.trimStart().length;
+    while (stack[stack.length - 1].indent >= indent) stack.pop();
+    const parent = stack[stack.length - 1].value;
+
+    const key = unquote(entry[1]);
+    if (entry[2] === undefined || entry[2] === '') {
+      parent[key] = {};
+      stack.push({ indent, value: parent[key] });
+    } else {
+      parent[key] = unquote(entry[2]);
+    }
+  }
+
+  return root;
+}
+
+// Manifests for the lockfile's project and its workspace packages, keyed by importer dir
+function readImporterManifests(lockfileDir) {
+  const { packages } = detectWorkspaces(lockfileDir);
+  const importers = [];
+  for (const pkg of packages) {
+    const manifest = readJson(path.join(lockfileDir, pkg.dir, 'package.json'));
+    if (manifest) importers.push({ dir: pkg.dir, manifest });
+  }
+  return importers;
+}
+
+// ============================================
+// npm (package-lock.json / npm-shrinkwrap.json)
+// ============================================
+
+/**
+ * Node's module resolution over install paths: node_modules/<name> next to
+ * `fromPath`, then in each enclosing node_modules, then at the root.
+ */
+function resolveInstallPath(nodes, fromPath, name) {
+  let base = fromPath;
+  for (;;) {
+    const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+    if (nodes.has(candidate)) return candidate;
+    if (!base) return null;
+    const parent = base.lastIndexOf('/node_modules/');
+    base = parent === -1 ? '' : base.slice(0, parent);
+  }
+}
+
+// `license` is an SPDX expression; very old packages use {type} or a `licenses` array
+function licenseOf(info) {
+  if (typeof info.license === 'string') return info.license;
+  if (info.license?.type) return info.license.type;
+  if (Array.isArray(info.licenses) && info.licenses.length > 0) {
+    return info.licenses.map((entry) => entry.type || entry).join(' OR ');
+  }
+  return undefined;
+}
+
+// v1 lockfiles nest `dependencies`; ids use the same install paths as v2/v3
+function collectLegacyDependencies(dependencies, parentPath, nodes, requires, external) {
+  for (const [name, info] of Object.entries(dependencies || {})) {
+    const id = parentPath ? `${parentPath}/node_modules/${name}` : `node_modules/${name}`;
+    if (isRegistryVersion(info.version)) {
+      nodes.set(id, { name, version: info.version, dev: info.dev === true, dependencies: [] });
+      requires.set(id, Object.keys(info.requires || {}));
+    }
+
+    // v1 puts git and tarball URLs in `version`
+    const source = classifySource(info.version) ? info.version : info.resolved;
+    if (classifySource(source)) {
+      external.push({ name, source, kind: classifySource(source), id: nodes.has(id) ? id : null });
+    }
+    collectLegacyDependencies(info.dependencies, id, nodes, requires, external);
+  }
+}
+
+function parsePackageLock(content, lockfileDir) {
+  const lock = JSON.parse(content);
+  const nodes = new Map();
+  const dependencyNames = new Map();
+  const importers = [];
+  const external = [];
+
+  if (lock.packages) {
+    // v2/v3: flat map keyed by install path, e.g. node_modules/a/node_modules/b
+    for (const [installPath, info] of Object.entries(lock.packages)) {
+      const marker = installPath.lastIndexOf('node_modules/');
+      if (marker === -1) {
+        // '' is the root project; other paths without node_modules/ are workspace packages
+        importers.push({ dir: installPath || '.', manifest: info, installPath });
+        continue;
+      }
+      if (info.link) continue;
+
+      // Aliased installs record the real package name
+      const name = info.name || installPath.slice(marker + 'node_modules/'.length);
+      const kind = classifySource(info.resolved);
+      if (kind) {
+        external.push({ name, source: info.resolved, kind, id: isRegistryVersion(info.version) ? installPath : null });
+      }
+      if (!isRegistryVersion(info.version)) continue;
+
+      nodes.set(installPath, {
+        name,
+        version: info.version,
+        dev: info.dev === true,
+        license: licenseOf(info),
+        hasInstallScript: info.hasInstallScript === true,
+        dependencies: [],
+      });
+      dependencyNames.set(installPath, NODE_FIELDS.flatMap((field) => Object.keys(info[field] || {})));
+    }
+  } else {
+    collectLegacyDependencies(lock.dependencies, '', nodes, dependencyNames, external);
+    for (const importer of readImporterManifests(lockfileDir)) {
+      importers.push({ ...importer, installPath: importer.dir === '.' ? '' : importer.dir });
+    }
+  }
+
+  for (const [id, names] of dependencyNames) {
+    const node = nodes.get(id);
+    for (const name of names) {
+      const resolved = resolveInstallPath(nodes, id, name);
+      if (resolved) node.dependencies.push(resolved);
+    }
+  }
+
+  const roots = [];
+  for (const importer of importers) {
+    for (const field of ROOT_FIELDS) {
+      for (const name of Object.keys(importer.manifest[field] || {})) {
+        const id = resolveInstallPath(nodes, importer.installPath, name);
+        if (id) roots.push({ importer: importer.dir, name, field, id });
+      }
+    }
+  }
+
+  // v1 lockfiles don't copy `license` or `hasInstallScript` from the package
+  return {
+    lockfileVersion: String(lock.lockfileVersion ?? 1),
+    nodes,
+    roots,
+    external,
+    recordsLicenses: Boolean(lock.packages),
+  };
+}
+
+// ============================================
+// yarn (yarn.lock, classic and berry)
+// ============================================
+
+// Classic yarn.lock is its own format: unindented spec headers, `key "value"` fields
+function parseClassicYarnEntries(content) {
+  const entries = [];
+  let current = null;
+  let dependencyBlock = null;
+
+  for (const line of content.split('\n')) {
+    if (!line.trim() || line.startsWith('#')) continue;
+
+    if (!/^\s/.test(line)) {
+      current = line.endsWith(':') ? { specs: line.slice(0, -1), dependencies: {} } : null;
+      if (current) entries.push(current);
+      dependencyBlock = null;
+      continue;
+    }
+    if (!current) continue;
+
+    if (/^ {2}\S/.test(line)) {
+      dependencyBlock = /^ {2}(dependencies|optionalDependencies):\s*$/.test(line) ? current.dependencies : null;
+      const field = line.match(/^ {2}(version|resolved)\s+"?([^"\s]+)"?\s*$/);
+      if (field) current[field[1]] = field[2];
+      continue;
+    }
+
+    const dependency = dependencyBlock && line.match(/^ {4}"?([^"\s]+)"?\s+"?([^"]+?)"?\s*$/);
+    if (dependency) {
+      dependencyBlock[dependency[1]] = dependency[2];
+    }
+  }
+
+  return entries.map((entry) => {
+    const { name } = parseSpec(unquote(entry.specs.split(',')[0]));
+    return { ...entry, name };
+  });
+}
+
+function parseBerryYarnEntries(content) {
+  const doc = parseYamlMappings(content);
+  const entries = [];
+
+  for (const [specs, info] of Object.entries(doc)) {
+    if (specs === '__metadata' || typeof info !== 'object') continue;
+    // workspace:, patch:, link:, portal: and git resolutions aren't registry packages
+    const resolved = info.resolution && parseSpec(info.resolution);
+    entries.push({
+      specs,
+      name: resolved?.range.startsWith('npm:') ? resolved.name : null,
+      version: info.version,
+      resolved: resolved?.range,
+      dependencies: { ...info.dependencies, ...info.optionalDependencies },
+    });
+  }
+
+  return { entries, metadataVersion: doc.__metadata?.version };
+}
+
+/**
+ * Both yarn formats list one block per resolution, headed by the specs it
+ * satisfies; a dependency (name, range) is resolved by looking up its spec.
+ */
+function parseYarnLock(content, lockfileDir) {
+  const isBerry = /^__metadata:/m.test(content);
+  const { entries, metadataVersion } = isBerry
+    ? parseBerryYarnEntries(content)
+    : { entries: parseClassicYarnEntries(content) };
+
+  const nodes = new Map();
+  const specToId = new Map();
+  for (const entry of entries) {
+    const id = entry.name && isRegistryVersion(entry.version) ? `${entry.name}@${entry.version}` : null;
+    if (id && !nodes.has(id)) {
+      // yarn.lock doesn't record whether a package is only needed for development
+      nodes.set(id, { name: entry.name, version: entry.version, dev: undefined, dependencies: [] });
+    }
+    for (const spec of entry.specs.split(',')) {
+      specToId.set(unquote(spec), id);
+    }
+  }
+
+  const resolve = (name, range) => specToId.get(`${name}@${range}`) || specToId.get(`${name}@npm:${range}`) || null;
+
+  const external = [];
+  for (const entry of entries) {
+    const kind = classifySource(entry.resolved);
+    if (kind) {
+      const { name } = parseSpec(unquote(entry.specs.split(',')[0]));
+      const id = `${name}@${entry.version}`;
+      external.push({ name, source: entry.resolved, kind, id: nodes.has(id) ? id : null });
+    }
+  }
+
+  for (const entry of entries) {
+    const node = entry.name && nodes.get(`${entry.name}@${entry.version}`);
+    if (!node) continue;
+    for (const [name, range] of Object.entries(entry.dependencies)) {
+      const id = resolve(name, range);
+      if (id && !node.dependencies.includes(id)) node.dependencies.push(id);
+    }
+  }
+
+  const roots = [];
+  for (const importer of readImporterManifests(lockfileDir)) {
+    for (const field of ROOT_FIELDS) {
+      for (const [name, range] of Object.entries(importer.manifest[field] || {})) {
+        const id = resolve(name, range);
+        if (id) roots.push({ importer: importer.dir, name, field, id });
+      }
+    }
+  }
+
+  return { lockfileVersion: isBerry ? String(metadataVersion || 'berry') : '1', nodes, roots, external };
+}
+
+// ============================================
+// pnpm (pnpm-lock.yaml)
+// ============================================
+
+/**
+ * Reads a pnpm-lock.yaml package key. v5 writes /name/version_peers,
+ * v6 /name@version(peers) and v9 name@version(peers).
+ */
+function parsePnpmKey(key, majorVersion) {
+  const trimmed = unquote(key).replace(/^\//, '');
+  const withoutPeers = trimmed.replace(/\(.*$/, '');
+
+  if (majorVersion < 6) {
+    const slash = withoutPeers.lastIndexOf('/');
+    return {
+      name: withoutPeers.slice(0, slash),
+      version: withoutPeers.slice(slash + 1).split('_')[0],
+    };
+  }
+
+  const { name, range } = parseSpec(withoutPeers);
+  return { name, version: range.split('_')[0] };
+}
+
+// A dependency reference is a bare version (with peer suffix), an alias
+// (/real/1.0.0 or real@1.0.0) or a link: to a workspace package
+function resolvePnpmReference(name, reference, majorVersion) {
+  if (typeof reference !== 'string' || reference.startsWith('link:')) return null;
+  let withoutPeers = reference.replace(/\(.*$/, '');
+  if (majorVersion < 6) withoutPeers = withoutPeers.split('_')[0];
+
+  if (withoutPeers.startsWith('/') || withoutPeers.indexOf('@', 1) > 0) {
+    const aliased = parsePnpmKey(withoutPeers, majorVersion);
+    return `${aliased.name}@${aliased.version}`;
+  }
+  return `${name}@${withoutPeers}`;
+}
+
+function parsePnpmLock(content) {
+  const doc = parseYamlMappings(content);
+  const lockfileVersion = String(doc.lockfileVersion || '5');
+  const majorVersion = parseFloat(lockfileVersion);
+  const nodes = new Map();
+  const external = [];
+
+  for (const [key, info] of Object.entries(doc.packages || {})) {
+    const { name, version } = parsePnpmKey(key, majorVersion);
+
+    // resolution is a flow mapping: {integrity: ...}, {tarball: <url>} or {type: git, repo: <url>, commit: <sha>}
+    const resolution = typeof info.resolution === 'string' ? info.resolution : '';
+    const source = resolution.match(/(?:tarball|repo):\s*([^,}\s]+)/)?.[1];
+    const kind = /type:\s*git/.test(resolution) ? 'git' : classifySource(source);
+    if (kind) {
+      external.push({ name: info.name || name, source, kind, id: isRegistryVersion(version) ? `${name}@${version}` : null });
+    }
+
+    if (!isRegistryVersion(version)) continue;
+    // v9 moved the dev flag out of `packages:`; older lockfiles mark dev-only packages
+    const dev = info.dev === 'true' ? true : info.dev === 'false' ? false : undefined;
+    // requiresBuild was dropped in v9
+    const hasInstallScript = info.requiresBuild === 'true' ? true : undefined;
+    nodes.set(`${name}@${version}`, { name, version, dev, hasInstallScript, dependencies: [] });
+  }
+
+  // v9 keeps each package's resolved dependencies in `snapshots:`
+  const withDependencies = majorVersion >= 9 ? doc.snapshots : doc.packages;
+  for (const [key, info] of Object.entries(withDependencies || {})) {
+    const { name, version } = parsePnpmKey(key, majorVersion);
+    const node = nodes.get(`${name}@${version}`);
+    if (!node || typeof info !== 'object') continue;
+    for (const field of NODE_FIELDS) {
+      for (const [dependencyName, reference] of Object.entries(info[field] || {})) {
+        const id = resolvePnpmReference(dependencyName, reference, majorVersion);
+        if (id && nodes.has(id) && !node.dependencies.includes(id)) node.dependencies.push(id);
+      }
+    }
+  }
+
+  // Single-project lockfiles before v9 keep the importer's fields at the top level
+  const importers = doc.importers || { '.': doc };
+  const roots = [];
+  for (const [dir, importer] of Object.entries(importers)) {
+    for (const field of ROOT_FIELDS) {
+      for (const [name, value] of Object.entries(importer[field] || {})) {
+        // v5 maps name -> version; v6+ maps name -> {specifier, version}
+        const reference = typeof value === 'string' ? value : value.version;
+        const id = resolvePnpmReference(name, reference, majorVersion);
+        if (id && nodes.has(id)) roots.push({ importer: dir, name, field, id });
+      }
+    }
+  }
+
+  return { lockfileVersion, nodes, roots, external };
+}
+
+const PARSERS = {
+  'npm-shrinkwrap.json': parsePackageLock,
+  'package-lock.json': parsePackageLock,
+  'pnpm-lock.yaml': parsePnpmLock,
+  'yarn.lock': parseYarnLock,
+};
+
+// A package installed at several paths is listed once; it is dev-only if every copy is
+function dedupePackages(nodes) {
+  const byKey = new Map();
+  for (const node of nodes.values()) {
+    const key = `${node.name}@${node.version}`;
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, { name: node.name, version: node.version, dev: node.dev, license: node.license });
+    } else if (existing.dev !== undefined) {
+      existing.dev = existing.dev && node.dev;
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Finds the lockfile a package manager would use in dir.
+ * @returns {{file: string, manager: 'npm' | 'yarn' | 'pnpm'} | null}
+ */
+export function findLockfile(dir) {
+  return LOCKFILES.find((lockfile) => fs.existsSync(path.join(dir, lockfile.file))) || null;
+}
+
+/**
+ * Lists the registry packages resolved in a package-lock.json (v1-v3),
+ * npm-shrinkwrap.json, yarn.lock (classic or berry) or pnpm-lock.yaml, and
+ * the dependency graph between them. `dev` is undefined where the lockfile
+ * doesn't record it; `license` is only recorded by package-lock.json v2+
+ * (`recordsLicenses`), `hasInstallScript` by package-lock.json v2+ and
+ * pnpm-lock.yaml before v9.
+ *
+ * `external` lists packages resolved from a git repository or a tarball URL
+ * instead of the registry, with their graph node id when they have one.
+ *
+ * graph.nodes maps a node id (install path for npm, name@version otherwise)
+ * to the package and the node ids it depends on; graph.roots are the
+ * top-level dependencies declared by each importer (the project or one of its
+ * workspace packages, by directory relative to the lockfile).
+ * @param {string} filePath
+ * @returns {{success: boolean, manager?: string, lockfileVersion?: string, packages: {name: string, version: string, dev?: boolean, license?: string}[], graph?: {nodes: Map<string, Object>, roots: Object[]}, external?: {name: string, source: string, kind: 'git' | 'tarball', id: string | null}[], recordsLicenses?: boolean, error?: string}}
+ */
+export function parseLockfile(filePath) {
+  const fileName = path.basename(filePath);
+  const parse = PARSERS[fileName];
+  if (!parse) {
+    return { success: false, packages: [], error: `Unsupported lockfile: ${fileName}` };
+  }
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const { lockfileVersion, nodes, roots, external, recordsLicenses = false } = parse(content, path.dirname(filePath));
+    const manager = LOCKFILES.find((lockfile) => lockfile.file === fileName).manager;
+
+    logger.debug(`Parsed ${fileName} (v${lockfileVersion}): ${nodes.size} entries, ${roots.length} top-level`);
+    return {
+      success: true,
+      manager,
+      lockfileVersion,
+      packages: dedupePackages(nodes),
+      graph: { nodes, roots },
+      external,
+      recordsLicenses,
+    };
+  } catch (error) {
+    logger.warn(`Could not parse ${fileName}: ${error.message}`);
+    return { success: false, packages: [], error: `Could not parse ${fileName}: ${error.message}` };
+  }
+}
+
+function joinPath(dir, file) {
+  return dir === '.' ? file : `${dir}/${file}`;
+}
+
+/**
+ * Picks the lockfile for each workspace package in scope: the package's own,
+ * or the project root's (the usual monorepo layout). Each lockfile is listed
+ * once and attributed to the package that owns it (`workspace`), with the
+ * in-scope packages that install from it (`workspaces`). When subPath leaves
+ * out some of the packages sharing a lockfile, `importers` lists the ones in
+ * scope by directory relative to the lockfile (see scopeLockfile); otherwise
+ * it is null.
+ * @param {string} tempDir
+ * @param {string} projectRoot - directory with the root package.json, relative to tempDir
+ * @param {string} [subPath]
+ * @returns {{manager: string, plans: {lockfilePath: string, workspace: {name: string, dir: string}, workspaces: {name: string, dir: string}[], importers: string[] | null}[], workspaceCount: number}}
+ */
+export function planLockfiles(tempDir, projectRoot, subPath) {
+  const projectDir = path.join(tempDir, projectRoot);
+  const { manager, packages } = detectWorkspaces(projectDir);
+  const rebased = packages.map((pkg) => ({
+    name: pkg.name,
+    dir: pkg.dir === '.' ? projectRoot : joinPath(projectRoot, pkg.dir),
+  }));
+  const root = rebased.find((pkg) => pkg.dir === projectRoot) || { name: '(root)', dir: projectRoot };
+  const scoped = Boolean(subPath) && subPath !== projectRoot;
+
+  const targets = filterWorkspacesToPath(rebased, scoped ? subPath : undefined);
+  const rootLockfile = findLockfile(projectDir);
+
+  const plans = new Map();
+  targets.forEach((target, index) => {
+    const own = findLockfile(path.join(tempDir, target.dir));
+    const owner = own ? target : root;
+    const lockfile = own || rootLockfile;
+    if (!lockfile) return;
+
+    const lockfilePath = joinPath(owner.dir, lockfile.file);
+    if (!plans.has(lockfilePath)) {
+      if (index >= CONFIG.MAX_WORKSPACE_AUDITS) return;
+      plans.set(lockfilePath, { lockfilePath, workspace: owner, workspaces: [], importers: scoped ? [] : null });
+    }
+    const plan = plans.get(lockfilePath);
+    plan.workspaces.push(target);
+    plan.importers?.push(path.posix.relative(owner.dir, target.dir) || '.');
+  });
+
+  return { manager, plans: [...plans.values()], workspaceCount: packages.length };
+}
+
+/**
+ * Narrows a parsed lockfile (see parseLockfile) to what the given importers
+ * install: graph roots declared by them and the packages reachable from those.
+ * Packages resolved from outside the registry without a graph node can't be
+ * traced to an importer and are left out.
+ * @param {Object} parsed - successful parseLockfile() result
+ * @param {string[] | null} importers - from planLockfiles(); null keeps everything
+ */
+export function scopeLockfile(parsed, importers) {
+  if (!importers) {
+    return parsed;
+  }
+
+  const { nodes } = parsed.graph;
+  const roots = parsed.graph.roots.filter((root) => importers.includes(root.importer));
+  const reached = new Set(roots.map((root) => root.id));
+  const queue = [...reached];
+  for (let i = 0; i < queue.length; i++) {
+    for (const dependency of nodes.get(queue[i])?.dependencies || []) {
+      if (!reached.has(dependency)) {
+        reached.add(dependency);
+        queue.push(dependency);
+      }
+    }
+  }
+
+  const reachedNodes = new Map([...nodes].filter(([id]) => reached.has(id)));
+  return {
+    ...parsed,
+    packages: dedupePackages(reachedNodes),
+    graph: { nodes: reachedNodes, roots },
+    external: parsed.external?.filter((entry) => entry.id !== null && reached.has(entry.id)),
+  };
+}
+
+/**
+ * The workspace package a dependency belongs to: the one whose package.json
+ * declares the top-level dependency it comes through, else the lockfile's owner.
+ * @param {Object} plan - from planLockfiles()
+ * @param {string} [manifestFile] - that package.json, relative to tempDir
+ * @returns {{name: string, dir: string}}
+ */
+export function workspaceOf(plan, manifestFile) {
+  const dir = manifestFile && path.posix.dirname(manifestFile);
+  return plan.workspaces.find((pkg) => pkg.dir === dir) || plan.workspace;
+}
@@ -2,13 +2,30 @@ import { randomUUID } from 'crypto';
 import * as fs from 'fs';
 import * as path from 'path';
 
-import { validateGithubUrl } from '../lib/validateGithubUrl.js';
-import { fetchGitHubRepo, cleanupDir } from './gitHubFetcher.js';
+import { resolveProvider } from './providers/index.js';
+import { fetchRepo, cleanupDir } from './repoFetcher.js';
+import {
+  materializeLocalDirectory,
+  materializeUpload,
+  resolveLocalPath,
+} from './localSource.js';
 import { runESLint } from './runESLint.js';
 import { runNpmAudit } from './runNpmAudit.js';
+import { runLockfileAudit } from './runLockfileAudit.js';
+import { useOfflineAdvisories } from './advisoryDb.js';
 import { runSecretsScanner } from './runSecretsScanner.js';
+import { runSecretsHistoryScanner } from './runSecretsHistoryScanner.js';
+import { fetchRepositoryHistory, findLocalRepository } from './gitHistory.js';
+import { loadSecretRules } from './secretRules.js';
+import { redactFindings } from './redaction.js';
 import { runA11yAnalyzer } from './runA11yAnalyzer.js';
+import { runComplexityAnalyzer } from './runComplexityAnalyzer.js';
+import { runLicenseAnalyzer } from './runLicenseAnalyzer.js';
+import { runSupplyChainAnalyzer } from './runSupplyChainAnalyzer.js';
+import { prepareSbom, runDependencyInventory } from './sbom.js';
 import { translateAllPanels } from './claudeTranslator.js';
+import { buildScanPatch } from './autoFix.js';
+import { saveScanArtifacts } from './scanStore.js';
 import { CONFIG } from '../lib/config.js';
 
 const logger = {
@@ -119,26 +136,108 @@ function buildPanelResult(panel, toolResult, translatedFindings) {
   };
 }
 
+/**
+ * Validates the scan input and returns how to materialize it into a temp dir.
+ * Every source produces the same fetch result shape, so the analyzers,
+ * scanScope accounting and cleanup below don't care where files came from.
+ */
+function resolveScanSource({ repoUrl, ref, auth, upload, localPath }) {
+  if (upload) {
+    return {
+      isValid: true,
+      label: `upload ${upload.originalName}`,
+      report: { source: { type: 'upload', name: upload.originalName } },
+      fetchErrorCode: 'INVALID_ARCHIVE',
+      fetch: (scanMode, options) => materializeUpload(upload.path, upload.originalName, scanMode, options),
+    };
+  }
+
+  if (localPath !== undefined) {
+    const local = resolveLocalPath(localPath);
+    if (!local.isValid) {
+      return { isValid: false, code: local.code, error: local.error };
+    }
+    return {
+      isValid: true,
+      label: `local directory ${local.path}`,
+      report: { source: { type: 'local', name: path.basename(local.path) } },
+      fetchErrorCode: 'LOCAL_PATH_NOT_FOUND',
+      fetch: async (scanMode, options) => materializeLocalDirectory(local.path, scanMode, options),
+      fetchHistory: () => findLocalRepository(local.path),
+    };
+  }
+
+  // Validate URL and pick the repository provider for its host
+  // auth stays inside the provider instance; it is never logged or put in the report
+  const validation = resolveProvider(repoUrl, auth);
+  if (!validation.isValid) {
+    return { isValid: false, code: 'INVALID_REPO_URL', error: validation.error };
+  }
+  const { provider, location, normalizedUrl } = validation;
+  // An explicit ref field wins over a /tree/<ref> segment in the URL
+  const requestedRef = ref || validation.ref;
+
+  return {
+    isValid: true,
+    label: normalizedUrl,
+    report: { source: { type: 'repository' }, repoUrl: normalizedUrl },
+    fetchErrorCode: 'REPO_NOT_FOUND',
+    fetch: (scanMode, options) => fetchRepo(provider, location, scanMode, requestedRef, options),
+    fetchHistory: provider.getCloneRequest
+      ? (fetchResult) => fetchRepositoryHistory(
+          provider.getCloneRequest(location), fetchResult.commitSha, CONFIG.SECRETS_HISTORY.maxCommits
+        )
+      : undefined,
+  };
+}
+
+/**
+ * Opt-in secrets scan of the source's git history. Uploads have none; hosted
+ * repos are fetched to CONFIG.SECRETS_HISTORY.maxCommits and removed afterwards.
+ */
+async function scanSecretsHistory(source, fetchResult, subPath) {
+  if (!source.fetchHistory) {
+    return { success: true, findings: [], error: 'History scanning needs a repository URL or a local git repository' };
+  }
+
+  const repository = await source.fetchHistory(fetchResult);
+  if (!repository.success) {
+    return { success: true, findings: [], error: repository.error };
+  }
+  try {
+    return await runSecretsHistoryScanner(repository, CONFIG.SECRETS_HISTORY.scanTimeoutMs, { subPath });
+  } finally {
+    if (repository.temporary) {
+      cleanupDir(repository.gitDir);
+    }
+  }
+}
+
 export async function orchestrateScan(args) {
-  const { repoUrl, scanMode = 'fast', clientIp = 'anonymous' } = args;
+  const {
+    scanMode = 'fast',
+    subPath,
+    baselineRules = false,
+    secretsHistory = false,
+    clientIp = 'anonymous',
+  } = args;
   const scanId = randomUUID();
   const startTime = Date.now();
   let tempDir = null;
 
-  logger.info(`Starting scan ${scanId} for ${repoUrl} (mode: ${scanMode})`);
-
   try {
-    // Step 1: Validate GitHub URL
-    const validation = validateGithubUrl(repoUrl);
-    if (!validation.isValid) {
-      logger.warn(`Invalid URL: ${validation.error}`);
+    // Step 1: Validate the scan source (repository URL, upload or local path)
+    const source = resolveScanSource(args);
+    if (!source.isValid) {
+      logger.warn(`Invalid scan source: ${source.error}`);
       return {
         status: 'error',
-        error: { code: 'INVALID_GITHUB_URL', message: validation.error },
+        error: { code: source.code, message: source.error },
         rateLimit: checkRateLimit(clientIp),
       };
     }
-    const normalizedUrl = validation.normalizedUrl;
+
+    logger.info(`Starting scan ${scanId} for ${source.label}${subPath ? ` path ${subPath}` : ''} (mode: ${scanMode})`);
 
     // Step 2: Check Rate Limit
     const rateLimit = checkRateLimit(clientIp);
@@ -154,16 +253,16 @@ export async function orchestrateScan(args) {
       };
     }
 
-    // Step 3: Clone Repository
-    logger.info('Cloning repository...');
-    const fetchResult = await fetchGitHubRepo(normalizedUrl, scanMode);
+    // Step 3: Clone Repository (or extract/copy the upload or local directory)
+    logger.info('Fetching files...');
+    const fetchResult = await source.fetch(scanMode, { subPath });
 
     if (!fetchResult.success) {
-      logger.error(`Clone failed: ${fetchResult.error}`);
+      logger.error(`Fetch failed: ${fetchResult.error}`);
       return {
         status: 'error',
         error: {
-          code: 'REPO_NOT_FOUND',
+          code: source.fetchErrorCode,
           message: fetchResult.error || 'Failed to fetch repository',
         },
         rateLimit: checkRateLimit(clientIp),
@@ -171,7 +270,7 @@ export async function orchestrateScan(args) {
     }
 
     tempDir = fetchResult.tempDir;
-    logger.info(`Repository cloned to ${tempDir}`);
+    logger.info(`Files ready in ${tempDir}${fetchResult.commitSha ? ` at ${fetchResult.commitSha}` : ''}`);
 
     // Step 4: Build ScanScope
     const scanScope = {
@@ -181,45 +280,131 @@ export async function orchestrateScan(args) {
           : CONFIG.FULL_SCAN.maxFiles,
       maxFileSizeMb: CONFIG.MAX_FILE_SIZE_MB,
       ignoredDirectories: CONFIG.FILES_TO_IGNORE,
+      path: subPath,
       filesCounted: fetchResult.fileCount || 0,
+      // false when the host's tree listing was truncated, so counts are lower bounds
+      fileListingComplete: fetchResult.fileListingComplete !== false,
       filesScanned: fetchResult.filesScanned || 0,
       filesSkipped: fetchResult.filesSkipped || 0,
+      downloadStrategy: fetchResult.downloadStrategy,
+      // Directories the selected files came from; in fast mode this shows what the sample covered
+      sampledDirectories: fetchResult.sampledDirectories || [],
+      generatedFilesExcluded: fetchResult.generatedFilesExcluded || 0,
+      // Only set for hosted repos; hits were copied from earlier scans instead of downloaded
+      blobCache: fetchResult.blobCache,
     };
 
     // Step 5: Run All Analyzers
     const scanConfig = scanMode === 'fast' ? CONFIG.FAST_SCAN : CONFIG.FULL_SCAN;
-    const hasPackageJson = fs.existsSync(path.join(tempDir, 'package.json'));
+    const hasPackageJson = fs.existsSync(path.join(tempDir, 'package.json'))
+      || (subPath && fs.existsSync(path.join(tempDir, subPath, 'package.json')));
+
+    // Offline lockfile matching also covers yarn and pnpm; npm audit needs the registry
+    const dependencyAudit = useOfflineAdvisories()
+      ? { name: 'Lockfile audit', run: runLockfileAudit }
+      : { name: 'npm audit', run: runNpmAudit };
 
     logger.info('Running analyzers...');
-    const [eslintResult, npmAuditResult, secretsResult, a11yResult] =
-      await Promise.all([
-        runToolSafely('ESLint', () =>
-          runESLint(tempDir, scanConfig.eslintTimeoutMs)
-        ),
-        hasPackageJson
-          ? runToolSafely('npm audit', () =>
-              runNpmAudit(tempDir, scanConfig.npmAuditTimeoutMs)
-            )
-          : Promise.resolve({ success: true, findings: [], error: undefined }),
-        runToolSafely('Secrets Scanner', () =>
-          runSecretsScanner(tempDir, scanConfig.secretsScanTimeoutMs)
-        ),
-        runToolSafely('A11y Analyzer', () =>
-          runA11yAnalyzer(tempDir, scanConfig.a11yTimeoutMs)
-        ),
-      ]);
+    const [
+      eslintResult,
+      npmAuditResult,
+      secretsResult,
+      a11yResult,
+      complexityResult,
+      licenseResult,
+      supplyChainResult,
+      secretsHistoryResult,
+      inventory,
+    ] = await Promise.all([
+      runToolSafely('ESLint', () =>
+        runESLint(tempDir, scanConfig.eslintTimeoutMs, { subPath, useBaseline: baselineRules })
+      ),
+      hasPackageJson
+        ? runToolSafely(dependencyAudit.name, () =>
+            dependencyAudit.run(tempDir, scanConfig.npmAuditTimeoutMs, { subPath })
+          )
+        : Promise.resolve({ success: true, findings: [], error: undefined }),
+      runToolSafely('Secrets Scanner', () =>
+        runSecretsScanner(tempDir, scanConfig.secretsScanTimeoutMs, { subPath })
+      ),
+      runToolSafely('A11y Analyzer', () =>
+        runA11yAnalyzer(tempDir, scanConfig.a11yTimeoutMs, { subPath })
+      ),
+      runToolSafely('Complexity Analyzer', () =>
+        runComplexityAnalyzer(tempDir, scanConfig.complexityTimeoutMs, { subPath })
+      ),
+      hasPackageJson
+        ? runToolSafely('License Checker', () =>
+            runLicenseAnalyzer(tempDir, scanConfig.licenseTimeoutMs, { subPath })
+          )
+        : Promise.resolve({ success: true, findings: [], error: undefined }),
+      hasPackageJson
+        ? runToolSafely('Supply Chain', () =>
+            runSupplyChainAnalyzer(tempDir, scanConfig.supplyChainTimeoutMs, { subPath })
+          )
+        : Promise.resolve({ success: true, findings: [], error: undefined }),
+      secretsHistory
+        ? runToolSafely('Secrets History', () => scanSecretsHistory(source, fetchResult, subPath))
+        : Promise.resolve({ success: true, findings: [], error: undefined }),
+      // Not a panel: the resolved packages behind GET /api/scan/:scanId/sbom
+      hasPackageJson
+        ? runDependencyInventory(tempDir, scanConfig.sbomTimeoutMs, { subPath }).catch((err) => ({
+            success: false,
+            components: [],
+            error: err instanceof Error ? err.message : String(err),
+          }))
+        : Promise.resolve(null),
+    ]);
 
     if (!hasPackageJson) {
-      logger.info('Skipping npm audit - no package.json found');
+      logger.info(`Skipping ${dependencyAudit.name}, License Checker and Supply Chain - no package.json found`);
+    }
+
+    // Step 5a: Mask secret values before findings reach translation, logs or the response
+    const ruleset = loadSecretRules();
+    for (const result of [
+      eslintResult,
+      npmAuditResult,
+      secretsResult,
+      a11yResult,
+      complexityResult,
+      licenseResult,
+      supplyChainResult,
+      secretsHistoryResult,
+    ]) {
+      result.findings = redactFindings(result.findings, ruleset);
+    }
+
+    // Step 5b: Build the auto-fix patch while the files are still on disk
+    const patch = buildScanPatch(tempDir, {
+      eslint: eslintResult.fixes,
+      dependencies: npmAuditResult.dependencyFixes,
+    }, ruleset);
+    for (const finding of [...eslintResult.findings, ...npmAuditResult.findings]) {
+      finding.metadata = { ...finding.metadata, autoFixAvailable: patch.fixedFindingIds.has(finding.id) };
+    }
+
+    // Step 5c: SBOM of the scanned commit, with the dependency audit's vulnerabilities as VEX
+    const sbom = prepareSbom(inventory, npmAuditResult.vulnerablePackages, {
+      name: source.report.repoUrl
+        ? source.report.repoUrl.replace(/^https?:\/\//, '').replace(/\.git$/, '')
+        : source.report.source.name,
+      version: fetchResult.commitSha,
+      repoUrl: source.report.repoUrl,
+    });
+    if (inventory?.error) {
+      logger.warn(`SBOM inventory: ${inventory.error}`);
     }
 
     // Step 6: Translate All Findings
     logger.info('Translating findings...');
     const panelsMap = new Map([
       ['code_quality', eslintResult.findings],
-      ['dependencies', npmAuditResult.findings],
-      ['secrets', secretsResult.findings],
+      ['dependencies', [...npmAuditResult.findings, ...supplyChainResult.findings]],
+      ['secrets', [...secretsResult.findings, ...secretsHistoryResult.findings]],
       ['accessibility', a11yResult.findings],
+      ['maintainability', complexityResult.findings],
+      ['licenses', licenseResult.findings],
     ]);
 
     const translationResults = await translateAllPanels(panelsMap);
@@ -229,6 +414,8 @@ export async function orchestrateScan(args) {
     const dependenciesTranslation = translationResults.get('dependencies');
     const secretsTranslation = translationResults.get('secrets');
     const accessibilityTranslation = translationResults.get('accessibility');
+    const maintainabilityTranslation = translationResults.get('maintainability');
+    const licensesTranslation = translationResults.get('licenses');
 
     const codeQualityPanel = buildPanelResult(
       'code_quality',
@@ -250,6 +437,56 @@ export async function orchestrateScan(args) {
       a11yResult,
       accessibilityTranslation?.findings || []
     );
+    const maintainabilityPanel = buildPanelResult(
+      'maintainability',
+      complexityResult,
+      maintainabilityTranslation?.findings || []
+    );
+    const licensesPanel = buildPanelResult(
+      'licenses',
+      licenseResult,
+      licensesTranslation?.findings || []
+    );
+
+    // Whether the repo's ESLint config was honored or replaced, and how ESLint was isolated
+    if (eslintResult.eslintConfig) {
+      codeQualityPanel.eslintConfig = eslintResult.eslintConfig;
+      codeQualityPanel.sandbox = eslintResult.sandbox;
+    }
+    // Files ESLint couldn't parse and config problems: blind spots, kept out of the translated findings
+    if (eslintResult.parseCoverage) {
+      codeQualityPanel.parseCoverage = eslintResult.parseCoverage;
+    }
+    if (eslintResult.analysisProblems?.length > 0) {
+      codeQualityPanel.couldNotAnalyze = eslintResult.analysisProblems;
+    }
+    if (complexityResult.metrics) {
+      maintainabilityPanel.metrics = complexityResult.metrics;
+    }
+    if (secretsResult.ruleset) {
+      secretsPanel.ruleset = secretsResult.ruleset;
+    }
+    if (secretsHistoryResult.summary) {
+      secretsPanel.history = secretsHistoryResult.summary;
+    }
+    if (licenseResult.summary) {
+      licensesPanel.summary = licenseResult.summary;
+    }
+    // Supply-chain signals share the panel, and still show when the vulnerability audit failed
+    if (!npmAuditResult.success && supplyChainResult.findings.length > 0) {
+      dependenciesPanel.findings = dependenciesTranslation?.findings || [];
+      dependenciesPanel.findingCount = dependenciesPanel.findings.length;
+    }
+    if (supplyChainResult.summary) {
+      dependenciesPanel.supplyChain = supplyChainResult.summary;
+    }
+    if (npmAuditResult.workspacesAudited?.length > 1) {
+      dependenciesPanel.workspaces = npmAuditResult.workspacesAudited;
+    }
+    if (npmAuditResult.advisoryDatabase) {
+      dependenciesPanel.lockfiles = npmAuditResult.lockfiles;
+      dependenciesPanel.advisoryDatabase = npmAuditResult.advisoryDatabase;
+    }
 
     // Handle translation failures
     if (codeQualityTranslation?.status === 'failed') {
@@ -268,6 +505,14 @@ export async function orchestrateScan(args) {
       accessibilityPanel.status = 'partial';
       accessibilityPanel.statusReason = 'translation_error';
     }
+    if (maintainabilityTranslation?.status === 'failed') {
+      maintainabilityPanel.status = 'partial';
+      maintainabilityPanel.statusReason = 'translation_error';
+    }
+    if (licensesTranslation?.status === 'failed') {
+      licensesPanel.status = 'partial';
+      licensesPanel.statusReason = 'translation_error';
+    }
 
     // Step 8: Assemble Final Report
     const allPanels = [
@@ -275,31 +520,61 @@ export async function orchestrateScan(args) {
       dependenciesPanel,
       secretsPanel,
       accessibilityPanel,
+      maintainabilityPanel,
+      licensesPanel,
     ];
     const overallStatus = calculateStatus(allPanels);
 
     const partialReasons = [];
     if (eslintResult.error) partialReasons.push(`ESLint: ${eslintResult.error}`);
     if (npmAuditResult.error)
-      partialReasons.push(`npm audit: ${npmAuditResult.error}`);
+      partialReasons.push(`${dependencyAudit.name}: ${npmAuditResult.error}`);
     if (secretsResult.error)
       partialReasons.push(`Secrets: ${secretsResult.error}`);
     if (a11yResult.error) partialReasons.push(`A11y: ${a11yResult.error}`);
+    if (complexityResult.error)
+      partialReasons.push(`Complexity: ${complexityResult.error}`);
+    if (licenseResult.error)
+      partialReasons.push(`Licenses: ${licenseResult.error}`);
+    if (supplyChainResult.error)
+      partialReasons.push(`Supply chain: ${supplyChainResult.error}`);
+    if (secretsHistoryResult.error)
+      partialReasons.push(`Secrets history: ${secretsHistoryResult.error}`);
 
     const scanDuration = Date.now() - startTime;
 
     const report = {
       id: scanId,
-      repoUrl: normalizedUrl,
+      ...source.report,
+      provider: fetchResult.provider,
+      ref: fetchResult.ref,
+      commitSha: fetchResult.commitSha,
       scanMode,
       status: overallStatus,
       partialReasons: partialReasons.length > 0 ? partialReasons : undefined,
       scanScope,
+      autoFix: {
+        available: patch.files.length > 0,
+        fixCount: patch.fixedFindingIds.size,
+        files: patch.files,
+        patchUrl: patch.files.length > 0 ? `/api/scan/${scanId}/patch` : undefined,
+      },
+      sbom: sbom
+        ? {
+            available: true,
+            componentCount: sbom.inventory.components.length,
+            vulnerabilityCount: sbom.vulnerablePackages.length,
+            cyclonedxUrl: `/api/scan/${scanId}/sbom?format=cyclonedx`,
+            spdxUrl: `/api/scan/${scanId}/sbom?format=spdx`,
+          }
+        : { available: false },
       panels: {
         codeQuality: codeQualityPanel,
         dependencies: dependenciesPanel,
         secrets: secretsPanel,
         accessibility: accessibilityPanel,
+        maintainability: maintainabilityPanel,
+        licenses: licensesPanel,
       },
       orientationNote:
         'This scan provides awareness of potential areas to explore. ' +
@@ -308,6 +583,13 @@ export async function orchestrateScan(args) {
       scanDuration,
     };
 
+    if (patch.files.length > 0 || sbom) {
+      saveScanArtifacts(scanId, clientIp, {
+        patch: patch.files.length > 0 ? patch.diff : undefined,
+        sbom,
+      });
+    }
+
     // Step 9: Increment Rate Limit on Success
     incrementRateLimit(clientIp);
 
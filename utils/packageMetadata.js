@@ -0,0 +1,110 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG } from '../lib/config.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[PackageMetadata] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[PackageMetadata] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[PackageMetadata] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[PackageMetadata] ${msg}`, data ?? ''),
+};
+
+const SERVER_ROOT = fileURLToPath(new URL('..', import.meta.url));
+const POPULAR_PACKAGES_PATH = fileURLToPath(new URL('../lib/popularPackages.json', import.meta.url));
+
+// npm runs these on install; prepare only runs for git dependencies and local installs
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall'];
+
+// Loaded once and reloaded when the snapshot file is replaced
+let cached = null;
+let popularPackages = null;
+
+/**
+ * Returns the registry metadata snapshot (see CONFIG.SUPPLY_CHAIN), or null
+ * if there is none.
+ * @returns {{generatedAt: string | null, packages: Object<string, {time?: Object<string, string>, versions?: Object<string, {scripts?: Object<string, string>, license?: string}>}>} | null}
+ */
+export function loadPackageMetadata() {
+  const snapshotPath = path.resolve(SERVER_ROOT, CONFIG.SUPPLY_CHAIN.metadataSnapshotPath);
+  let stats;
+  try {
+    stats = fs.statSync(snapshotPath);
+  } catch {
+    cached = null;
+    return null;
+  }
+
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.snapshot;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
+    if (!data.packages || typeof data.packages !== 'object') {
+      logger.error(`Ignoring ${snapshotPath}: no "packages" object`);
+      return null;
+    }
+    const snapshot = { generatedAt: data.generatedAt || null, packages: data.packages };
+    cached = { mtimeMs: stats.mtimeMs, snapshot };
+    logger.info(`Loaded metadata for ${Object.keys(snapshot.packages).length} packages (generated ${snapshot.generatedAt})`);
+    return snapshot;
+  } catch (error) {
+    logger.error(`Could not read package metadata ${snapshotPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Install scripts a package version declares in the snapshot: [] when it has
+ * none, null when the snapshot doesn't know the version.
+ * @returns {string[] | null}
+ */
+export function installScriptsOf(snapshot, name, version) {
+  const info = snapshot?.packages[name]?.versions?.[version];
+  if (!info) return null;
+  return INSTALL_SCRIPTS.filter((script) => info.scripts?.[script]);
+}
+
+/**
+ * The license a package version declares in the snapshot. The deprecated
+ * `{ type }` and `licenses: [...]` forms become an OR expression. undefined
+ * when the version declares none, null when the snapshot doesn't know it.
+ * @returns {string | undefined | null}
+ */
+export function licenseOf(snapshot, name, version) {
+  const info = snapshot?.packages[name]?.versions?.[version];
+  if (!info) return null;
+
+  const declared = [info.license ?? info.licenses].flat()
+    .map((entry) => (typeof entry === 'string' ? entry : entry?.type))
+    .filter((entry) => typeof entry === 'string' && entry);
+  if (declared.length === 0) return undefined;
+  return declared.length === 1 ? declared[0] : `(${declared.join(' OR ')})`;
+}
+
+/**
+ * When a package version was published, per the snapshot.
+ * @returns {Date | null}
+ */
+export function publishedAt(snapshot, name, version) {
+  const time = snapshot?.packages[name]?.time?.[version];
+  const date = time ? new Date(time) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Names typosquatting checks compare against (lib/popularPackages.json).
+ * @returns {Set<string>}
+ */
+export function loadPopularPackages() {
+  if (!popularPackages) {
+    try {
+      popularPackages = new Set(JSON.parse(fs.readFileSync(POPULAR_PACKAGES_PATH, 'utf-8')));
+    } catch (error) {
+      logger.error(`Could not read popular package list: ${error.message}`);
+      return new Set();
+    }
+  }
+  return popularPackages;
+}
@@ -0,0 +1,231 @@
+import { validateGitRef } from '../../lib/validateRepoUrl.js';
+import {
+  createProviderLogger,
+  describeFetchError,
+  encodePath,
+  getBasicAuthHeader,
+  getHostToken,
+  isCommitSha,
+  OWNER_SEGMENT_REGEX,
+  REPO_SEGMENT_REGEX,
+} from './providerUtils.js';
+
+const logger = createProviderLogger('GiteaProvider');
+
+const TREE_PAGE_SIZE = 1000;
+const MAX_TREE_PAGES = 100;
+const SRC_REF_KINDS = ['branch', 'tag', 'commit'];
+
+/**
+ * Gitea (and Forgejo) provider. Only used for hosts listed in REPO_HOSTS.
+ * auth: { type: 'token', token } to use a caller-supplied token for this scan.
+ * URLs: https://<host>/owner/repo[/src/{branch|tag|commit}/<ref>]
+ */
+export function createGiteaProvider(hostConfig, auth = {}) {
+  // Per-request credential; scoped to this provider instance, i.e. to one scan
+  const requestToken = auth.type === 'token' ? auth.token : undefined;
+  const apiBaseUrl = hostConfig.apiBaseUrl || `https://${hostConfig.host}/api/v1`;
+
+  function getHeaders() {
+    const headers = {
+      'Accept': 'application/json',
+      'User-Agent': 'LumenClew/1.0',
+    };
+
+    const token = getHostToken(hostConfig, requestToken);
+    if (token) {
+      headers['Authorization'] = `token ${token}`;
+      logger.debug('Using Gitea token for authentication');
+    }
+
+    return headers;
+  }
+
+  function describeErrorResponse(response, notFoundMessage) {
+    if (response.status === 404 || response.status === 422) {
+      return notFoundMessage;
+    }
+
+    if (response.status === 429) {
+      return 'Gitea API rate limit exceeded';
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      return `Gitea API access forbidden (${response.status})`;
+    }
+
+    return `Gitea API error: ${response.status} ${response.statusText}`;
+  }
+
+  function repoApiUrl(location) {
+    return `${apiBaseUrl}/repos/${location.owner}/${location.repo}`;
+  }
+
+  function parseUrl(segments) {
+    const [owner, repo, marker, kind, ...refSegments] = segments;
+    const expected = `Expected: https://${hostConfig.host}/owner/repo or https://${hostConfig.host}/owner/repo/src/branch/<ref>`;
+
+    if (!owner || !repo || !OWNER_SEGMENT_REGEX.test(owner) || !REPO_SEGMENT_REGEX.test(repo)) {
+      return { isValid: false, error: `Invalid Gitea repository URL format. ${expected}` };
+    }
+
+    let ref;
+    if (marker !== undefined) {
+      if (marker !== 'src' || !SRC_REF_KINDS.includes(kind) || refSegments.length === 0) {
+        return { isValid: false, error: `Invalid Gitea repository URL format. ${expected}` };
+      }
+      const refValidation = validateGitRef(refSegments.join('/'));
+      if (!refValidation.isValid) {
+        return { isValid: false, error: refValidation.error };
+      }
+      ref = refValidation.ref;
+    }
+
+    return {
+      isValid: true,
+      location: { host: hostConfig.host, owner, repo },
+      normalizedUrl: `https://${hostConfig.host}/${owner}/${repo}`,
+      ref,
+    };
+  }
+
+  async function resolveRef(location, ref) {
+    try {
+      let target = ref;
+
+      if (ref === 'HEAD') {
+        const repoResponse = await fetch(repoApiUrl(location), {
+          headers: getHeaders(),
+          signal: AbortSignal.timeout(15000),
+        });
+        if (!repoResponse.ok) {
+          return {
+            success: false,
+            error: describeErrorResponse(repoResponse, 'Repository not found (404)'),
+          };
+        }
+        const repoData = await repoResponse.json();
+        if (repoData.empty || !repoData.default_branch) {
+          return { success: false, error: 'Repository is empty' };
+        }
+        target = repoData.default_branch;
+      }
+
+      // The commits listing accepts a branch, tag or SHA as its starting point
+      const url = `${repoApiUrl(location)}/commits?sha=${encodeURIComponent(target)}&limit=1&stat=false&verification=false&files=false`;
+      const response = await fetch(url, {
+        headers: getHeaders(),
+        signal: AbortSignal.timeout(15000),
+      });
+
+      if (!response.ok) {
+        return { success: false, error: describeErrorResponse(response, `Ref not found: ${ref}`) };
+      }
+
+      const commits = await response.json();
+      const sha = Array.isArray(commits) ? commits[0]?.sha : undefined;
+      if (!sha || !isCommitSha(sha)) {
+        return { success: false, error: `Could not resolve ref ${ref} to a commit` };
+      }
+
+      return { success: true, sha };
+    } catch (error) {
+      return { success: false, error: describeFetchError(error, 'resolve ref', 'Gitea') };
+    }
+  }
+
+  async function listTree(location, sha) {
+    const entries = [];
+    let complete = false;
+
+    try {
+      for (let page = 1; page <= MAX_TREE_PAGES; page++) {
+        const url = `${repoApiUrl(location)}/git/trees/${sha}?recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`;
+        const response = await fetch(url, {
+          headers: getHeaders(),
+          signal: AbortSignal.timeout(30000),
+        });
+
+        if (!response.ok) {
+          return {
+            success: false,
+            error: describeErrorResponse(response, 'Repository not found (404)'),
+          };
+        }
+
+        const treeData = await response.json();
+        const items = treeData.tree || [];
+        for (const item of items) {
+          if (item.type === 'blob') {
+            entries.push({ path: item.path, size: item.size, sha: item.sha });
+          }
+        }
+
+        const seen = (page - 1) * TREE_PAGE_SIZE + items.length;
+        if (items.length === 0 || !treeData.total_count || seen >= treeData.total_count) {
+          complete = !treeData.truncated;
+          break;
+        }
+      }
+
+      if (!complete) {
+        logger.warn('Tree listing is incomplete (truncated or page limit reached)');
+      }
+
+      return { success: true, entries, complete };
+    } catch (error) {
+      return {
+        success: false,
+        error: describeFetchError(error, 'fetch repository tree', 'Gitea'),
+      };
+    }
+  }
+
+  async function downloadFile(location, sha, filePath) {
+    const url = `${repoApiUrl(location)}/raw/${encodePath(filePath)}?ref=${sha}`;
+
+    try {
+      const response = await fetch(url, {
+        headers: getHeaders(),
+        signal: AbortSignal.timeout(10000),
+      });
+
+      if (!response.ok) {
+        return { success: false, error: `HTTP ${response.status}` };
+      }
+
+      return { success: true, content: await response.text() };
+    } catch (error) {
+      return { success: false, error: String(error) };
+    }
+  }
+
+  function getArchiveRequest(location, sha) {
+    return {
+      url: `${repoApiUrl(location)}/archive/${sha}.tar.gz`,
+      headers: getHeaders(),
+      stripComponents: 1,
+    };
+  }
+
+  // Smart HTTP remote for the opt-in secrets history scan (git fetch)
+  function getCloneRequest(location) {
+    const token = getHostToken(hostConfig, requestToken);
+    return {
+      url: `https://${hostConfig.host}/${location.owner}/${location.repo}.git`,
+      headers: token ? { Authorization: getBasicAuthHeader('oauth2', token) } : {},
+    };
+  }
+
+  return {
+    name: 'gitea',
+    host: hostConfig.host,
+    parseUrl,
+    getHeaders,
+    resolveRef,
+    listTree,
+    downloadFile,
+    getArchiveRequest,
+    getCloneRequest,
+  };
+}
@@ -0,0 +1,101 @@
+import { createSign } from 'crypto';
+import { CONFIG } from '../../lib/config.js';
+import { createProviderLogger, describeFetchError } from './providerUtils.js';
+
+const logger = createProviderLogger('GitHubApp');
+
+// Installation tokens live for an hour; reuse them until shortly before expiry
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const installationTokenCache = new Map();
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+// Short-lived RS256 JWT identifying the app itself (GitHub allows at most 10 minutes)
+function createAppJwt(appId, privateKey) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const payload = base64Url(JSON.stringify({ iat: now - 60, exp: now + 9 * 60, iss: String(appId) }));
+
+  const signer = createSign('RSA-SHA256');
+  signer.update(`${header}.${payload}`);
+  return `${header}.${payload}.${signer.sign(privateKey, 'base64url')}`;
+}
+
+export function isGitHubAppConfigured() {
+  return Boolean(CONFIG.GITHUB_APP.appId && CONFIG.GITHUB_APP.privateKey);
+}
+
+/**
+ * Whether the server allows GitHub App scans of owner/repo
+ * (CONFIG.GITHUB_APP.allowedRepos lists the owner or the repository).
+ */
+export function isGitHubAppAllowed(owner, repo) {
+  const { allowedRepos } = CONFIG.GITHUB_APP;
+  return allowedRepos.includes(owner.toLowerCase()) || allowedRepos.includes(`${owner}/${repo}`.toLowerCase());
+}
+
+/**
+ * Resolves an installation access token for the app installation that covers
+ * owner/repo, scoped to that single repository with read-only contents access.
+ * The token is never logged; only the installation id is.
+ */
+export async function getInstallationToken(apiBaseUrl, owner, repo) {
+  if (!isGitHubAppConfigured()) {
+    return { success: false, error: 'GitHub App authentication is not configured on this server' };
+  }
+  if (!isGitHubAppAllowed(owner, repo)) {
+    return { success: false, error: `GitHub App authentication is not enabled for ${owner}/${repo} on this server` };
+  }
+
+  const cacheKey = `${apiBaseUrl}:${owner}/${repo}`.toLowerCase();
+  const cached = installationTokenCache.get(cacheKey);
+  if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return { success: true, token: cached.token };
+  }
+
+  try {
+    const headers = {
+      'Accept': 'application/vnd.github+json',
+      'User-Agent': 'LumenClew/1.0',
+      'Authorization': `Bearer ${createAppJwt(CONFIG.GITHUB_APP.appId, CONFIG.GITHUB_APP.privateKey)}`,
+    };
+
+    const installationResponse = await fetch(`${apiBaseUrl}/repos/${owner}/${repo}/installation`, {
+      headers,
+      signal: AbortSignal.timeout(15000),
+    });
+
+    if (installationResponse.status === 404) {
+      return { success: false, error: `The GitHub App is not installed for ${owner}/${repo}` };
+    }
+    if (!installationResponse.ok) {
+      return { success: false, error: `GitHub App installation lookup failed: ${installationResponse.status}` };
+    }
+
+    const installation = await installationResponse.json();
+    logger.info(`Requesting installation token for ${owner}/${repo} (installation ${installation.id})`);
+
+    const tokenResponse = await fetch(`${apiBaseUrl}/app/installations/${installation.id}/access_tokens`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        repositories: [repo],
+        permissions: { contents: 'read', metadata: 'read' },
+      }),
+      signal: AbortSignal.timeout(15000),
+    });
+
+    if (!tokenResponse.ok) {
+      return { success: false, error: `GitHub App token request failed: ${tokenResponse.status}` };
+    }
+
+    const { token, expires_at: expiresAt } = await tokenResponse.json();
+    installationTokenCache.set(cacheKey, { token, expiresAt: Date.parse(expiresAt) || 0 });
+
+    return { success: true, token };
+  } catch (error) {
+    return { success: false, error: describeFetchError(error, 'obtain GitHub App token', 'GitHub') };
+  }
+}
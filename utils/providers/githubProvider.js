@@ -0,0 +1,308 @@
+import { CONFIG } from '../../lib/config.js';
+import { validateGitRef } from '../../lib/validateRepoUrl.js';
+import { getInstallationToken } from './githubAppAuth.js';
+import {
+  createProviderLogger,
+  describeFetchError,
+  encodePath,
+  getBasicAuthHeader,
+  getHostToken,
+  isCommitSha,
+  OWNER_SEGMENT_REGEX,
+  REPO_SEGMENT_REGEX,
+} from './providerUtils.js';
+
+const logger = createProviderLogger('GitHubProvider');
+
+/**
+ * GitHub and GitHub Enterprise provider.
+ * URLs: https://<host>/owner/repo[/tree/<ref>]
+ * auth: { type: 'token', token } for a caller-supplied token, or
+ *       { type: 'github_app' } to use an installation token for the repo owner.
+ */
+export function createGitHubProvider(hostConfig, auth = {}) {
+  const apiBaseUrl = hostConfig.apiBaseUrl || `https://${hostConfig.host}/api/v3`;
+  const tokenEnv = hostConfig.tokenEnv || 'GITHUB_TOKEN';
+  // Per-request credential; scoped to this provider instance, i.e. to one scan
+  let requestToken = auth.type === 'token' ? auth.token : undefined;
+
+  // Build headers with optional GitHub token
+  function getHeaders() {
+    const headers = {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'LumenClew/1.0',
+    };
+
+    // Add token if available (increases rate limit from 60/hr to 5000/hr)
+    const token = getHostToken(hostConfig, requestToken);
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+      logger.debug('Using GitHub token for authentication');
+    } else {
+      logger.warn(`No ${tokenEnv} found - using unauthenticated requests (60/hr limit)`);
+    }
+
+    return headers;
+  }
+
+  // Map a failed GitHub API response to the fetcher's error message
+  function describeErrorResponse(response, notFoundMessage) {
+    if (response.status === 404 || response.status === 422) {
+      return notFoundMessage;
+    }
+
+    if (response.status === 401) {
+      return 'GitHub authentication failed (401) - check that the token is valid and not expired';
+    }
+
+    if (response.status === 403) {
+      const rateLimitRemaining = response.headers.get('x-ratelimit-remaining');
+      const rateLimitReset = response.headers.get('x-ratelimit-reset');
+
+      if (rateLimitRemaining === '0') {
+        const resetTime = rateLimitReset 
+          ? new Date(parseInt(rateLimitReset) * 1000).toISOString()
+          : 'unknown';
+
+        return getHostToken(hostConfig, requestToken)
+          ? `GitHub API rate limit exceeded. Resets at ${resetTime}`
+          : `GitHub API rate limit exceeded (60/hr for unauthenticated requests). Add ${tokenEnv} to increase limit to 5000/hr. Resets at ${resetTime}`;
+      }
+
+      return 'GitHub API access forbidden (403)';
+    }
+
+    return `GitHub API error: ${response.status} ${response.statusText}`;
+  }
+
+  // Exchanges GitHub App credentials for an installation token before any repo request
+  async function prepareAuth(location) {
+    if (auth.type !== 'github_app') {
+      return { success: true };
+    }
+
+    const result = await getInstallationToken(apiBaseUrl, location.owner, location.repo);
+    if (!result.success) {
+      return result;
+    }
+    requestToken = result.token;
+    return { success: true };
+  }
+
+  function parseUrl(segments) {
+    const [owner, repo, marker, ...refSegments] = segments;
+    const expected = `Expected: https://${hostConfig.host}/owner/repo or https://${hostConfig.host}/owner/repo/tree/<ref>`;
+
+    if (!owner || !repo || !OWNER_SEGMENT_REGEX.test(owner) || !REPO_SEGMENT_REGEX.test(repo)) {
+      return { isValid: false, error: `Invalid GitHub repository URL format. ${expected}` };
+    }
+
+    let ref;
+    if (marker !== undefined) {
+      if (marker !== 'tree' || refSegments.length === 0) {
+        return { isValid: false, error: `Invalid GitHub repository URL format. ${expected}` };
+      }
+      const refValidation = validateGitRef(refSegments.join('/'));
+      if (!refValidation.isValid) {
+        return { isValid: false, error: refValidation.error };
+      }
+      ref = refValidation.ref;
+    }
+
+    return {
+      isValid: true,
+      location: { host: hostConfig.host, owner, repo },
+      normalizedUrl: `https://${hostConfig.host}/${owner}/${repo}`,
+      ref,
+    };
+  }
+
+  // Resolve a branch, tag or SHA to the full commit SHA so every file comes from the same commit
+  async function resolveRef(location, ref) {
+    const url = `${apiBaseUrl}/repos/${location.owner}/${location.repo}/commits/${encodePath(ref)}`;
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          ...getHeaders(),
+          'Accept': 'application/vnd.github.sha',
+        },
+        signal: AbortSignal.timeout(15000),
+      });
+
+      if (!response.ok) {
+        const notFound = ref === 'HEAD'
+          ? 'Repository not found (404)'
+          : `Ref not found: ${ref}`;
+        return { success: false, error: describeErrorResponse(response, notFound) };
+      }
+
+      const sha = (await response.text()).trim();
+      if (!isCommitSha(sha)) {
+        return { success: false, error: `Could not resolve ref ${ref} to a commit` };
+      }
+
+      return { success: true, sha };
+    } catch (error) {
+      return { success: false, error: describeFetchError(error, 'resolve ref', 'GitHub') };
+    }
+  }
+
+  async function fetchTree(location, treeSha, recursive) {
+    const treeUrl = `${apiBaseUrl}/repos/${location.owner}/${location.repo}/git/trees/${treeSha}${recursive ? '?recursive=1' : ''}`;
+
+    try {
+      const response = await fetch(treeUrl, {
+        headers: getHeaders(),
+        signal: AbortSignal.timeout(30000),
+      });
+
+      if (!response.ok) {
+        return {
+          success: false,
+          error: describeErrorResponse(response, 'Repository not found (404)'),
+        };
+      }
+
+      return { success: true, data: await response.json() };
+    } catch (error) {
+      return {
+        success: false,
+        error: describeFetchError(error, 'fetch repository tree', 'GitHub'),
+      };
+    }
+  }
+
+  /**
+   * Lists a tree level by level with non-recursive requests. Used when the
+   * recursive listing is truncated (GitHub caps it at 100k entries / 7MB).
+   */
+  async function walkTree(location, rootSha) {
+    const { concurrency, maxRequests } = CONFIG.TREE_WALK;
+    const entries = [];
+    let complete = true;
+    let requests = 0;
+    let level = [{ sha: rootSha, prefix: '' }];
+
+    while (level.length > 0) {
+      const nextLevel = [];
+
+      for (let i = 0; i < level.length; i += concurrency) {
+        const remainingBudget = maxRequests - requests;
+        if (remainingBudget <= 0) {
+          logger.warn(`Tree walk stopped after ${requests} requests (TREE_WALK.maxRequests)`);
+          return { entries, complete: false };
+        }
+
+        const batch = level.slice(i, i + Math.min(concurrency, remainingBudget));
+        requests += batch.length;
+        const results = await Promise.all(
+          batch.map((tree) => fetchTree(location, tree.sha, false))
+        );
+
+        results.forEach((result, index) => {
+          const { prefix } = batch[index];
+          if (!result.success) {
+            logger.warn(`Failed to list subtree ${prefix || '/'}: ${result.error}`);
+            complete = false;
+            return;
+          }
+          if (result.data.truncated) {
+            complete = false;
+          }
+
+          for (const item of result.data.tree) {
+            const itemPath = `${prefix}${item.path}`;
+            if (item.type === 'blob') {
+              entries.push({ path: itemPath, size: item.size, sha: item.sha });
+            } else if (item.type === 'tree') {
+              nextLevel.push({ sha: item.sha, prefix: `${itemPath}/` });
+            }
+          }
+        });
+      }
+
+      level = nextLevel;
+    }
+
+    return { entries, complete };
+  }
+
+  async function listTree(location, sha) {
+    const result = await fetchTree(location, sha, true);
+    if (!result.success) {
+      return result;
+    }
+
+    const treeData = result.data;
+    if (treeData.truncated) {
+      logger.warn('Recursive tree listing was truncated - walking subtrees individually');
+      const walked = await walkTree(location, treeData.sha || sha);
+      logger.info(`Tree walk found ${walked.entries.length} files (complete: ${walked.complete})`);
+      return { success: true, ...walked };
+    }
+
+    const entries = treeData.tree
+      .filter((item) => item.type === 'blob')
+      .map((item) => ({ path: item.path, size: item.size, sha: item.sha }));
+
+    return { success: true, entries, complete: true };
+  }
+
+  async function downloadFile(location, sha, filePath) {
+    // raw.githubusercontent.com doesn't count against the API rate limit;
+    // Enterprise hosts fall back to the contents API with a raw media type
+    const url = hostConfig.rawBaseUrl
+      ? `${hostConfig.rawBaseUrl}/${location.owner}/${location.repo}/${sha}/${encodePath(filePath)}`
+      : `${apiBaseUrl}/repos/${location.owner}/${location.repo}/contents/${encodePath(filePath)}?ref=${sha}`;
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          ...getHeaders(),
+          'Accept': 'application/vnd.github.raw',
+        },
+        signal: AbortSignal.timeout(10000),
+      });
+
+      if (!response.ok) {
+        return { success: false, error: `HTTP ${response.status}` };
+      }
+
+      return { success: true, content: await response.text() };
+    } catch (error) {
+      return { success: false, error: String(error) };
+    }
+  }
+
+  // Tarball of the whole commit; redirects to codeload.github.com
+  function getArchiveRequest(location, sha) {
+    return {
+      url: `${apiBaseUrl}/repos/${location.owner}/${location.repo}/tarball/${sha}`,
+      headers: getHeaders(),
+      stripComponents: 1,
+    };
+  }
+
+  // Smart HTTP remote for the opt-in secrets history scan (git fetch)
+  function getCloneRequest(location) {
+    const token = getHostToken(hostConfig, requestToken);
+    return {
+      url: `https://${hostConfig.host}/${location.owner}/${location.repo}.git`,
+      headers: token ? { Authorization: getBasicAuthHeader('x-access-token', token) } : {},
+    };
+  }
+
+  return {
+    name: 'github',
+    host: hostConfig.host,
+    parseUrl,
+    prepareAuth,
+    getHeaders,
+    resolveRef,
+    listTree,
+    downloadFile,
+    getArchiveRequest,
+    getCloneRequest,
+  };
+}
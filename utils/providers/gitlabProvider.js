@@ -0,0 +1,240 @@
+import { validateGitRef } from '../../lib/validateRepoUrl.js';
+import {
+  createProviderLogger,
+  describeFetchError,
+  getBasicAuthHeader,
+  getHostToken,
+  isCommitSha,
+  OWNER_SEGMENT_REGEX,
+  REPO_SEGMENT_REGEX,
+} from './providerUtils.js';
+
+const logger = createProviderLogger('GitLabProvider');
+
+const TREE_PAGE_SIZE = 100;
+const MAX_TREE_PAGES = 200;
+
+/**
+ * GitLab.com and self-managed GitLab provider.
+ * auth: { type: 'token', token } to use a caller-supplied token for this scan.
+ * URLs: https://<host>/group[/subgroup...]/project[/-/tree/<ref>]
+ */
+export function createGitLabProvider(hostConfig, auth = {}) {
+  // Per-request credential; scoped to this provider instance, i.e. to one scan
+  const requestToken = auth.type === 'token' ? auth.token : undefined;
+  const apiBaseUrl = hostConfig.apiBaseUrl || `https://${hostConfig.host}/api/v4`;
+
+  function getHeaders() {
+    const headers = {
+      'Accept': 'application/json',
+      'User-Agent': 'LumenClew/1.0',
+    };
+
+    const token = getHostToken(hostConfig, requestToken);
+    if (token) {
+      headers['PRIVATE-TOKEN'] = token;
+      logger.debug('Using GitLab token for authentication');
+    }
+
+    return headers;
+  }
+
+  function describeErrorResponse(response, notFoundMessage) {
+    if (response.status === 404) {
+      return notFoundMessage;
+    }
+
+    if (response.status === 429) {
+      const retryAfter = response.headers.get('retry-after');
+      return `GitLab API rate limit exceeded${retryAfter ? `. Retry after ${retryAfter}s` : ''}`;
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      return `GitLab API access forbidden (${response.status})`;
+    }
+
+    return `GitLab API error: ${response.status} ${response.statusText}`;
+  }
+
+  function projectApiUrl(location) {
+    return `${apiBaseUrl}/projects/${encodeURIComponent(location.projectPath)}`;
+  }
+
+  function parseUrl(segments) {
+    const separatorIndex = segments.indexOf('-');
+    const projectSegments = separatorIndex === -1 ? segments : segments.slice(0, separatorIndex);
+    const expected = `Expected: https://${hostConfig.host}/group/project or https://${hostConfig.host}/group/project/-/tree/<ref>`;
+
+    const namespaceValid = projectSegments.slice(0, -1).every((s) => OWNER_SEGMENT_REGEX.test(s));
+    const projectValid = REPO_SEGMENT_REGEX.test(projectSegments[projectSegments.length - 1] || '');
+    if (projectSegments.length < 2 || !namespaceValid || !projectValid) {
+      return { isValid: false, error: `Invalid GitLab project URL format. ${expected}` };
+    }
+
+    let ref;
+    if (separatorIndex !== -1) {
+      const [marker, ...refSegments] = segments.slice(separatorIndex + 1);
+      if (marker !== 'tree' || refSegments.length === 0) {
+        return { isValid: false, error: `Invalid GitLab project URL format. ${expected}` };
+      }
+      const refValidation = validateGitRef(refSegments.join('/'));
+      if (!refValidation.isValid) {
+        return { isValid: false, error: refValidation.error };
+      }
+      ref = refValidation.ref;
+    }
+
+    const projectPath = projectSegments.join('/');
+    return {
+      isValid: true,
+      location: {
+        host: hostConfig.host,
+        owner: projectSegments.slice(0, -1).join('/'),
+        repo: projectSegments[projectSegments.length - 1],
+        projectPath,
+      },
+      normalizedUrl: `https://${hostConfig.host}/${projectPath}`,
+      ref,
+    };
+  }
+
+  async function resolveRef(location, ref) {
+    try {
+      let target = ref;
+
+      // GitLab has no HEAD alias in the commits API, so look up the default branch
+      if (ref === 'HEAD') {
+        const projectResponse = await fetch(projectApiUrl(location), {
+          headers: getHeaders(),
+          signal: AbortSignal.timeout(15000),
+        });
+        if (!projectResponse.ok) {
+          return {
+            success: false,
+            error: describeErrorResponse(projectResponse, 'Repository not found (404)'),
+          };
+        }
+        const project = await projectResponse.json();
+        if (!project.default_branch) {
+          return { success: false, error: 'Repository is empty' };
+        }
+        target = project.default_branch;
+      }
+
+      const response = await fetch(
+        `${projectApiUrl(location)}/repository/commits/${encodeURIComponent(target)}`,
+        {
+          headers: getHeaders(),
+          signal: AbortSignal.timeout(15000),
+        }
+      );
+
+      if (!response.ok) {
+        return { success: false, error: describeErrorResponse(response, `Ref not found: ${ref}`) };
+      }
+
+      const commit = await response.json();
+      if (!isCommitSha(commit.id || '')) {
+        return { success: false, error: `Could not resolve ref ${ref} to a commit` };
+      }
+
+      return { success: true, sha: commit.id };
+    } catch (error) {
+      return { success: false, error: describeFetchError(error, 'resolve ref', 'GitLab') };
+    }
+  }
+
+  async function listTree(location, sha) {
+    const entries = [];
+
+    try {
+      // The tree endpoint is paginated; x-next-page is empty on the last page
+      let page = '1';
+      let pagesFetched = 0;
+      while (page && pagesFetched < MAX_TREE_PAGES) {
+        const url = `${projectApiUrl(location)}/repository/tree?ref=${sha}&recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`;
+        const response = await fetch(url, {
+          headers: getHeaders(),
+          signal: AbortSignal.timeout(30000),
+        });
+
+        if (!response.ok) {
+          return {
+            success: false,
+            error: describeErrorResponse(response, 'Repository not found (404)'),
+          };
+        }
+
+        const items = await response.json();
+        for (const item of items) {
+          if (item.type === 'blob') {
+            // GitLab's tree listing has no sizes; the fetcher checks size after download
+            entries.push({ path: item.path, sha: item.id });
+          }
+        }
+
+        page = response.headers.get('x-next-page');
+        pagesFetched++;
+      }
+
+      if (page) {
+        logger.warn(`Tree listing stopped after ${MAX_TREE_PAGES} pages`);
+      }
+
+      return { success: true, entries, complete: !page };
+    } catch (error) {
+      return {
+        success: false,
+        error: describeFetchError(error, 'fetch repository tree', 'GitLab'),
+      };
+    }
+  }
+
+  async function downloadFile(location, sha, filePath) {
+    const url = `${projectApiUrl(location)}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${sha}`;
+
+    try {
+      const response = await fetch(url, {
+        headers: getHeaders(),
+        signal: AbortSignal.timeout(10000),
+      });
+
+      if (!response.ok) {
+        return { success: false, error: `HTTP ${response.status}` };
+      }
+
+      return { success: true, content: await response.text() };
+    } catch (error) {
+      return { success: false, error: String(error) };
+    }
+  }
+
+  function getArchiveRequest(location, sha) {
+    return {
+      url: `${projectApiUrl(location)}/repository/archive.tar.gz?sha=${sha}`,
+      headers: getHeaders(),
+      stripComponents: 1,
+    };
+  }
+
+  // Smart HTTP remote for the opt-in secrets history scan (git fetch)
+  function getCloneRequest(location) {
+    const token = getHostToken(hostConfig, requestToken);
+    return {
+      url: `https://${hostConfig.host}/${location.projectPath}.git`,
+      headers: token ? { Authorization: getBasicAuthHeader('oauth2', token) } : {},
+    };
+  }
+
+  return {
+    name: 'gitlab',
+    host: hostConfig.host,
+    parseUrl,
+    getHeaders,
+    resolveRef,
+    listTree,
+    downloadFile,
+    getArchiveRequest,
+    getCloneRequest,
+  };
+}
@@ -0,0 +1,46 @@
+import { validateRepoUrl } from '../../lib/validateRepoUrl.js';
+import { createGitHubProvider } from './githubProvider.js';
+import { createGitLabProvider } from './gitlabProvider.js';
+import { createGiteaProvider } from './giteaProvider.js';
+
+const PROVIDER_FACTORIES = {
+  github: createGitHubProvider,
+  gitlab: createGitLabProvider,
+  gitea: createGiteaProvider,
+};
+
+export const SUPPORTED_PROVIDERS = Object.keys(PROVIDER_FACTORIES);
+
+/**
+ * Picks the provider for a repository URL from CONFIG.REPO_HOSTS and parses the URL with it.
+ * Returns { isValid, error } or { isValid, provider, location, normalizedUrl, ref }.
+ * @param {string} repoUrl
+ * @param {Object} [auth] - Per-scan credential: { type: 'token', token } or { type: 'github_app' }
+ */
+export function resolveProvider(repoUrl, auth) {
+  const validation = validateRepoUrl(repoUrl);
+  if (!validation.isValid) {
+    return validation;
+  }
+
+  const { hostConfig, segments } = validation;
+  const factory = PROVIDER_FACTORIES[hostConfig.provider];
+  if (!factory) {
+    return {
+      isValid: false,
+      error: `Host ${hostConfig.host} is configured with unknown provider "${hostConfig.provider}"`,
+    };
+  }
+
+  if (auth?.type === 'github_app' && hostConfig.provider !== 'github') {
+    return { isValid: false, error: 'GitHub App authentication is only available for GitHub hosts' };
+  }
+
+  const provider = factory(hostConfig, auth);
+  const parsed = provider.parseUrl(segments);
+  if (!parsed.isValid) {
+    return parsed;
+  }
+
+  return { ...parsed, provider };
+}
@@ -0,0 +1,42 @@
+// Helpers shared by the repository provider implementations
+
+export function createProviderLogger(name) {
+  return {
+    debug: (msg, data) => process.env.DEBUG && console.debug(`[${name}] ${msg}`, data ?? ''),
+    info: (msg, data) => console.info(`[${name}] ${msg}`, data ?? ''),
+    warn: (msg, data) => console.warn(`[${name}] ${msg}`, data ?? ''),
+    error: (msg, data) => console.error(`[${name}] ${msg}`, data ?? ''),
+  };
+}
+
+// Encode each path segment but keep the slashes hosts expect in refs and paths
+export function encodePath(value) {
+  return value.split('/').map(encodeURIComponent).join('/');
+}
+
+// A per-request token always wins over the server's own token for the host
+export function getHostToken(hostConfig, requestToken) {
+  if (requestToken) {
+    return requestToken;
+  }
+  return hostConfig.tokenEnv ? process.env[hostConfig.tokenEnv] : undefined;
+}
+
+// git over HTTPS takes tokens as basic auth; each host expects its own username
+export function getBasicAuthHeader(username, token) {
+  return `Basic ${Buffer.from(`${username}:${token}`).toString('base64')}`;
+}
+
+export function describeFetchError(error, action, hostLabel) {
+  if (error instanceof Error && error.name === 'TimeoutError') {
+    return `${hostLabel} API request timed out`;
+  }
+  return `Failed to ${action}: ${error}`;
+}
+
+export function isCommitSha(value) {
+  return /^[0-9a-f]{40}$/i.test(value);
+}
+
+export const OWNER_SEGMENT_REGEX = /^[a-zA-Z0-9_.-]+$/;
+export const REPO_SEGMENT_REGEX = /^[a-zA-Z0-9_.-]+$/;
@@ -0,0 +1,150 @@
+import { createHmac, randomBytes } from 'crypto';
+import { CONFIG } from '../lib/config.js';
+import { scoreSecretCandidate } from './secretEntropy.js';
+import { loadSecretRules, findRuleMatches } from './secretRules.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[Redaction] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[Redaction] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[Redaction] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[Redaction] ${msg}`, data ?? ''),
+};
+
+let processFingerprintKey = null;
+
+// A plain hash of a short or structured secret can be brute-forced offline;
+// keyed, the fingerprint is only comparable within this deployment
+function getFingerprintKey() {
+  if (CONFIG.REDACTION.fingerprintKey) {
+    return CONFIG.REDACTION.fingerprintKey;
+  }
+  if (!processFingerprintKey) {
+    processFingerprintKey = randomBytes(32);
+    logger.warn('REDACTION_FINGERPRINT_KEY is not set; secret fingerprints will change when the server restarts');
+  }
+  return processFingerprintKey;
+}
+
+/**
+ * Stands in for a secret value: enough to recognize which key was flagged
+ * (its ends, its length and a keyed hash) without revealing it.
+ * At most CONFIG.REDACTION.previewChars show at each end, and never more than
+ * a quarter of the value in total, so short passwords show little or nothing.
+ * @param {string} value
+ * @returns {{preview: string, length: number, fingerprint: string}}
+ */
+export function maskSecret(value) {
+  const visible = Math.min(CONFIG.REDACTION.previewChars, Math.floor(value.length / 8));
+  return {
+    preview: visible > 0 ? `${value.slice(0, visible)}…${value.slice(-visible)}` : '…',
+    length: value.length,
+    fingerprint: `hmac-sha256:${createHmac('sha256', getFingerprintKey()).update(value).digest('hex').substring(0, CONFIG.REDACTION.fingerprintLength)}`,
+  };
+}
+
+// Outside source lines secrets sit in URLs and attributes, not tidy literals:
+// every run of base64/hex characters is scored on its own
+const TOKEN_RUN = /[A-Za-z0-9+/_-]{8,}={0,2}/g;
+
+// Commit SHAs are random but public: a value that is one (a history finding's
+// commit) or one pinned by a git dependency ("lib.git#9f2c4e1a...")
+const COMMIT_SHA = /^[0-9a-f]{40}$/;
+
+function isCommitSha(text, run) {
+  const wholeValue = run.index === 0 && run[0].length === text.length;
+  return (wholeValue || text[run.index - 1] === '#') && COMMIT_SHA.test(run[0]);
+}
+
+function replaceSpans(text, spans) {
+  let redacted = text;
+  // Right to left, so earlier offsets stay valid
+  for (const span of [...spans].sort((a, b) => b.start - a.start)) {
+    redacted = redacted.slice(0, span.start) + span.mask.preview + redacted.slice(span.start + span.value.length);
+  }
+  return redacted;
+}
+
+function overlaps(spans, start, end) {
+  return spans.some((span) => start < span.start + span.value.length && span.start < end);
+}
+
+/**
+ * Masks anything in text the secrets scanner would flag: detector matches
+ * first, then high-entropy tokens in what's left.
+ * @param {string} text
+ * @param {{rules: Object[]}} ruleset - From loadSecretRules()
+ * @returns {{text: string, secrets: {preview: string, length: number, fingerprint: string}[]}}
+ */
+export function redactText(text, ruleset) {
+  const spans = [];
+  for (const rule of ruleset.rules) {
+    // File-scoped detectors (".netrc" passwords and the like) only make sense in those files
+    if (rule.files) continue;
+    for (const match of findRuleMatches(rule, text)) {
+      if (!overlaps(spans, match.index, match.index + match.value.length)) {
+        spans.push({ start: match.index, value: match.value, mask: maskSecret(match.value) });
+      }
+    }
+  }
+  for (const run of text.matchAll(TOKEN_RUN)) {
+    const [value] = run;
+    if (overlaps(spans, run.index, run.index + value.length) || isCommitSha(text, run)) continue;
+    if (scoreSecretCandidate(value, text.slice(0, run.index))) {
+      spans.push({ start: run.index, value, mask: maskSecret(value) });
+    }
+  }
+
+  if (spans.length === 0) {
+    return { text, secrets: [] };
+  }
+  return { text: replaceSpans(text, spans), secrets: spans.map((span) => span.mask) };
+}
+
+function redactValue(value, ruleset, secrets) {
+  if (typeof value === 'string') {
+    const result = redactText(value, ruleset);
+    secrets.push(...result.secrets);
+    return result.text;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, ruleset, secrets));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redactValue(item, ruleset, secrets)])
+    );
+  }
+  return value;
+}
+
+/**
+ * The one place raw findings are made safe to translate, log and return.
+ * A finding's own `metadata.secret` (the value the secrets scanner matched)
+ * becomes `metadata.redacted`; secret-looking text anywhere else in the
+ * message or metadata (an a11y `matchedText`, say) is masked in place and
+ * listed in `metadata.redactions`.
+ * @param {Object[]} findings - RawFinding[]
+ * @param {{rules: Object[]}} [ruleset]
+ * @returns {Object[]} New findings; the input is left untouched
+ */
+export function redactFindings(findings, ruleset = loadSecretRules()) {
+  return findings.map((finding) => {
+    const { secret, ...metadata } = finding.metadata || {};
+    const secrets = [];
+    const redacted = {
+      ...finding,
+      message: redactValue(finding.message, ruleset, secrets),
+    };
+
+    if (finding.metadata) {
+      redacted.metadata = redactValue(metadata, ruleset, secrets);
+    }
+    if (typeof secret === 'string') {
+      redacted.metadata.redacted = maskSecret(secret);
+    }
+    if (secrets.length > 0) {
+      redacted.metadata = { ...redacted.metadata, redactions: secrets };
+    }
+    return redacted;
+  });
+}
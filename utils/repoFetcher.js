@@ -0,0 +1,300 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { Readable } from 'stream';
+import { CONFIG } from '../lib/config.js';
+import { extractTarGz, resolveInsideDir } from './archiveExtractor.js';
+import { isBlobCacheEnabled, restoreBlob, storeBlob } from './blobCache.js';
+import {
+  createTempDir,
+  getMaxFileSizeBytes,
+  getPriorityHintPaths,
+  selectFiles,
+} from './fileSelection.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[RepoFetcher] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[RepoFetcher] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[RepoFetcher] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[RepoFetcher] ${msg}`, data ?? ''),
+  time: (label) => {
+    const start = Date.now();
+    return () => console.debug(`[RepoFetcher] ${label}: ${Date.now() - start}ms`);
+  },
+};
+
+async function downloadFile(provider, location, commitSha, filePath, targetDir) {
+  const targetPath = path.join(targetDir, filePath);
+  if (!targetPath.startsWith(`${targetDir}${path.sep}`)) {
+    logger.warn(`Refusing to write outside temp directory: ${filePath}`);
+    return false;
+  }
+
+  try {
+    const result = await provider.downloadFile(location, commitSha, filePath);
+
+    if (!result.success) {
+      logger.warn(`Failed to download ${filePath}: ${result.error}`);
+      return false;
+    }
+
+    // Some hosts don't report sizes in the tree listing, so re-check here
+    if (Buffer.byteLength(result.content, 'utf-8') > getMaxFileSizeBytes(filePath)) {
+      logger.debug(`Skipping large file: ${filePath}`);
+      return false;
+    }
+
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.writeFileSync(targetPath, result.content, 'utf-8');
+    return true;
+  } catch (error) {
+    logger.warn(`Error downloading ${filePath}:`, error);
+    return false;
+  }
+}
+
+async function downloadViaFiles(provider, location, commitSha, files, tempDir) {
+  const downloaded = [];
+
+  // Download files in parallel batches for speed
+  const BATCH_SIZE = CONFIG.DOWNLOAD_BATCH_SIZE || 10;
+  const totalBatches = Math.ceil(files.length / BATCH_SIZE);
+
+  for (let i = 0; i < files.length; i += BATCH_SIZE) {
+    const batch = files.slice(i, i + BATCH_SIZE);
+    
+    const results = await Promise.all(
+      batch.map(file => downloadFile(provider, location, commitSha, file.path, tempDir))
+    );
+    
+    batch.forEach((file, index) => {
+      if (results[index]) downloaded.push(file.path);
+    });
+    
+    logger.debug(`Downloaded batch ${Math.floor(i / BATCH_SIZE) + 1}/${totalBatches}`);
+  }
+
+  return downloaded;
+}
+
+/**
+ * Downloads the commit as one tarball and extracts only the selected files.
+ * Returns the set of paths written, or an error so the caller can fall back.
+ */
+async function downloadViaArchive(provider, location, commitSha, files, tempDir) {
+  const { url, headers, stripComponents } = provider.getArchiveRequest(location, commitSha);
+  const wanted = new Set(files.map((file) => file.path));
+
+  try {
+    const response = await fetch(url, {
+      headers,
+      signal: AbortSignal.timeout(CONFIG.ARCHIVE.timeoutMs),
+    });
+
+    if (!response.ok || !response.body) {
+      return { success: false, error: `Archive request failed: HTTP ${response.status}` };
+    }
+
+    const declaredSize = Number(response.headers.get('content-length'));
+    if (declaredSize > CONFIG.ARCHIVE.maxDownloadMb * 1024 * 1024) {
+      await response.body.cancel();
+      return { success: false, error: `Archive is larger than ${CONFIG.ARCHIVE.maxDownloadMb}MB` };
+    }
+
+    const { extracted } = await extractTarGz(Readable.fromWeb(response.body), tempDir, {
+      stripComponents,
+      shouldExtract: (relativePath, size) =>
+        wanted.has(relativePath) && size <= getMaxFileSizeBytes(relativePath),
+    });
+
+    return { success: true, extracted: new Set(extracted) };
+  } catch (error) {
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+// Small files (package.json, .gitattributes) that file selection ranks the rest by
+async function fetchHintFiles(provider, location, commitSha, hintPaths) {
+  const results = await Promise.all(
+    hintPaths.map((filePath) => provider.downloadFile(location, commitSha, filePath).catch(() => null))
+  );
+
+  const hintFiles = {};
+  hintPaths.forEach((filePath, index) => {
+    if (results[index]?.success) {
+      hintFiles[filePath] = results[index].content;
+    } else {
+      logger.debug(`Could not read ${filePath} for file prioritization`);
+    }
+  });
+  return hintFiles;
+}
+
+export function cleanupDir(tempDir) {
+  try {
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      logger.debug(`Cleaned up temp directory: ${tempDir}`);
+    }
+  } catch (error) {
+    logger.warn(`Failed to cleanup temp directory ${tempDir}:`, error);
+  }
+}
+
+/**
+ * Downloads a repository snapshot into a temp directory through its host provider.
+ * @param {Object} provider - Provider from resolveProvider()
+ * @param {Object} location - Parsed repository location for that provider
+ * @param {'fast' | 'full'} scanMode
+ * @param {string} [ref] - Branch, tag or SHA; defaults to the default branch
+ * @param {{subPath?: string}} [options] - subPath limits the scan to one directory
+ */
+export async function fetchRepo(provider, location, scanMode = 'fast', ref, { subPath } = {}) {
+  const endTimer = logger.time('fetchRepo');
+
+  const requestedRef = ref || 'HEAD';
+  const repoLabel = location.projectPath || `${location.owner}/${location.repo}`;
+  logger.info(`Fetching repository: ${provider.name}:${location.host}/${repoLabel}@${requestedRef} (mode: ${scanMode})`);
+
+  if (provider.prepareAuth) {
+    const authResult = await provider.prepareAuth(location);
+    if (!authResult.success) {
+      return authResult;
+    }
+  }
+
+  // Resolve the ref once so every file comes from the same commit
+  const resolved = await provider.resolveRef(location, requestedRef);
+  if (!resolved.success) {
+    return resolved;
+  }
+  const commitSha = resolved.sha;
+  logger.info(`Resolved ${requestedRef} to commit ${commitSha}`);
+
+  const tempDir = createTempDir();
+  try {
+    fs.mkdirSync(tempDir, { recursive: true });
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to create temp directory: ${error}`,
+    };
+  }
+
+  const treeResult = await provider.listTree(location, commitSha);
+  if (!treeResult.success) {
+    cleanupDir(tempDir);
+    return treeResult;
+  }
+
+  const allFiles = treeResult.entries;
+  const fileListingComplete = treeResult.complete !== false;
+  if (!fileListingComplete) {
+    logger.warn('File listing is incomplete - results will cover only part of the repository');
+  }
+  const hintFiles = await fetchHintFiles(
+    provider, location, commitSha, getPriorityHintPaths(allFiles, subPath)
+  );
+  const {
+    scopedFiles,
+    allowedFiles,
+    selectedFiles: filesToDownload,
+    generatedFilesExcluded,
+    sampledDirectories,
+  } = selectFiles(allFiles, scanMode, { subPath, hintFiles });
+
+  if (subPath && !scopedFiles.some((item) => item.path.startsWith(`${subPath}/`))) {
+    cleanupDir(tempDir);
+    return { success: false, error: `Path not found in repository: ${subPath}` };
+  }
+
+  logger.info(`Files: ${scopedFiles.length} total${subPath ? ` under ${subPath}` : ''}, ${allowedFiles.length} allowed, ${generatedFilesExcluded} marked generated left out, ${filesToDownload.length} to download`);
+
+  // Blobs seen in earlier scans (of any repo) are copied from the cache instead of downloaded
+  const cachedFiles = filesToDownload.filter((file) => {
+    const targetPath = resolveInsideDir(tempDir, file.path);
+    return targetPath && restoreBlob(file.sha, targetPath);
+  });
+  const cachedPaths = new Set(cachedFiles.map((file) => file.path));
+  const filesToFetch = filesToDownload.filter((file) => !cachedPaths.has(file.path));
+  const blobCache = isBlobCacheEnabled()
+    ? { hits: cachedFiles.length, misses: filesToFetch.length }
+    : undefined;
+  if (blobCache) {
+    logger.info(`Blob cache: ${blobCache.hits} hits, ${blobCache.misses} misses`);
+  }
+
+  let filesScanned = cachedFiles.length;
+  let downloadStrategy = filesToFetch.length === 0 && cachedFiles.length > 0 ? 'cache' : 'files';
+  let remainingFiles = filesToFetch;
+  const downloadedPaths = [];
+
+  const useArchive = CONFIG.DOWNLOAD_STRATEGY === 'archive'
+    && provider.getArchiveRequest
+    && filesToFetch.length > 0
+    && (cachedFiles.length === 0 || filesToFetch.length >= CONFIG.BLOB_CACHE.minMissesForArchive);
+
+  if (useArchive) {
+    const archiveResult = await downloadViaArchive(
+      provider, location, commitSha, filesToFetch, tempDir
+    );
+
+    if (archiveResult.success) {
+      downloadStrategy = 'archive';
+      filesScanned += archiveResult.extracted.size;
+      downloadedPaths.push(...archiveResult.extracted);
+      remainingFiles = filesToFetch.filter((file) => !archiveResult.extracted.has(file.path));
+      logger.info(`Archive extracted ${archiveResult.extracted.size}/${filesToFetch.length} files`);
+    } else {
+      logger.warn(`Archive download failed, falling back to per-file download: ${archiveResult.error}`);
+      // Drop whatever the archive half-wrote; cached files are untouched
+      for (const file of filesToFetch) {
+        const targetPath = resolveInsideDir(tempDir, file.path);
+        if (targetPath) fs.rmSync(targetPath, { force: true });
+      }
+    }
+
+    // Archives sometimes lack files the tree listed (e.g. export-ignore); fetch those one by one
+    if (archiveResult.success && remainingFiles.length > 0) {
+      logger.debug(`${remainingFiles.length} files missing from archive, downloading individually`);
+      downloadStrategy = 'archive+files';
+    }
+  }
+
+  if (downloadStrategy !== 'archive' && downloadStrategy !== 'cache') {
+    const downloaded = await downloadViaFiles(
+      provider, location, commitSha, remainingFiles, tempDir
+    );
+    filesScanned += downloaded.length;
+    downloadedPaths.push(...downloaded);
+  }
+
+  if (isBlobCacheEnabled() && downloadedPaths.length > 0) {
+    const shaByPath = new Map(filesToFetch.map((file) => [file.path, file.sha]));
+    const stored = downloadedPaths.filter(
+      (filePath) => storeBlob(shaByPath.get(filePath), path.join(tempDir, filePath))
+    ).length;
+    logger.debug(`Cached ${stored}/${downloadedPaths.length} downloaded blobs`);
+  }
+
+  const totalSkipped = scopedFiles.length - filesScanned;
+
+  endTimer();
+
+  logger.info(`Fetch complete: ${filesScanned} scanned, ${totalSkipped} skipped`);
+
+  return {
+    success: true,
+    tempDir,
+    fileCount: scopedFiles.length,
+    fileListingComplete,
+    filesScanned,
+    filesSkipped: totalSkipped,
+    generatedFilesExcluded,
+    sampledDirectories,
+    provider: provider.name,
+    downloadStrategy,
+    blobCache,
+    ref: requestedRef,
+    commitSha,
+  };
+}
@@ -2,6 +2,8 @@ import * as fs from 'fs';
 import * as path from 'path';
 import * as crypto from 'crypto';
 import { CONFIG } from '../lib/config.js';
+import { runInWorker } from './analyzerPool.js';
+import { matchesFileType } from './fileSelection.js';
 
 const logger = {
   debug: (msg, data) => process.env.DEBUG && console.debug(`[A11y] ${msg}`, data ?? ''),
@@ -62,8 +64,6 @@ const A11Y_PATTERNS = [
   },
 ];
 
-const ALLOWED_EXTENSIONS = ['.jsx', '.tsx', '.html', '.htm'];
-
 function generateFindingId(patternId, filePath, line) {
   const hash = crypto
     .createHash('sha256')
@@ -73,8 +73,7 @@ function generateFindingId(patternId, filePath, line) {
 }
 
 function shouldAnalyzeFile(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  return ALLOWED_EXTENSIONS.includes(ext);
+  return matchesFileType(filePath, CONFIG.ANALYZER_FILE_TYPES.a11y);
 }
 
 function getLineNumber(content, matchIndex) {
@@ -202,7 +201,8 @@ function walkDirectory(dir, startTime, timeoutMs, files = []) {
   return files;
 }
 
-export function runA11yAnalyzer(tempDir, timeoutMs = CONFIG.FAST_SCAN.a11yTimeoutMs) {
+// Runs inside a worker thread (see runA11yAnalyzer below); the file walk is synchronous
+export function scanDirectoryForA11y(tempDir, timeoutMs, subPath) {
   const startTime = Date.now();
 
   if (!tempDir || !fs.existsSync(tempDir)) {
@@ -217,7 +217,7 @@ export function runA11yAnalyzer(tempDir, timeoutMs = CONFIG.FAST_SCAN.a11yTimeou
   }
 
   try {
-    const files = walkDirectory(tempDir, startTime, timeoutMs);
+    const files = walkDirectory(subPath ? path.join(tempDir, subPath) : tempDir, startTime, timeoutMs);
     const allFindings = [];
     let filesAnalyzed = 0;
     let totalA11yIssues = 0;
@@ -274,3 +274,28 @@ export function runA11yAnalyzer(tempDir, timeoutMs = CONFIG.FAST_SCAN.a11yTimeou
     };
   }
 }
+
+/**
+ * Scans tempDir (only subPath within it, when given) off the main thread.
+ * The worker stops itself at timeoutMs and returns what it found so far; if it
+ * doesn't, it is terminated shortly after.
+ */
+export async function runA11yAnalyzer(tempDir, timeoutMs = CONFIG.FAST_SCAN.a11yTimeoutMs, { subPath } = {}) {
+  const { timedOut, result } = await runInWorker(
+    import.meta.url,
+    'scanDirectoryForA11y',
+    [tempDir, timeoutMs, subPath],
+    timeoutMs + CONFIG.ANALYZERS.killGraceMs
+  );
+
+  if (timedOut) {
+    return {
+      success: true,
+      findings: [],
+      totalA11yIssues: 0,
+      filesAnalyzed: 0,
+      error: `A11y analysis timeout after ${timeoutMs}ms`,
+    };
+  }
+  return result;
+}
@@ -0,0 +1,591 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { CONFIG } from '../lib/config.js';
+import { runInWorker } from './analyzerPool.js';
+import { matchesFileType } from './fileSelection.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[Complexity] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[Complexity] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[Complexity] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[Complexity] ${msg}`, data ?? ''),
+};
+
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.mts', '.cts'];
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??', '&&=', '||=', '??=']);
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+function generateFindingId(patternId, file, line) {
+  const input = `maintainability:complexity_analyzer:${patternId}:${file}:${line}`;
+  return createHash('sha256').update(input).digest('hex').substring(0, 16);
+}
+
+function shouldAnalyzeFile(filePath) {
+  return matchesFileType(filePath, CONFIG.ANALYZER_FILE_TYPES.complexity) && !filePath.endsWith('.d.ts');
+}
+
+// Child nodes of an ESTree node, in source order
+function childNodes(node) {
+  const children = [];
+  for (const key of Object.keys(node)) {
+    if (key === 'parent' || key === 'loc' || key === 'range') continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item && typeof item.type === 'string') children.push(item);
+      }
+    } else if (value && typeof value.type === 'string') {
+      children.push(value);
+    }
+  }
+  return children;
+}
+
+function getFunctionName(node, parent) {
+  if (node.id?.name) return node.id.name;
+  if (!parent) return '<anonymous>';
+
+  switch (parent.type) {
+    case 'VariableDeclarator':
+      return parent.id?.name || '<anonymous>';
+    case 'AssignmentExpression':
+      return parent.left?.property?.name || parent.left?.name || '<anonymous>';
+    case 'Property':
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      return parent.key?.name || parent.key?.value || '<anonymous>';
+    case 'CallExpression':
+    case 'NewExpression': {
+      const callee = parent.callee?.property?.name || parent.callee?.name;
+      return callee ? `<${callee} callback>` : '<callback>';
+    }
+    default:
+      return '<anonymous>';
+  }
+}
+
+function isCallback(node, parent) {
+  return (parent?.type === 'CallExpression' || parent?.type === 'NewExpression')
+    && parent.arguments.includes(node);
+}
+
+/**
+ * Cyclomatic complexity: 1 + one per branch point (if, ?:, loop, case, catch,
+ * && / || / ??). Nested functions are measured on their own, not added here.
+ */
+function cyclomaticComplexity(fnNode) {
+  let complexity = 1;
+
+  const visit = (node) => {
+    switch (node.type) {
+      case 'IfStatement':
+      case 'ConditionalExpression':
+      case 'CatchClause':
+        complexity++;
+        break;
+      case 'SwitchCase':
+        if (node.test) complexity++;
+        break;
+      case 'LogicalExpression':
+      case 'AssignmentExpression':
+        if (LOGICAL_OPERATORS.has(node.operator)) complexity++;
+        break;
+      default:
+        if (LOOP_TYPES.has(node.type)) complexity++;
+    }
+
+    for (const child of childNodes(node)) {
+      if (!FUNCTION_TYPES.has(child.type)) visit(child);
+    }
+  };
+
+  visit(fnNode.body);
+  return complexity;
+}
+
+/**
+ * Cognitive complexity, after SonarSource's definition: structures that break
+ * the linear flow cost 1 plus their nesting depth, `else if` / `else` cost 1,
+ * and each run of the same boolean operator costs 1. As with cyclomatic
+ * complexity, nested functions are scored separately.
+ */
+function cognitiveComplexity(fnNode) {
+  let complexity = 0;
+
+  const visit = (node, nesting, parent) => {
+    if (FUNCTION_TYPES.has(node.type)) return;
+
+    switch (node.type) {
+      case 'IfStatement': {
+        const isElseIf = parent?.type === 'IfStatement' && parent.alternate === node;
+        complexity += isElseIf ? 1 : 1 + nesting;
+        visit(node.test, nesting, node);
+        visit(node.consequent, nesting + 1, node);
+        if (node.alternate) {
+          if (node.alternate.type === 'IfStatement') {
+            // The else-if keeps the nesting level of the if it continues
+            visit(node.alternate, nesting, node);
+          } else {
+            complexity++;
+            visit(node.alternate, nesting + 1, node);
+          }
+        }
+        return;
+      }
+      case 'ConditionalExpression':
+      case 'SwitchStatement':
+      case 'CatchClause':
+        complexity += 1 + nesting;
+        for (const child of childNodes(node)) visit(child, nesting + 1, node);
+        return;
+      case 'LogicalExpression': {
+        const continuesRun = parent?.type === 'LogicalExpression' && parent.operator === node.operator;
+        if (!continuesRun) complexity++;
+        break;
+      }
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        if (node.label) complexity++;
+        break;
+      default:
+        if (LOOP_TYPES.has(node.type)) {
+          complexity += 1 + nesting;
+          for (const child of childNodes(node)) visit(child, nesting + 1, node);
+          return;
+        }
+    }
+
+    for (const child of childNodes(node)) visit(child, nesting, node);
+  };
+
+  visit(fnNode.body, 0, fnNode);
+  return complexity;
+}
+
+function severityForScore(score, threshold) {
+  return score > threshold * 2 ? 'high' : 'medium';
+}
+
+/**
+ * Measures every function in one parsed file and flags callback chains nested
+ * deeper than the configured limit (one finding per chain, at the first
+ * callback past the limit).
+ */
+function analyzeAst(ast, relativePath, findings, functions) {
+  const thresholds = CONFIG.COMPLEXITY;
+
+  const visit = (node, parent, callbackDepth, deepChain) => {
+    let depth = callbackDepth;
+    let chain = deepChain;
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      const name = getFunctionName(node, parent);
+      const line = node.loc.start.line;
+      const cyclomatic = cyclomaticComplexity(node);
+      const cognitive = cognitiveComplexity(node);
+      functions.push({ name, file: relativePath, line, cyclomatic, cognitive });
+
+      const overCyclomatic = cyclomatic > thresholds.cyclomaticThreshold;
+      const overCognitive = cognitive > thresholds.cognitiveThreshold;
+      if (overCyclomatic || overCognitive) {
+        const severity = [
+          overCyclomatic && severityForScore(cyclomatic, thresholds.cyclomaticThreshold),
+          overCognitive && severityForScore(cognitive, thresholds.cognitiveThreshold),
+        ].includes('high') ? 'high' : 'medium';
+
+        findings.push({
+          id: generateFindingId('function_complexity', relativePath, line),
+          panel: 'maintainability',
+          tool: 'complexity_analyzer',
+          severity,
+          message: `Function ${name} has cyclomatic complexity ${cyclomatic} and cognitive complexity ${cognitive}`,
+          file: relativePath,
+          line,
+          column: node.loc.start.column,
+          metadata: {
+            patternId: 'function_complexity',
+            functionName: name,
+            cyclomaticComplexity: cyclomatic,
+            cognitiveComplexity: cognitive,
+            cyclomaticThreshold: thresholds.cyclomaticThreshold,
+            cognitiveThreshold: thresholds.cognitiveThreshold,
+            functionLines: node.loc.end.line - line + 1,
+          },
+        });
+      }
+
+      if (isCallback(node, parent)) {
+        depth++;
+        if (chain) {
+          if (depth > chain.metadata.callbackDepth) {
+            chain.metadata.callbackDepth = depth;
+            chain.message = `Callbacks nested ${depth} levels deep`;
+          }
+        } else if (depth > thresholds.maxCallbackDepth) {
+          chain = {
+            id: generateFindingId('nested_callbacks', relativePath, line),
+            panel: 'maintainability',
+            tool: 'complexity_analyzer',
+            severity: 'medium',
+            message: `Callbacks nested ${depth} levels deep`,
+            file: relativePath,
+            line,
+            column: node.loc.start.column,
+            metadata: {
+              patternId: 'nested_callbacks',
+              callbackDepth: depth,
+              maxCallbackDepth: thresholds.maxCallbackDepth,
+            },
+          };
+          findings.push(chain);
+        }
+      } else {
+        // A named function or method starts a fresh chain
+        depth = 0;
+        chain = null;
+      }
+    }
+
+    for (const child of childNodes(node)) {
+      visit(child, node, depth, chain);
+    }
+  };
+
+  visit(ast, null, 0, null);
+}
+
+// Lines that carry code, normalized so indentation and spacing differences
+// don't hide a copy. Closing braces and imports repeat everywhere and are skipped.
+function significantLines(content) {
+  const lines = [];
+  let inBlockComment = false;
+
+  content.split('\n').forEach((raw, index) => {
+    let text = raw.trim();
+    if (inBlockComment) {
+      if (text.includes('*/')) inBlockComment = false;
+      return;
+    }
+    if (text.startsWith('/*')) {
+      inBlockComment = !text.includes('*/');
+      return;
+    }
+    if (!text || text.startsWith('//') || /^[\s{}()[\];,]*$/.test(text) || /^(import|export \{)\b/.test(text)) {
+      return;
+    }
+    text = text.replace(/\s+/g, ' ');
+    lines.push({ text, line: index + 1 });
+  });
+
+  return lines;
+}
+
+function hashWindow(lines, start, length) {
+  const hash = createHash('sha1');
+  for (let i = start; i < start + length; i++) {
+    hash.update(lines[i].text).update('\n');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Finds blocks of at least duplicateMinLines significant lines that appear
+ * earlier in the scan (same file or another). Each copy is extended as far as
+ * it keeps matching and reported once, pointing at the first occurrence.
+ */
+function findDuplicateBlocks(fileLines) {
+  const minLines = CONFIG.COMPLEXITY.duplicateMinLines;
+  const firstSeen = new Map();
+  const blocks = [];
+
+  for (const [file, lines] of fileLines) {
+    let i = 0;
+    while (i + minLines <= lines.length) {
+      const key = hashWindow(lines, i, minLines);
+      const original = firstSeen.get(key);
+      const overlapsItself = original && original.file === file && original.index + minLines > i;
+
+      if (!original || overlapsItself) {
+        if (!original) firstSeen.set(key, { file, index: i });
+        i++;
+        continue;
+      }
+
+      const originalLines = fileLines.get(original.file);
+      let length = minLines;
+      while (
+        i + length < lines.length
+        && original.index + length < originalLines.length
+        && !(original.file === file && original.index + length >= i)
+        && lines[i + length].text === originalLines[original.index + length].text
+      ) {
+        length++;
+      }
+
+      blocks.push({
+        file,
+        startLine: lines[i].line,
+        endLine: lines[i + length - 1].line,
+        significantLines: length,
+        originalFile: original.file,
+        originalStartLine: originalLines[original.index].line,
+        originalEndLine: originalLines[original.index + length - 1].line,
+      });
+      i += length;
+    }
+  }
+
+  return blocks;
+}
+
+function duplicateFinding(block) {
+  const minLines = CONFIG.COMPLEXITY.duplicateMinLines;
+  return {
+    id: generateFindingId('duplicate_block', block.file, block.startLine),
+    panel: 'maintainability',
+    tool: 'complexity_analyzer',
+    severity: block.significantLines >= minLines * 3 ? 'medium' : 'low',
+    message: `Lines ${block.startLine}-${block.endLine} duplicate ${block.originalFile}:${block.originalStartLine}-${block.originalEndLine}`,
+    file: block.file,
+    line: block.startLine,
+    column: 0,
+    metadata: {
+      patternId: 'duplicate_block',
+      duplicatedLines: block.significantLines,
+      endLine: block.endLine,
+      originalFile: block.originalFile,
+      originalStartLine: block.originalStartLine,
+      originalEndLine: block.originalEndLine,
+    },
+  };
+}
+
+function fileLengthFinding(relativePath, lineCount) {
+  const { maxFileLines } = CONFIG.COMPLEXITY;
+  return {
+    id: generateFindingId('long_file', relativePath, 1),
+    panel: 'maintainability',
+    tool: 'complexity_analyzer',
+    severity: lineCount > maxFileLines * 2.5 ? 'medium' : 'low',
+    message: `File is ${lineCount} lines long`,
+    file: relativePath,
+    line: 1,
+    column: 0,
+    metadata: {
+      patternId: 'long_file',
+      lineCount,
+      maxFileLines,
+    },
+  };
+}
+
+function walkDirectory(dir, startTime, timeoutMs, files = []) {
+  try {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (Date.now() - startTime > timeoutMs) {
+        break;
+      }
+
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!CONFIG.FILES_TO_IGNORE.includes(`${entry.name}/`)) {
+          walkDirectory(fullPath, startTime, timeoutMs, files);
+        }
+      } else if (entry.isFile() && shouldAnalyzeFile(fullPath)) {
+        files.push(fullPath);
+      }
+    }
+  } catch (error) {
+    logger.debug(`Error reading directory ${dir}: ${error.message}`);
+  }
+
+  return files;
+}
+
+function average(values) {
+  if (values.length === 0) return 0;
+  return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10;
+}
+
+function buildMetrics({ filesAnalyzed, filesFailed, linesOfCode, functions, longFiles, findings, blocks, significantLineCount }) {
+  const thresholds = CONFIG.COMPLEXITY;
+  const cyclomatic = functions.map((f) => f.cyclomatic);
+  const cognitive = functions.map((f) => f.cognitive);
+  const duplicatedLines = blocks.reduce((sum, b) => sum + b.significantLines, 0);
+
+  return {
+    filesAnalyzed,
+    filesFailed,
+    linesOfCode,
+    functionsAnalyzed: functions.length,
+    cyclomaticComplexity: {
+      average: average(cyclomatic),
+      max: cyclomatic.length > 0 ? Math.max(...cyclomatic) : 0,
+      functionsOverThreshold: cyclomatic.filter((c) => c > thresholds.cyclomaticThreshold).length,
+    },
+    cognitiveComplexity: {
+      average: average(cognitive),
+      max: cognitive.length > 0 ? Math.max(...cognitive) : 0,
+      functionsOverThreshold: cognitive.filter((c) => c > thresholds.cognitiveThreshold).length,
+    },
+    longFiles,
+    deeplyNestedCallbacks: findings.filter((f) => f.metadata.patternId === 'nested_callbacks').length,
+    duplication: {
+      blocks: blocks.length,
+      duplicatedLines,
+      // Share of significant (non-blank, non-comment) lines that repeat earlier code
+      percent: significantLineCount > 0
+        ? Math.round((duplicatedLines / significantLineCount) * 1000) / 10
+        : 0,
+    },
+    mostComplexFunctions: [...functions]
+      .sort((a, b) => b.cognitive - a.cognitive || b.cyclomatic - a.cyclomatic)
+      .slice(0, 5),
+    thresholds: {
+      cyclomatic: thresholds.cyclomaticThreshold,
+      cognitive: thresholds.cognitiveThreshold,
+      fileLines: thresholds.maxFileLines,
+      callbackDepth: thresholds.maxCallbackDepth,
+      duplicateMinLines: thresholds.duplicateMinLines,
+    },
+  };
+}
+
+// Runs inside a worker thread (see runComplexityAnalyzer below). The parser
+// is loaded here rather than at module level so the main thread never pays for TypeScript.
+export async function analyzeDirectoryComplexity(tempDir, timeoutMs, subPath) {
+  const startTime = Date.now();
+
+  if (!tempDir || !fs.existsSync(tempDir)) {
+    logger.warn('Complexity analyzer: tempDir does not exist', { tempDir });
+    return {
+      success: true,
+      findings: [],
+      error: 'Directory not found',
+    };
+  }
+
+  try {
+    const { parse } = await import('@typescript-eslint/parser');
+    const files = walkDirectory(subPath ? path.join(tempDir, subPath) : tempDir, startTime, timeoutMs).sort();
+
+    const findings = [];
+    const functions = [];
+    const fileLines = new Map();
+    let filesAnalyzed = 0;
+    let filesFailed = 0;
+    let linesOfCode = 0;
+    let longFiles = 0;
+    let timedOut = false;
+
+    for (const filePath of files) {
+      if (Date.now() - startTime > timeoutMs) {
+        timedOut = true;
+        break;
+      }
+
+      const relativePath = path.relative(tempDir, filePath).split(path.sep).join('/');
+      const ext = path.extname(filePath).toLowerCase();
+
+      try {
+        if (fs.statSync(filePath).size > CONFIG.MAX_FILE_SIZE_MB * 1024 * 1024) {
+          continue;
+        }
+        const content = fs.readFileSync(filePath, 'utf-8');
+
+        const ast = parse(content, {
+          // Angle-bracket casts in .ts files read as JSX if it's enabled
+          ecmaFeatures: { jsx: !TYPESCRIPT_EXTENSIONS.includes(ext) },
+          loc: true,
+          range: true,
+          ecmaVersion: 'latest',
+          sourceType: ext === '.cjs' || ext === '.cts' ? 'script' : 'module',
+        });
+        analyzeAst(ast, relativePath, findings, functions);
+        filesAnalyzed++;
+
+        const lineCount = content.split('\n').length;
+        linesOfCode += content.split('\n').filter((l) => l.trim()).length;
+        if (lineCount > CONFIG.COMPLEXITY.maxFileLines) {
+          longFiles++;
+          findings.push(fileLengthFinding(relativePath, lineCount));
+        }
+
+        fileLines.set(relativePath, significantLines(content));
+      } catch (fileError) {
+        // Unparseable files are ESLint's to report (parseCoverage); here they are only counted
+        filesFailed++;
+        logger.debug(`Could not analyze ${relativePath}: ${fileError.message}`);
+      }
+    }
+
+    const blocks = findDuplicateBlocks(fileLines);
+    findings.push(...blocks.map(duplicateFinding));
+
+    let significantLineCount = 0;
+    for (const lines of fileLines.values()) significantLineCount += lines.length;
+
+    const metrics = buildMetrics({
+      filesAnalyzed,
+      filesFailed,
+      linesOfCode,
+      functions,
+      longFiles,
+      findings,
+      blocks,
+      significantLineCount,
+    });
+
+    // Keep the most severe findings when capping, since every pattern is reported in one pass
+    const sorted = findings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+
+    logger.info(`Analyzed ${filesAnalyzed} files and ${functions.length} functions in ${Date.now() - startTime}ms: ${findings.length} issues`);
+
+    return {
+      success: true,
+      findings: sorted.slice(0, CONFIG.MAX_FINDINGS_PER_PANEL),
+      totalIssues: findings.length,
+      metrics,
+      error: timedOut ? `Complexity analysis timeout after ${timeoutMs}ms` : undefined,
+    };
+  } catch (error) {
+    logger.error('Complexity analyzer unexpected error', error.message);
+    return {
+      success: true,
+      findings: [],
+      error: `Unexpected error: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Measures complexity, file length, callback nesting and duplication off the
+ * main thread, over subPath only when one is given, so the maintainability
+ * totals describe the scanned path. The worker stops itself at timeoutMs and
+ * returns what it found so far; if it doesn't, it is terminated shortly after.
+ */
+export async function runComplexityAnalyzer(tempDir, timeoutMs = CONFIG.FAST_SCAN.complexityTimeoutMs, { subPath } = {}) {
+  const { timedOut, result } = await runInWorker(
+    import.meta.url,
+    'analyzeDirectoryComplexity',
+    [tempDir, timeoutMs, subPath],
+    timeoutMs + CONFIG.ANALYZERS.killGraceMs
+  );
+
+  if (timedOut) {
+    return {
+      success: true,
+      findings: [],
+      error: `Complexity analysis timeout after ${timeoutMs}ms`,
+    };
+  }
+  return result;
+}
@@ -1,6 +1,12 @@
-import { execFileSync } from 'child_process';
 import { createHash } from 'crypto';
+import * as fs from 'fs';
+import { createRequire } from 'module';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
 import { CONFIG } from '../lib/config.js';
+import { runCommand } from './analyzerPool.js';
+import { buildSandboxedCommand } from './sandbox.js';
 
 const logger = {
   debug: (msg, data) => process.env.DEBUG && console.debug(`[ESLint] ${msg}`, data ?? ''),
@@ -18,38 +24,273 @@ function mapSeverity(eslintSeverity) {
   return eslintSeverity === 2 ? 'high' : 'low';
 }
 
-export function runESLint(tempDir, timeoutMs = CONFIG.FAST_SCAN.eslintTimeoutMs) {
+// Messages that say ESLint couldn't analyze (part of) a file rather than found an issue in it
+function classifyAnalysisProblem(msg) {
+  if (msg.fatal) {
+    return /^Parsing error/i.test(msg.message) ? 'parse_error' : 'fatal_error';
+  }
+  if (!msg.ruleId || /^Definition for rule '.+' was not found/.test(msg.message)) {
+    return 'config_error';
+  }
+  return null;
+}
+
+function buildAnalysisProblem(kind, file, msg) {
+  return {
+    kind,
+    file,
+    line: msg.line,
+    column: msg.column,
+    message: msg.message,
+  };
+}
+
+const require = createRequire(import.meta.url);
+const ESLINT_BIN = path.join(path.dirname(require.resolve('eslint/package.json')), 'bin', 'eslint.js');
+const SERVER_ROOT = fileURLToPath(new URL('..', import.meta.url));
+const BASELINE_CONFIG_PATH = fileURLToPath(new URL('../lib/eslintBaseline.json', import.meta.url));
+// Extensions only; the rest of the eslint file types (.eslintrc.json) are config, not lint targets
+const BASELINE_EXTENSIONS = CONFIG.ANALYZER_FILE_TYPES.eslint
+  .filter((type) => /^\.[a-z]+$/.test(type) && !type.startsWith('.eslintrc'))
+  .join(',');
+
+// Config files ESLint would execute as JavaScript
+const EXECUTABLE_CONFIG_FILES = [
+  '.eslintrc.js', '.eslintrc.cjs', '.eslintrc.mjs', '.eslintrc.ts',
+  'eslint.config.js', 'eslint.config.cjs', 'eslint.config.mjs', 'eslint.config.ts',
+];
+
+// Static config files in ESLint's own lookup order (package.json "eslintConfig" comes after).
+// The extensionless .eslintrc is read as YAML, which also covers JSON, as ESLint does
+const STATIC_CONFIG_FILES = ['.eslintrc.yaml', '.eslintrc.yml', '.eslintrc.json', '.eslintrc'];
+
+// eslint-plugin-import requires the resolvers and parsers its settings name, and
+// resolvers read their options as they like (the webpack resolver runs the
+// config file it's given), so only ones that never load repo code are honored
+const SAFE_SETTINGS_MODULES = {
+  'import/resolver': ['node', 'typescript'],
+  'import/parsers': ['@typescript-eslint/parser', 'espree'],
+};
+
+// Module names a resolver/parser setting refers to: a name, a list, or an object keyed by name
+function settingModuleNames(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(settingModuleNames);
+  if (value && typeof value === 'object') return Object.keys(value);
+  return [];
+}
+
+function loadsUnsafeSettingsModule(settings) {
+  return Object.entries(SAFE_SETTINGS_MODULES).some(([key, safe]) =>
+    settingModuleNames(settings?.[key]).some(
+      (name) => !safe.includes(name.replace(/^eslint-import-resolver-/, ''))
+    )
+  );
+}
+
+// extends/parser/plugins given as file paths, or plugin settings naming other
+// modules, would load code from the repo itself
+function referencesLocalCode(config) {
+  const references = [];
+  const sections = [config, ...(Array.isArray(config.overrides) ? config.overrides : [])];
+  for (const section of sections) {
+    for (const key of ['extends', 'parser', 'plugins', 'processor']) {
+      const value = section?.[key];
+      references.push(...(Array.isArray(value) ? value : [value]).filter((v) => typeof v === 'string'));
+    }
+  }
+  return references.some((ref) => /^[./\\]|^[a-zA-Z]:|\.\./.test(ref))
+    || sections.some((section) => loadsUnsafeSettingsModule(section?.settings));
+}
+
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return undefined;
+  }
+}
+
+function readConfigFile(filePath) {
+  if (filePath.endsWith('.json')) {
+    return readJsonFile(filePath);
+  }
+  try {
+    return yaml.load(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return undefined;
+  }
+}
+
+function baselineConfig(reason, repoConfigFile) {
+  return {
+    configPath: BASELINE_CONFIG_PATH,
+    report: {
+      source: 'baseline',
+      honored: false,
+      repoConfigFile,
+      reason,
+      ruleset: { name: CONFIG.ESLINT_BASELINE.name, version: CONFIG.ESLINT_BASELINE.version },
+    },
+  };
+}
+
+/**
+ * Decides which config ESLint runs with. A repo config is honored only when it
+ * is static JSON or YAML (.eslintrc.json/.yaml/.yml, .eslintrc or package.json
+ * "eslintConfig") that doesn't point at files in the repo; anything ESLint would execute is replaced by the
+ * baseline config. The directory of the scanned path is checked before the root.
+ */
+function resolveEslintConfig(tempDir, subPath, useBaseline) {
+  for (const dir of subPath ? [subPath, '.'] : ['.']) {
+    const rel = (name) => (dir === '.' ? name : `${dir}/${name}`);
+    const absolute = (name) => path.join(tempDir, dir, name);
+
+    const executable = EXECUTABLE_CONFIG_FILES.find((name) => fs.existsSync(absolute(name)));
+    if (executable) {
+      return baselineConfig('Repository config is executable JavaScript and was not loaded', rel(executable));
+    }
+
+    let config;
+    let configFile;
+    const staticFile = STATIC_CONFIG_FILES.find((name) => fs.existsSync(absolute(name)));
+    if (staticFile) {
+      configFile = rel(staticFile);
+      config = readConfigFile(absolute(staticFile));
+    } else {
+      const pkg = readJsonFile(absolute('package.json'));
+      if (pkg?.eslintConfig) {
+        configFile = rel('package.json');
+        config = pkg.eslintConfig;
+      }
+    }
+
+    if (!configFile) {
+      continue;
+    }
+    if (useBaseline) {
+      return baselineConfig('Baseline rules were requested', configFile);
+    }
+    if (!CONFIG.SANDBOX.honorStaticRepoEslintConfig) {
+      return baselineConfig('Repository configs are disabled on this server', configFile);
+    }
+    if (!config || typeof config !== 'object') {
+      return baselineConfig('Repository config could not be parsed', configFile);
+    }
+    if (referencesLocalCode(config)) {
+      return baselineConfig('Repository config loads code from the repository', configFile);
+    }
+    return {
+      config,
+      report: {
+        source: 'repository',
+        honored: true,
+        repoConfigFile: configFile,
+        ruleset: { name: `repository:${configFile}` },
+      },
+    };
+  }
+
+  return baselineConfig(useBaseline ? 'Baseline rules were requested' : 'No repository config found');
+}
+
+// Repo configs are copied next to the server's node_modules, so shareable configs
+// they extend resolve against the server's installed packages, never the repo's
+function writeRepoConfig(config) {
+  const cacheDir = path.join(SERVER_ROOT, 'node_modules', '.cache');
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const configPath = path.join(fs.mkdtempSync(path.join(cacheDir, 'lumen-eslint-')), 'eslintrc.json');
+  fs.writeFileSync(configPath, JSON.stringify({ ...config, root: true }));
+  return configPath;
+}
+
+// --no-eslintrc stops ESLint from picking up nested configs from the repo
+async function execEslint(tempDir, configPath, timeoutMs) {
+  // The baseline parses TypeScript; a repo config only gets .ts files if its overrides ask for them
+  const extensions = configPath === BASELINE_CONFIG_PATH ? BASELINE_EXTENSIONS : '.js,.jsx,.mjs,.cjs';
+  const sandboxed = await buildSandboxedCommand(process.execPath, [
+    ESLINT_BIN,
+    tempDir,
+    '--format=json',
+    '--no-eslintrc',
+    '--config', configPath,
+    '--ext', extensions,
+    '--resolve-plugins-relative-to', SERVER_ROOT,
+    '--ignore-path', '/dev/null',
+  ]);
+
+  const result = await runCommand(sandboxed.command, sandboxed.args, {
+    cwd: tempDir,
+    env: sandboxed.env,
+    timeoutMs,
+  });
+  return { ...result, isolation: sandboxed.isolation };
+}
+
+/**
+ * Lints the scanned files in a sandboxed ESLint process (see sandbox.js).
+ * The result's eslintConfig says whether the repo's own config was honored.
+ * @param {string} tempDir
+ * @param {number} [timeoutMs]
+ * @param {{subPath?: string, useBaseline?: boolean}} [options] - useBaseline
+ *   lints with the baseline ruleset even when the repo has its own config
+ */
+export async function runESLint(
+  tempDir,
+  timeoutMs = CONFIG.FAST_SCAN.eslintTimeoutMs,
+  { subPath, useBaseline = false } = {}
+) {
   const startTime = Date.now();
+  let repoConfigDir;
 
   try {
     logger.info(`Running ESLint on ${tempDir}`);
 
-    let output;
-    try {
-      output = execFileSync('npx', ['eslint', tempDir, '--format=json', '--ignore-path', '/dev/null'], {
-        timeout: timeoutMs,
-        maxBuffer: 10 * 1024 * 1024,
-        encoding: 'utf-8',
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
-    } catch (execError) {
-      if (execError.stdout) {
-        output = execError.stdout;
-      } else if (execError.killed) {
-        logger.error('ESLint timeout exceeded', { timeoutMs });
-        return {
-          success: true,
-          findings: [],
-          error: `ESLint timeout after ${timeoutMs}ms`,
-        };
-      } else {
-        logger.error('ESLint execution failed', { error: execError.message });
-        return {
-          success: true,
-          findings: [],
-          error: execError.message,
-        };
-      }
+    let { config, configPath, report: eslintConfig } = resolveEslintConfig(tempDir, subPath, useBaseline);
+    if (config) {
+      configPath = writeRepoConfig(config);
+      repoConfigDir = path.dirname(configPath);
+    }
+    logger.info(`Using ${eslintConfig.ruleset.name} ESLint config${eslintConfig.repoConfigFile ? ` (${eslintConfig.repoConfigFile})` : ''}`);
+
+    let run = await execEslint(tempDir, configPath, timeoutMs);
+
+    // A repo config that ESLint can't load (missing shareable config or plugin) falls back to the baseline
+    if (!run.stdout && !run.timedOut && eslintConfig.honored) {
+      const loadError = run.stderr.trim().split('\n')[0];
+      logger.warn(`Repository ESLint config failed to load, using baseline config: ${loadError}`);
+      ({ report: eslintConfig } = baselineConfig(
+        `Repository config could not be loaded: ${loadError}`,
+        eslintConfig.repoConfigFile
+      ));
+      run = await execEslint(tempDir, BASELINE_CONFIG_PATH, Math.max(timeoutMs - (Date.now() - startTime), 1000));
+    }
+
+    const { stdout: output, stderr, timedOut, error: execError, isolation: sandbox } = run;
+
+    if (timedOut) {
+      logger.error('ESLint timeout exceeded', { timeoutMs });
+      return {
+        success: true,
+        findings: [],
+        eslintConfig,
+        sandbox,
+        error: `ESLint timeout after ${timeoutMs}ms`,
+      };
+    }
+
+    // Exit code 1 just means lint errors were found; only a missing report is a failure
+    if (!output) {
+      const message = execError || stderr.trim().split('\n')[0] || 'ESLint produced no output';
+      logger.error('ESLint execution failed', { error: message });
+      return {
+        success: true,
+        findings: [],
+        eslintConfig,
+        sandbox,
+        analysisProblems: [{ kind: 'config_error', message }],
+        error: message,
+      };
     }
 
     let eslintResults;
@@ -60,27 +301,50 @@ export function runESLint(tempDir, timeoutMs = CONFIG.FAST_SCAN.eslintTimeoutMs)
       return {
         success: true,
         findings: [],
+        eslintConfig,
+        sandbox,
         error: 'Failed to parse ESLint JSON output',
       };
     }
 
     const findings = [];
+    const fixes = [];
+    const analysisProblems = [];
+    const unparsedFiles = new Set();
     let totalIssueCount = 0;
 
     for (const fileResult of eslintResults) {
       const relativePath = fileResult.filePath.replace(tempDir, '').replace(/^\//, '');
 
       for (const msg of fileResult.messages) {
+        // Parse and config failures are blind spots, not code issues, and are reported separately
+        const problemKind = classifyAnalysisProblem(msg);
+        if (problemKind) {
+          if (problemKind !== 'config_error') {
+            unparsedFiles.add(relativePath);
+          }
+          if (analysisProblems.length < CONFIG.MAX_FINDINGS_PER_PANEL) {
+            analysisProblems.push(buildAnalysisProblem(problemKind, relativePath, msg));
+          }
+          continue;
+        }
+
         totalIssueCount++;
 
+        const ruleId = msg.ruleId;
+        const findingId = generateFindingId('code_quality', 'eslint', ruleId, relativePath, msg.line);
+
+        // Fixes are kept past the findings cap so the patch covers every fixable issue
+        if (msg.fix) {
+          fixes.push({ file: relativePath, range: msg.fix.range, text: msg.fix.text, findingId });
+        }
+
         if (findings.length >= CONFIG.MAX_FINDINGS_PER_PANEL) {
           continue;
         }
-
-        const ruleId = msg.ruleId || 'unknown';
         
         const finding = {
-          id: generateFindingId('code_quality', 'eslint', ruleId, relativePath, msg.line),
+          id: findingId,
           panel: 'code_quality',
           tool: 'eslint',
           severity: mapSeverity(msg.severity),
@@ -88,13 +352,22 @@ export function runESLint(tempDir, timeoutMs = CONFIG.FAST_SCAN.eslintTimeoutMs)
           file: relativePath,
           line: msg.line,
           column: msg.column,
-          metadata: { ruleId },
+          metadata: { ruleId, ruleset: eslintConfig.ruleset },
         };
 
         findings.push(finding);
       }
     }
 
+    const parseCoverage = {
+      filesLinted: eslintResults.length,
+      filesParsed: eslintResults.length - unparsedFiles.size,
+      filesFailed: unparsedFiles.size,
+    };
+    if (unparsedFiles.size > 0) {
+      logger.warn(`ESLint could not parse ${unparsedFiles.size}/${eslintResults.length} files`);
+    }
+
     const duration = Date.now() - startTime;
     logger.info(`ESLint completed in ${duration}ms: ${findings.length} findings (${totalIssueCount} total issues, capped at ${CONFIG.MAX_FINDINGS_PER_PANEL})`);
 
@@ -102,6 +375,11 @@ export function runESLint(tempDir, timeoutMs = CONFIG.FAST_SCAN.eslintTimeoutMs)
       success: true,
       findings,
       issueCount: totalIssueCount,
+      parseCoverage,
+      analysisProblems,
+      fixes,
+      eslintConfig,
+      sandbox,
     };
   } catch (error) {
     logger.error('Unexpected error in runESLint', { error: error.message });
@@ -110,5 +388,9 @@ export function runESLint(tempDir, timeoutMs = CONFIG.FAST_SCAN.eslintTimeoutMs)
       findings: [],
       error: error.message,
     };
+  } finally {
+    if (repoConfigDir) {
+      fs.rmSync(repoConfigDir, { recursive: true, force: true });
+    }
   }
 }
@@ -0,0 +1,239 @@
+import { createHash } from 'crypto';
+import * as path from 'path';
+import { CONFIG } from '../lib/config.js';
+import { runInWorker } from './analyzerPool.js';
+import { buildPathIndex, describeDependency } from './dependencyPaths.js';
+import { evaluateLicense } from './licensePolicy.js';
+import { parseLockfile, planLockfiles, scopeLockfile, workspaceOf } from './lockfileParser.js';
+import { licenseOf, loadPackageMetadata } from './packageMetadata.js';
+import { findProjectRoot } from './workspaces.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[Licenses] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[Licenses] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[Licenses] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[Licenses] ${msg}`, data ?? ''),
+};
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+const TOP_LICENSES = 15;
+
+function generateFindingId(lockfilePath, packageName, version, status) {
+  const input = `licenses:license_checker:${lockfilePath}:${packageName}:${version}:${status}`;
+  return createHash('sha256').update(input).digest('hex').substring(0, 16);
+}
+
+function joinPath(dir, file) {
+  return dir === '.' ? file : `${dir}/${file}`;
+}
+
+// Dev-only packages don't ship with the app, so their obligations rarely apply
+function mapSeverity(status, isDev) {
+  switch (status) {
+    case 'denied':
+      return isDev ? 'medium' : 'high';
+    case 'not_allowed':
+      return isDev ? 'low' : 'medium';
+    default:
+      return 'low';
+  }
+}
+
+function describeStatus(evaluation, license) {
+  switch (evaluation.status) {
+    case 'denied':
+      return `${license} is denied by the license policy (${evaluation.deniedBy.join(', ')})`;
+    case 'not_allowed':
+      return `${license} is not on the license allowlist`;
+    default:
+      return `license unknown: ${evaluation.reason}`;
+  }
+}
+
+function buildFinding(pkg, evaluation, plan, pathIndex) {
+  const described = describeDependency(pathIndex, { name: pkg.name, version: pkg.version });
+  const isDev = described ? described.type === 'dev' : pkg.dev === true;
+  const declaredIn = described && {
+    ...described.declaredIn,
+    file: joinPath(plan.workspace.dir, described.declaredIn.file),
+  };
+  const workspace = workspaceOf(plan, declaredIn?.file);
+
+  return {
+    id: generateFindingId(plan.lockfilePath, pkg.name, pkg.version, evaluation.status),
+    panel: 'licenses',
+    tool: 'license_checker',
+    severity: mapSeverity(evaluation.status, isDev),
+    message: `${pkg.name}@${pkg.version}: ${describeStatus(evaluation, pkg.license)}`,
+    file: declaredIn ? declaredIn.file : joinPath(workspace.dir, 'package.json'),
+    line: declaredIn ? declaredIn.line : 1,
+    column: 0,
+    metadata: {
+      packageName: pkg.name,
+      installedVersion: pkg.version,
+      license: pkg.license || null,
+      licenses: evaluation.licenses,
+      policyStatus: evaluation.status,
+      deniedBy: evaluation.deniedBy,
+      dev: isDev,
+      dependency: described
+        ? {
+          chain: described.chain,
+          isDirect: described.isDirect,
+          type: described.type,
+          topLevel: described.topLevel,
+          declaredIn,
+        }
+        : null,
+      lockfile: plan.lockfilePath,
+      workspace: { name: workspace.name, path: workspace.dir },
+    },
+  };
+}
+
+// Runs inside a worker thread (see runLicenseAnalyzer below)
+export function analyzeLicenses(tempDir, timeout, subPath) {
+  const startTime = Date.now();
+
+  const projectRoot = findProjectRoot(tempDir, subPath);
+  if (!projectRoot) {
+    logger.info('No package.json found, skipping');
+    return { success: true, findings: [] };
+  }
+
+  try {
+    const policy = CONFIG.LICENSE_POLICY;
+    const { plans } = planLockfiles(tempDir, projectRoot, subPath);
+
+    const findings = [];
+    const errors = [];
+    const lockfiles = [];
+    const byLicense = new Map();
+    const counts = { allowed: 0, denied: 0, notAllowed: 0, unknown: 0 };
+    let packagesChecked = 0;
+    let packagesWithoutLicenseData = 0;
+
+    for (const plan of plans) {
+      if (Date.now() - startTime > timeout) {
+        errors.push('License check timeout exceeded');
+        break;
+      }
+
+      const lockfile = parseLockfile(path.join(tempDir, plan.lockfilePath));
+      if (!lockfile.success) {
+        errors.push(lockfile.error);
+        continue;
+      }
+      const parsed = scopeLockfile(lockfile, plan.importers);
+      // yarn, pnpm and package-lock v1 don't record licenses; the registry snapshot may know them
+      let snapshot = parsed.recordsLicenses ? undefined : loadPackageMetadata();
+      lockfiles.push({
+        path: plan.lockfilePath,
+        manager: parsed.manager,
+        lockfileVersion: parsed.lockfileVersion,
+        packageCount: parsed.packages.length,
+        recordsLicenses: parsed.recordsLicenses,
+        licenseSource: parsed.recordsLicenses ? 'lockfile' : snapshot && 'metadata_snapshot',
+      });
+
+      const pathIndex = buildPathIndex(parsed.graph, path.dirname(path.join(tempDir, plan.lockfilePath)), parsed.manager);
+      let withoutLicenseData = 0;
+      for (const lockedPkg of parsed.packages) {
+        packagesChecked++;
+        let pkg = lockedPkg;
+        let missing = false;
+        if (!pkg.license) {
+          // npm drops the legacy `licenses: [{type}]` field, so a lockfile entry without one may still be licensed
+          if (snapshot === undefined) snapshot = loadPackageMetadata();
+          const license = licenseOf(snapshot, pkg.name, pkg.version);
+          // Counted as unknown, but not a finding each: the scan has no data, not a bad license
+          if (license === null && !parsed.recordsLicenses) {
+            withoutLicenseData++;
+            counts.unknown++;
+            byLicense.set('UNKNOWN', (byLicense.get('UNKNOWN') || 0) + 1);
+            continue;
+          }
+          missing = license === null;
+          if (license) pkg = { ...pkg, license };
+        }
+
+        let evaluation = evaluateLicense(pkg.license, policy);
+        if (missing) evaluation = { ...evaluation, reason: "lockfile doesn't record a license" };
+        const label = pkg.license || 'UNKNOWN';
+        byLicense.set(label, (byLicense.get(label) || 0) + 1);
+
+        if (evaluation.status === 'allowed') {
+          counts.allowed++;
+          continue;
+        }
+        counts[evaluation.status === 'not_allowed' ? 'notAllowed' : evaluation.status]++;
+        findings.push(buildFinding(pkg, evaluation, plan, pathIndex));
+      }
+
+      if (withoutLicenseData > 0) {
+        packagesWithoutLicenseData += withoutLicenseData;
+        errors.push(snapshot
+          ? `${plan.lockfilePath} doesn't record licenses and the package metadata snapshot has none for ${withoutLicenseData} packages; they are counted as unknown`
+          : `${plan.lockfilePath} doesn't record licenses and there is no package metadata snapshot; ${withoutLicenseData} packages are counted as unknown`);
+      }
+    }
+
+    if (plans.length === 0) {
+      errors.push('No lockfile found (package-lock.json, npm-shrinkwrap.json, yarn.lock or pnpm-lock.yaml)');
+    }
+
+    const totalIssues = findings.length;
+    findings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+
+    const duration = Date.now() - startTime;
+    logger.info(`Completed in ${duration}ms: ${packagesChecked} packages checked, ${totalIssues} outside the policy`);
+
+    return {
+      success: true,
+      findings: findings.slice(0, CONFIG.MAX_FINDINGS_PER_PANEL),
+      totalIssues,
+      summary: {
+        packagesChecked,
+        packagesWithoutLicenseData,
+        ...counts,
+        licenses: [...byLicense.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, TOP_LICENSES)
+          .map(([license, count]) => ({ license, count })),
+        policy: { allow: policy.allow, deny: policy.deny },
+        lockfiles,
+      },
+      error: errors.length > 0 ? errors.join('; ') : undefined,
+    };
+  } catch (error) {
+    logger.error('Unexpected error', error.message);
+    return {
+      success: true,
+      findings: [],
+      error: `Unexpected error: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Checks the license of every package in the project's lockfiles against
+ * CONFIG.LICENSE_POLICY. Packages outside the policy (denied, not allowlisted
+ * or without a usable license) become findings in the licenses panel.
+ */
+export async function runLicenseAnalyzer(tempDir, timeoutMs = CONFIG.FAST_SCAN.licenseTimeoutMs, { subPath } = {}) {
+  const { timedOut, result } = await runInWorker(
+    import.meta.url,
+    'analyzeLicenses',
+    [tempDir, timeoutMs, subPath],
+    timeoutMs + CONFIG.ANALYZERS.killGraceMs
+  );
+
+  if (timedOut) {
+    return {
+      success: true,
+      findings: [],
+      error: `License check timeout after ${timeoutMs}ms`,
+    };
+  }
+  return result;
+}
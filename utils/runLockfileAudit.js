@@ -0,0 +1,244 @@
+import { createHash } from 'crypto';
+import * as path from 'path';
+import semver from 'semver';
+import { CONFIG } from '../lib/config.js';
+import { runInWorker } from './analyzerPool.js';
+import {
+  describeAffectedRanges,
+  findAdvisories,
+  firstFixedVersion,
+  loadAdvisoryDb,
+} from './advisoryDb.js';
+import { buildPathIndex, dependencyDetails, describeDependency } from './dependencyPaths.js';
+import { parseLockfile, planLockfiles, scopeLockfile, workspaceOf } from './lockfileParser.js';
+import { findProjectRoot } from './workspaces.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[LockfileAudit] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[LockfileAudit] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[LockfileAudit] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[LockfileAudit] ${msg}`, data ?? ''),
+};
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+function generateFindingId(packageName, version, advisoryIds, workspaceDir) {
+  const input = `dependencies:lockfile_audit:${workspaceDir}:${packageName}:${version}:${advisoryIds}`;
+  return createHash('sha256').update(input).digest('hex').substring(0, 16);
+}
+
+// GHSA severities; advisories without one (plain OSV records) count as medium
+function mapSeverity(advisorySeverity) {
+  switch (advisorySeverity) {
+    case 'critical':
+      return 'critical';
+    case 'high':
+      return 'high';
+    case 'low':
+      return 'low';
+    case 'moderate':
+    case 'medium':
+    default:
+      return 'medium';
+  }
+}
+
+function joinPath(dir, file) {
+  return dir === '.' ? file : `${dir}/${file}`;
+}
+
+/**
+ * The version that clears every advisory for this package, or null if one of
+ * them has no fixed release above the installed version.
+ */
+function requiredFixVersion(advisories, version) {
+  let required = null;
+  for (const advisory of advisories) {
+    const fixed = firstFixedVersion(advisory, version);
+    if (!fixed) return null;
+    if (!required || semver.gt(fixed, required)) required = fixed;
+  }
+  return required;
+}
+
+function buildFinding(pkg, advisories, plan, pathIndex) {
+  const severity = advisories
+    .map((advisory) => mapSeverity(advisory.severity))
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a) - SEVERITY_ORDER.indexOf(b))[0];
+  const summaries = advisories.map((advisory) => advisory.summary).join(', ');
+  const fixVersion = requiredFixVersion(advisories, pkg.version);
+
+  // Attributed to the package.json line that pulls the package in, when the lockfile shows one
+  const described = describeDependency(pathIndex, { name: pkg.name, version: pkg.version });
+  const declaredIn = described && {
+    ...described.declaredIn,
+    file: joinPath(plan.workspace.dir, described.declaredIn.file),
+  };
+  const workspace = workspaceOf(plan, declaredIn?.file);
+
+  return {
+    id: generateFindingId(pkg.name, pkg.version, advisories.map((a) => a.id).sort().join(','), plan.workspace.dir),
+    panel: 'dependencies',
+    tool: 'lockfile_audit',
+    severity,
+    message: `${pkg.name}@${pkg.version}: ${summaries}`,
+    file: declaredIn ? declaredIn.file : joinPath(workspace.dir, 'package.json'),
+    line: declaredIn ? declaredIn.line : 1,
+    column: 0,
+    metadata: {
+      packageName: pkg.name,
+      installedVersion: pkg.version,
+      vulnerability: summaries,
+      advisories: advisories.map((advisory) => ({
+        id: advisory.id,
+        aliases: advisory.aliases,
+        summary: advisory.summary,
+        severity: advisory.severity,
+        url: advisory.url,
+      })),
+      range: advisories.map(describeAffectedRanges).join(' || '),
+      fixAvailable: fixVersion
+        ? { name: pkg.name, version: fixVersion, isSemVerMajor: semver.major(fixVersion) !== semver.major(pkg.version) }
+        : false,
+      dev: described ? described.type === 'dev' : pkg.dev,
+      dependency: described ? dependencyDetails({ ...described, declaredIn }, fixVersion) : null,
+      lockfile: plan.lockfilePath,
+      workspace: { name: workspace.name, path: workspace.dir },
+    },
+  };
+}
+
+// Runs inside a worker thread (see runLockfileAudit below): lockfiles and the
+// advisory database can each be tens of megabytes of JSON
+export function auditLockfiles(tempDir, timeout, subPath) {
+  const startTime = Date.now();
+
+  const projectRoot = findProjectRoot(tempDir, subPath);
+  if (!projectRoot) {
+    logger.info('No package.json found, skipping');
+    return {
+      success: true,
+      findings: [],
+      vulnerabilityCount: 0,
+    };
+  }
+
+  const db = loadAdvisoryDb();
+  if (!db) {
+    return {
+      success: false,
+      findings: [],
+      error: 'No advisory database has been imported (npm run advisories:import)',
+    };
+  }
+
+  try {
+    const { manager, plans, workspaceCount } = planLockfiles(tempDir, projectRoot, subPath);
+    logger.info(`${manager} project with ${workspaceCount} package(s), ${plans.length} lockfile(s)`);
+
+    const findings = [];
+    const dependencyFixes = [];
+    const vulnerablePackages = [];
+    const errors = [];
+    const lockfiles = [];
+    let totalCount = 0;
+
+    for (const plan of plans) {
+      if (Date.now() - startTime > timeout) {
+        errors.push('Lockfile audit timeout exceeded');
+        break;
+      }
+
+      const lockfile = parseLockfile(path.join(tempDir, plan.lockfilePath));
+      if (!lockfile.success) {
+        errors.push(lockfile.error);
+        continue;
+      }
+      // A shared lockfile also holds what workspace packages outside the scan path install
+      const parsed = scopeLockfile(lockfile, plan.importers);
+      lockfiles.push({
+        path: plan.lockfilePath,
+        manager: parsed.manager,
+        lockfileVersion: parsed.lockfileVersion,
+        packageCount: parsed.packages.length,
+      });
+      const pathIndex = buildPathIndex(parsed.graph, path.dirname(path.join(tempDir, plan.lockfilePath)), parsed.manager);
+
+      for (const pkg of parsed.packages) {
+        const advisories = findAdvisories(db, pkg.name, pkg.version);
+        if (advisories.length === 0) continue;
+        totalCount++;
+
+        const finding = buildFinding(pkg, advisories, plan, pathIndex);
+        const fix = finding.metadata.fixAvailable;
+        vulnerablePackages.push({
+          name: pkg.name,
+          version: pkg.version,
+          severity: finding.severity,
+          advisories: finding.metadata.advisories,
+          fixVersion: fix ? fix.version : null,
+        });
+        // A bump in the manifest only reaches the copy it declares; nested copies are left to the user
+        if (fix && !fix.isSemVerMajor && finding.metadata.dependency?.isDirect) {
+          dependencyFixes.push({ file: finding.file, name: fix.name, version: fix.version, findingId: finding.id });
+        }
+
+        if (findings.length < CONFIG.MAX_FINDINGS_PER_PANEL) {
+          findings.push(finding);
+        }
+      }
+    }
+
+    if (plans.length === 0) {
+      errors.push('No lockfile found (package-lock.json, npm-shrinkwrap.json, yarn.lock or pnpm-lock.yaml)');
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(`Completed in ${duration}ms, found ${totalCount} vulnerable packages (returning ${findings.length})`);
+
+    return {
+      success: true,
+      findings,
+      vulnerabilityCount: totalCount,
+      dependencyFixes,
+      vulnerablePackages,
+      workspacesAudited: plans.flatMap((plan) => plan.workspaces.map((workspace) => ({ name: workspace.name, path: workspace.dir }))),
+      lockfiles,
+      advisoryDatabase: {
+        advisoryCount: db.advisoryCount,
+        updatedAt: db.updatedAt,
+      },
+      error: errors.length > 0 ? errors.join('; ') : undefined,
+    };
+  } catch (error) {
+    logger.error('Unexpected error', error.message);
+    return {
+      success: true,
+      findings: [],
+      error: `Unexpected error: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Dependency audit that needs no network: resolved versions from
+ * package-lock.json, yarn.lock or pnpm-lock.yaml are matched against the
+ * locally imported advisory database. Returns the same shape as runNpmAudit.
+ */
+export async function runLockfileAudit(tempDir, timeoutMs = CONFIG.FAST_SCAN.npmAuditTimeoutMs, { subPath } = {}) {
+  const { timedOut, result } = await runInWorker(
+    import.meta.url,
+    'auditLockfiles',
+    [tempDir, timeoutMs, subPath],
+    timeoutMs + CONFIG.ANALYZERS.killGraceMs
+  );
+
+  if (timedOut) {
+    return {
+      success: true,
+      findings: [],
+      error: `Lockfile audit timeout after ${timeoutMs}ms`,
+    };
+  }
+  return result;
+}
@@ -1,8 +1,13 @@
-import { execFileSync } from 'child_process';
 import { createHash } from 'crypto';
 import * as fs from 'fs';
 import * as path from 'path';
+import semver from 'semver';
 import { CONFIG } from '../lib/config.js';
+import { runCommand } from './analyzerPool.js';
+import { buildPathIndex, dependencyDetails, describeDependency, firstPatchedInRange } from './dependencyPaths.js';
+import { findLockfile, parseLockfile } from './lockfileParser.js';
+import { buildSandboxedCommand } from './sandbox.js';
+import { detectWorkspaces, filterWorkspacesToPath, findProjectRoot } from './workspaces.js';
 
 const logger = {
   debug: (msg, data) => process.env.DEBUG && console.debug(`[NpmAudit] ${msg}`, data ?? ''),
@@ -11,8 +16,8 @@ const logger = {
   error: (msg, data) => console.error(`[NpmAudit] ${msg}`, data ?? ''),
 };
 
-function generateFindingId(packageName, severity, via) {
-  const input = `dependencies:npm_audit:${packageName}:${severity}:${via}`;
+function generateFindingId(packageName, severity, via, workspaceDir) {
+  const input = `dependencies:npm_audit:${workspaceDir}:${packageName}:${severity}:${via}`;
   return createHash('sha256').update(input).digest('hex').substring(0, 16);
 }
 
@@ -31,12 +36,194 @@ function mapSeverity(npmSeverity) {
   }
 }
 
-export function runNpmAudit(tempDir, timeoutMs) {
+function joinPath(dir, file) {
+  return dir === '.' ? file : `${dir}/${file}`;
+}
+
+// Runs npm audit and returns its parsed JSON, or an error string
+async function execNpmAudit(args, cwd, timeout) {
+  // npm audit needs the registry, so it keeps network access but gets a clean
+  // environment and ignores the user npmrc (tokens) and registry overrides
+  const sandboxed = await buildSandboxedCommand('npm', ['audit', '--json', ...args], {
+    allowNetwork: true,
+    env: {
+      npm_config_userconfig: '/dev/null',
+      npm_config_registry: CONFIG.SANDBOX.npmRegistry,
+      npm_config_ignore_scripts: 'true',
+      npm_config_update_notifier: 'false',
+      npm_config_fund: 'false',
+    },
+  });
+
+  // npm audit exits non-zero whenever it finds vulnerabilities; the JSON report is still on stdout
+  const { stdout, stderr, timedOut, error } = await runCommand(sandboxed.command, sandboxed.args, {
+    cwd,
+    env: sandboxed.env,
+    timeoutMs: timeout,
+  });
+
+  if (timedOut) {
+    logger.error('runNpmAudit: Timeout exceeded');
+    return { error: 'npm audit timeout exceeded' };
+  }
+  if (!stdout) {
+    const message = error || stderr.trim().split('\n')[0] || 'no output';
+    logger.error('runNpmAudit: Execution error', message);
+    return { error: `npm audit failed: ${message}` };
+  }
+
+  try {
+    const auditData = JSON.parse(stdout);
+    // Registry failures still print JSON, just without a vulnerabilities map
+    if (!auditData.vulnerabilities && auditData.message) {
+      logger.error('runNpmAudit: Audit endpoint error', auditData.message);
+      return { error: `npm audit failed: ${auditData.message}` };
+    }
+    return { auditData };
+  } catch (parseError) {
+    logger.error('runNpmAudit: Failed to parse npm audit JSON');
+    return { error: 'Failed to parse npm audit output' };
+  }
+}
+
+/**
+ * First version clearing every advisory npm audit lists directly against the
+ * package. Null when one has no bounded fix, or when the package is only
+ * vulnerable through its own dependencies.
+ */
+function firstPatchedVersion(via, installedVersion) {
+  const advisories = (Array.isArray(via) ? via : []).filter((v) => typeof v === 'object' && v.range);
+  let required = null;
+  for (const advisory of advisories) {
+    const patched = firstPatchedInRange(advisory.range, installedVersion);
+    if (!patched) return null;
+    if (!required || semver.gt(patched, required)) required = patched;
+  }
+  return required;
+}
+
+// Advisories npm audit lists directly against the package, in the lockfile audit's shape
+function listAdvisories(via) {
+  return (Array.isArray(via) ? via : [])
+    .filter((v) => typeof v === 'object')
+    .map((v) => ({
+      id: v.url?.match(/GHSA(-[a-z0-9]{4}){3}/)?.[0] || `npm-${v.source}`,
+      aliases: [],
+      summary: v.title || v.name,
+      severity: v.severity,
+      url: v.url,
+    }));
+}
+
+// Dependency graph of the lockfile npm audit ran against, or null if it can't be read
+function loadPathIndex(tempDir, lockfileDir) {
+  const lockfile = findLockfile(path.join(tempDir, lockfileDir));
+  if (!lockfile || lockfile.manager !== 'npm') {
+    return null;
+  }
+  const parsed = parseLockfile(path.join(tempDir, lockfileDir, lockfile.file));
+  return parsed.success ? buildPathIndex(parsed.graph, path.join(tempDir, lockfileDir), parsed.manager) : null;
+}
+
+function buildFinding(packageName, vulnData, workspace, pathIndex, lockfileDir) {
+  const viaInfo = Array.isArray(vulnData.via)
+    ? vulnData.via.map((v) => (typeof v === 'string' ? v : v.title || v.name || 'unknown')).join(', ')
+    : String(vulnData.via || 'unknown');
+
+  const severity = mapSeverity(vulnData.severity || 'low');
+
+  // vulnData.nodes are install paths (node_modules/a/node_modules/b), the lockfile's node ids
+  const described = pathIndex && describeDependency(pathIndex, { ids: vulnData.nodes || [] });
+  const installedVersion = described?.installedVersion
+    ?? pathIndex?.graph.nodes.get(vulnData.nodes?.[0])?.version;
+  const declaredIn = described && {
+    ...described.declaredIn,
+    file: joinPath(lockfileDir, described.declaredIn.file),
+  };
+
+  return {
+    id: generateFindingId(packageName, vulnData.severity || 'low', viaInfo, workspace.dir),
+    panel: 'dependencies',
+    tool: 'npm_audit',
+    severity,
+    message: `${packageName}: ${viaInfo}`,
+    file: declaredIn ? declaredIn.file : joinPath(workspace.dir, 'package.json'),
+    line: declaredIn ? declaredIn.line : 1,
+    column: 0,
+    metadata: {
+      packageName,
+      vulnerability: viaInfo,
+      npmSeverity: vulnData.severity || 'unknown',
+      range: vulnData.range || '*',
+      fixAvailable: vulnData.fixAvailable || false,
+      installedVersion,
+      advisories: listAdvisories(vulnData.via),
+      dependency: described
+        ? dependencyDetails(
+          { ...described, declaredIn },
+          firstPatchedVersion(vulnData.via, installedVersion)
+        )
+        : null,
+      workspace: { name: workspace.name, path: workspace.dir },
+    },
+  };
+}
+
+/**
+ * Plans one npm audit run per workspace package. With an npm lockfile at the
+ * project root, workspaces are audited from the root with --workspace; the root
+ * run audits everything and only keeps what no workspace run reported.
+ * yarn/pnpm projects are audited per package where a package-lock.json exists.
+ */
+function planAuditRuns(tempDir, projectRoot, subPath) {
+  const projectDir = path.join(tempDir, projectRoot);
+  const { manager, packages } = detectWorkspaces(projectDir);
+  const rebased = packages.map((pkg) => ({
+    name: pkg.name,
+    dir: pkg.dir === '.' ? projectRoot : joinPath(projectRoot, pkg.dir),
+    workspaceDir: pkg.dir,
+  }));
+
+  const targets = filterWorkspacesToPath(rebased, subPath === projectRoot ? undefined : subPath)
+    .slice(0, CONFIG.MAX_WORKSPACE_AUDITS);
+  const hasRootLockfile = fs.existsSync(path.join(projectDir, 'package-lock.json'))
+    || fs.existsSync(path.join(projectDir, 'npm-shrinkwrap.json'));
+
+  const runs = [];
+  const skipped = [];
+  for (const target of targets) {
+    if (manager === 'npm' && hasRootLockfile) {
+      runs.push({
+        workspace: target,
+        cwd: projectDir,
+        lockfileDir: projectRoot,
+        args: target.workspaceDir === '.' ? [] : [`--workspace=${target.workspaceDir}`],
+        isRoot: target.workspaceDir === '.',
+      });
+    } else if (fs.existsSync(path.join(tempDir, target.dir, 'package-lock.json'))) {
+      runs.push({
+        workspace: target,
+        cwd: path.join(tempDir, target.dir),
+        lockfileDir: target.dir,
+        args: [],
+        isRoot: false,
+      });
+    } else {
+      skipped.push(target);
+    }
+  }
+
+  // Root audits cover every workspace, so run them last and keep only unattributed packages
+  runs.sort((a, b) => Number(a.isRoot) - Number(b.isRoot));
+  return { manager, runs, skipped, workspaceCount: packages.length };
+}
+
+export async function runNpmAudit(tempDir, timeoutMs, { subPath } = {}) {
   const timeout = timeoutMs ?? CONFIG.FAST_SCAN.npmAuditTimeoutMs;
   const startTime = Date.now();
 
-  const packageJsonPath = path.join(tempDir, 'package.json');
-  if (!fs.existsSync(packageJsonPath)) {
+  const projectRoot = findProjectRoot(tempDir, subPath);
+  if (!projectRoot) {
     logger.info('runNpmAudit: No package.json found, skipping');
     return {
       success: true,
@@ -46,85 +233,77 @@ export function runNpmAudit(tempDir, timeoutMs) {
   }
 
   try {
-    let stdout;
-
-    try {
-      stdout = execFileSync('npm', ['audit', '--json'], {
-        cwd: tempDir,
-        timeout,
-        maxBuffer: 10 * 1024 * 1024,
-        encoding: 'utf-8',
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
-    } catch (execError) {
-      if (execError.stdout) {
-        stdout = execError.stdout;
-      } else if (execError.killed || execError.signal === 'SIGTERM') {
-        logger.error('runNpmAudit: Timeout exceeded');
-        return {
-          success: true,
-          findings: [],
-          error: 'npm audit timeout exceeded',
-        };
-      } else {
-        logger.error('runNpmAudit: Execution error', execError.message);
-        return {
-          success: true,
-          findings: [],
-          error: `npm audit failed: ${execError.message}`,
-        };
-      }
-    }
-
-    let auditData;
-    try {
-      auditData = JSON.parse(stdout);
-    } catch (parseError) {
-      logger.error('runNpmAudit: Failed to parse npm audit JSON');
-      return {
-        success: true,
-        findings: [],
-        error: 'Failed to parse npm audit output',
-      };
-    }
+    const { manager, runs, skipped, workspaceCount } = planAuditRuns(tempDir, projectRoot, subPath);
+    logger.info(`runNpmAudit: ${manager} project with ${workspaceCount} package(s), ${runs.length} audit run(s)`);
 
-    const vulnerabilities = auditData.vulnerabilities || {};
     const findings = [];
+    const dependencyFixes = [];
+    const vulnerablePackages = [];
+    const errors = [];
+    const attributedPackages = new Set();
+    const pathIndexes = new Map();
     let totalCount = 0;
 
-    for (const [packageName, vuln] of Object.entries(vulnerabilities)) {
-      const vulnData = vuln;
-      totalCount++;
+    for (const run of runs) {
+      const remaining = timeout - (Date.now() - startTime);
+      if (remaining <= 0) {
+        errors.push('npm audit timeout exceeded');
+        break;
+      }
 
-      if (findings.length >= CONFIG.MAX_FINDINGS_PER_PANEL) {
+      const { auditData, error } = await execNpmAudit(run.args, run.cwd, remaining);
+      if (error) {
+        errors.push(runs.length > 1 ? `${run.workspace.name}: ${error}` : error);
         continue;
       }
 
-      const viaInfo = Array.isArray(vulnData.via)
-        ? vulnData.via.map((v) => (typeof v === 'string' ? v : v.title || v.name || 'unknown')).join(', ')
-        : String(vulnData.via || 'unknown');
-
-      const severity = mapSeverity(vulnData.severity || 'low');
-
-      const finding = {
-        id: generateFindingId(packageName, vulnData.severity || 'low', viaInfo),
-        panel: 'dependencies',
-        tool: 'npm_audit',
-        severity,
-        message: `${packageName}: ${viaInfo}`,
-        file: 'package.json',
-        line: 1,
-        column: 0,
-        metadata: {
-          packageName,
-          vulnerability: viaInfo,
-          npmSeverity: vulnData.severity || 'unknown',
-          range: vulnData.range || '*',
-          fixAvailable: vulnData.fixAvailable || false,
-        },
-      };
-
-      findings.push(finding);
+      if (!pathIndexes.has(run.lockfileDir)) {
+        pathIndexes.set(run.lockfileDir, loadPathIndex(tempDir, run.lockfileDir));
+      }
+      const pathIndex = pathIndexes.get(run.lockfileDir);
+
+      const vulnerabilities = auditData.vulnerabilities || {};
+      for (const [packageName, vuln] of Object.entries(vulnerabilities)) {
+        if (run.isRoot && attributedPackages.has(packageName)) {
+          continue;
+        }
+        attributedPackages.add(packageName);
+        totalCount++;
+
+        const finding = buildFinding(packageName, vuln, run.workspace, pathIndex, run.lockfileDir);
+        // Packages only vulnerable through their own dependencies carry no advisory of their own
+        if (finding.metadata.advisories.length > 0) {
+          vulnerablePackages.push({
+            name: packageName,
+            version: finding.metadata.installedVersion,
+            severity: finding.severity,
+            advisories: finding.metadata.advisories,
+            fixVersion: finding.metadata.dependency?.firstPatchedVersion ?? null,
+          });
+        }
+        // fixAvailable names the direct dependency to bump; semver-major bumps are left to the user
+        const fix = vuln.fixAvailable;
+        if (fix && typeof fix === 'object' && !fix.isSemVerMajor && fix.name && fix.version) {
+          dependencyFixes.push({
+            file: joinPath(run.workspace.dir, 'package.json'),
+            name: fix.name,
+            version: fix.version,
+            findingId: finding.id,
+          });
+        }
+
+        if (findings.length >= CONFIG.MAX_FINDINGS_PER_PANEL) {
+          continue;
+        }
+
+        findings.push(finding);
+      }
+    }
+
+    if (skipped.length > 0) {
+      errors.push(
+        `npm audit needs a package-lock.json; skipped ${skipped.map((w) => w.name).join(', ')} (${manager} lockfiles are not supported)`
+      );
     }
 
     const duration = Date.now() - startTime;
@@ -134,6 +313,10 @@ export function runNpmAudit(tempDir, timeoutMs) {
       success: true,
       findings,
       vulnerabilityCount: totalCount,
+      dependencyFixes,
+      vulnerablePackages,
+      workspacesAudited: runs.map((run) => ({ name: run.workspace.name, path: run.workspace.dir })),
+      error: errors.length > 0 ? errors.join('; ') : undefined,
     };
   } catch (error) {
     logger.error('runNpmAudit: Unexpected error', error.message);
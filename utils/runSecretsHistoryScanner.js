@@ -0,0 +1,263 @@
+import { spawn, spawnSync } from 'child_process';
+import { once } from 'events';
+import * as readline from 'readline';
+import { createHash } from 'crypto';
+import { CONFIG } from '../lib/config.js';
+import { runInWorker } from './analyzerPool.js';
+import { createGitEnv } from './gitHistory.js';
+import {
+  createSecretFinding,
+  detectSecretsInLine,
+  getFileScanContext,
+  shouldScanFile,
+} from './runSecretsScanner.js';
+import { loadSecretRules } from './secretRules.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[SecretsHistory] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[SecretsHistory] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[SecretsHistory] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[SecretsHistory] ${msg}`, data ?? ''),
+};
+
+// Starts each commit in the log output (%x00 in --format); NUL can't appear in a diff line
+const COMMIT_MARKER = '\0';
+const HUNK_HEADER = /^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+function generateFindingId(detectorId, commit, file, line) {
+  const input = `secrets:secrets_history:${detectorId}:${commit}:${file}:${line}`;
+  return createHash('sha256').update(input).digest('hex').substring(0, 16);
+}
+
+/**
+ * Reads `git log -p` output line by line and calls onAddedLine for every line
+ * a commit added. Diffs are requested with no context lines, so a hunk is just
+ * its removed and added lines; the hunk header's counts tell those apart from
+ * the next file's "+++" header.
+ */
+function createLogParser(onAddedLine) {
+  let commit = null;
+  let file = null;
+  let newLine = 0;
+  let addedLeft = 0;
+  let removedLeft = 0;
+
+  return {
+    get commit() {
+      return commit;
+    },
+    push(text) {
+      if (addedLeft > 0 || removedLeft > 0) {
+        if (text.startsWith('+') && addedLeft > 0) {
+          addedLeft--;
+          if (file) onAddedLine(commit, file, newLine, text.slice(1));
+          newLine++;
+          return;
+        }
+        if (text.startsWith('-') && removedLeft > 0) {
+          removedLeft--;
+          return;
+        }
+      }
+
+      if (text.startsWith(COMMIT_MARKER)) {
+        const [sha, authorDate] = text.slice(1).split(' ');
+        commit = { sha, authorDate };
+        file = null;
+      } else if (text.startsWith('diff --git ')) {
+        file = null;
+      } else if (text.startsWith('+++ ')) {
+        // Deleted files have no new side; quoted paths (control characters) are skipped.
+        // git ends the header with a tab when the path has spaces
+        file = text.startsWith('+++ b/') ? text.slice(6).replace(/\t$/, '') : null;
+      } else {
+        const hunk = text.match(HUNK_HEADER);
+        if (hunk) {
+          removedLeft = hunk[1] === undefined ? 1 : Number(hunk[1]);
+          newLine = Number(hunk[2]);
+          addedLeft = hunk[3] === undefined ? 1 : Number(hunk[3]);
+        }
+      }
+    },
+  };
+}
+
+// Which values still appear anywhere in the tree at a commit, in one `git grep` call.
+// Values go in on stdin so they never show up in the process list
+function findValuesAtRevision(gitDir, rev, values) {
+  const result = spawnSync('git', ['--git-dir', gitDir, 'grep', '-I', '-F', '-o', '-h', '-f', '-', rev, '--'], {
+    input: values.map((value) => `${value}\n`).join(''),
+    env: createGitEnv(),
+    maxBuffer: CONFIG.ANALYZERS.maxOutputMb * 1024 * 1024,
+    timeout: 10000,
+  });
+  // Exit code 1 means nothing matched
+  if (result.error || result.status > 1) {
+    logger.warn(`Could not search ${rev}: ${result.error?.message || result.stderr.toString().trim()}`);
+    return null;
+  }
+
+  // -o prints the longest match, so a value inside another one is found through it
+  const matches = [...new Set(result.stdout.toString('utf-8').split('\n').filter(Boolean))];
+  return new Set(values.filter((value) => matches.some((match) => match.includes(value))));
+}
+
+// Runs inside a worker thread (see runSecretsHistoryScanner below)
+export async function scanGitHistoryForSecrets(gitDir, rev, timeoutMs, { maxCommits, pathPrefix = '', subPath } = {}) {
+  const startTime = Date.now();
+  logger.info(`Scanning up to ${maxCommits} commits before ${rev}`);
+
+  try {
+    const ruleset = loadSecretRules();
+    const contexts = new Map();
+    // One entry per secret and file, overwritten as the log goes back in time,
+    // so each ends up at the commit that introduced it
+    const introduced = new Map();
+    let secretsFound = 0;
+    let commitsScanned = 0;
+    let timedOut = false;
+
+    const getContext = (file) => {
+      if (!contexts.has(file)) {
+        contexts.set(file, shouldScanFile(file) ? getFileScanContext(ruleset, file) : null);
+      }
+      return contexts.get(file);
+    };
+
+    const parser = createLogParser((commit, repoPath, line, text) => {
+      if (!repoPath.startsWith(pathPrefix)) return;
+      const file = repoPath.slice(pathPrefix.length);
+      const context = getContext(file);
+      if (!context) return;
+
+      for (const hit of detectSecretsInLine(text, context)) {
+        secretsFound++;
+        const key = `${hit.rule?.id || 'entropy'}\0${file}\0${hit.value}`;
+        if (introduced.has(key) || introduced.size < CONFIG.MAX_FINDINGS_PER_PANEL) {
+          introduced.set(key, { hit, file, line, commit });
+        }
+      }
+    });
+
+    const pathspec = `${pathPrefix}${subPath || ''}`;
+    const child = spawn('git', [
+      '-c', 'core.quotePath=false',
+      '--git-dir', gitDir,
+      'log', rev,
+      `--max-count=${maxCommits}`,
+      '--format=%x00%H %aI',
+      // Without rename detection a moved file shows as added in full, so its secrets aren't pinned on the move
+      '-p', '--unified=0', '--no-color', '--no-ext-diff', '--no-textconv', '--no-renames',
+      ...(pathspec ? ['--', pathspec] : []),
+    ], {
+      env: createGitEnv(),
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // In case the worker itself is terminated before it can stop git
+      timeout: timeoutMs + CONFIG.ANALYZERS.killGraceMs,
+      killSignal: 'SIGKILL',
+    });
+    const stderr = [];
+    child.stderr.on('data', (chunk) => stderr.push(chunk));
+    const exited = once(child, 'close');
+
+    let lastCommit = null;
+    for await (const text of readline.createInterface({ input: child.stdout, crlfDelay: Infinity })) {
+      if (Date.now() - startTime > timeoutMs) {
+        timedOut = true;
+        child.kill('SIGKILL');
+        break;
+      }
+      parser.push(text);
+      if (parser.commit !== lastCommit) {
+        lastCommit = parser.commit;
+        commitsScanned++;
+      }
+    }
+
+    const [exitCode] = await exited;
+    if (!timedOut && exitCode !== 0) {
+      const message = Buffer.concat(stderr).toString('utf-8').trim().split('\n').pop();
+      return { success: false, findings: [], error: `git log failed: ${message || `exit code ${exitCode}`}` };
+    }
+
+    const entries = [...introduced.values()];
+    // Anywhere in the tree: a secret that was moved or copied to another file hasn't been removed
+    const atHead = entries.length > 0
+      ? findValuesAtRevision(gitDir, rev, [...new Set(entries.map((entry) => entry.hit.value))])
+      : new Set();
+
+    const findings = entries.map(({ hit, file, line, commit }) => {
+      const presentAtHead = atHead ? atHead.has(hit.value) : null;
+      const finding = createSecretFinding(hit, { file, line, rulesetVersion: ruleset.version, tool: 'secrets_history' });
+
+      return {
+        ...finding,
+        id: generateFindingId(finding.metadata.detectorId, commit.sha, file, line),
+        message: presentAtHead === false
+          ? `${finding.message} in commit ${commit.sha.substring(0, 7)}; it has since been removed but is still in the history`
+          : `${finding.message} in commit ${commit.sha.substring(0, 7)}`,
+        metadata: {
+          ...finding.metadata,
+          commit: commit.sha,
+          authorDate: commit.authorDate,
+          presentAtHead,
+        },
+      };
+    });
+
+    const summary = {
+      rev,
+      commitsScanned,
+      maxCommits,
+      removedSecrets: findings.filter((finding) => finding.metadata.presentAtHead === false).length,
+    };
+    const duration = Date.now() - startTime;
+    logger.info(`Completed in ${duration}ms, scanned ${commitsScanned} commits, found ${secretsFound} secrets (returning ${findings.length})`);
+
+    return {
+      success: true,
+      findings,
+      secretsFound,
+      summary,
+      error: timedOut ? `Secrets history scan timeout after ${timeoutMs}ms (${commitsScanned} commits scanned)` : undefined,
+    };
+  } catch (error) {
+    logger.error('Unexpected error', error.message);
+    return {
+      success: true,
+      findings: [],
+      error: `Unexpected error: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Runs the secrets detectors over the lines added by the last
+ * options.maxCommits commits up to rev, off the main thread. Each secret is
+ * reported once per file, at the commit that introduced it, with whether it
+ * is still in that file at rev.
+ * @param {{gitDir: string, rev: string, pathPrefix?: string}} repository - From fetchRepositoryHistory() or findLocalRepository()
+ * @param {number} [timeoutMs]
+ * @param {{maxCommits?: number, subPath?: string}} [options]
+ */
+export async function runSecretsHistoryScanner(
+  { gitDir, rev, pathPrefix },
+  timeoutMs = CONFIG.SECRETS_HISTORY.scanTimeoutMs,
+  { maxCommits = CONFIG.SECRETS_HISTORY.maxCommits, subPath } = {}
+) {
+  const { timedOut, result } = await runInWorker(
+    import.meta.url,
+    'scanGitHistoryForSecrets',
+    [gitDir, rev, timeoutMs, { maxCommits, pathPrefix, subPath }],
+    timeoutMs + CONFIG.ANALYZERS.killGraceMs
+  );
+
+  if (timedOut) {
+    return {
+      success: true,
+      findings: [],
+      error: `Secrets history scan timeout after ${timeoutMs}ms`,
+    };
+  }
+  return result;
+}
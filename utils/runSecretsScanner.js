@@ -2,6 +2,10 @@ import * as fs from 'fs';
 import * as path from 'path';
 import { createHash } from 'crypto';
 import { CONFIG } from '../lib/config.js';
+import { runInWorker } from './analyzerPool.js';
+import { matchesFileType } from './fileSelection.js';
+import { findHighEntropyStrings } from './secretEntropy.js';
+import { loadSecretRules, findRuleMatches } from './secretRules.js';
 
 const logger = {
   debug: (msg, data) => process.env.DEBUG && console.debug(`[Secrets] ${msg}`, data ?? ''),
@@ -10,102 +14,201 @@ const logger = {
   error: (msg, data) => console.error(`[Secrets] ${msg}`, data ?? ''),
 };
 
-const SECRET_PATTERNS = [
-  {
-    id: 'private_key',
-    name: 'Private Key',
-    regex: /-----BEGIN (RSA |EC |DSA |OPENSSH |PGP )?PRIVATE KEY-----/,
-    baseSeverity: 'critical',
-  },
-  {
-    id: 'aws_key',
-    name: 'AWS Access Key',
-    regex: /AKIA[0-9A-Z]{16}/,
-    baseSeverity: 'critical',
-  },
-  {
-    id: 'db_connection_mongo',
-    name: 'MongoDB Connection String',
-    regex: /mongodb(\+srv)?:\/\/[^:]+:[^@]+@/,
-    baseSeverity: 'high',
-  },
-  {
-    id: 'db_connection_postgres',
-    name: 'PostgreSQL Connection String',
-    regex: /postgres(ql)?:\/\/[^:]+:[^@]+@/,
-    baseSeverity: 'high',
-  },
-  {
-    id: 'db_connection_mysql',
-    name: 'MySQL Connection String',
-    regex: /mysql:\/\/[^:]+:[^@]+@/,
-    baseSeverity: 'high',
-  },
-  {
-    id: 'api_key_generic',
-    name: 'Generic API Key',
-    regex: /['"]?api[_-]?key['"]?\s*[:=]\s*['"][a-zA-Z0-9_\-]{20,}['"]/i,
-    baseSeverity: 'high',
-  },
-  {
-    id: 'bearer_token',
-    name: 'Bearer Token',
-    regex: /['"]?Bearer\s+[a-zA-Z0-9_\-\.]{20,}['"]?/,
-    baseSeverity: 'high',
-  },
-  {
-    id: 'token_generic',
-    name: 'Generic Token',
-    regex: /['"]?token['"]?\s*[:=]\s*['"][a-zA-Z0-9_\-]{20,}['"]/i,
-    baseSeverity: 'medium',
-  },
-];
+// Lockfiles are full of integrity hashes and resolved commit SHAs
+const ENTROPY_SKIPPED_FILES = CONFIG.MANIFEST_FILES.filter((file) => file !== 'package.json');
 
-function generateFindingId(patternId, file, line) {
-  const input = `secrets:secrets_regex:${patternId}:${file}:${line}`;
+function generateFindingId(detectorId, file, line, tool = 'secrets_regex') {
+  const input = `secrets:${tool}:${detectorId}:${file}:${line}`;
   return createHash('sha256').update(input).digest('hex').substring(0, 16);
 }
 
-function determineSeverity(pattern, filePath) {
+// Files whose whole purpose is holding credentials
+const CREDENTIAL_FILE_TYPES = [
+  '.env*', '.env', '.npmrc', '.yarnrc*', '.pypirc', '.netrc', '.git-credentials', '.htpasswd', 'credentials',
+  '.pem', '.key', 'id_rsa', 'id_dsa', 'id_ecdsa', 'id_ed25519', '.tfvars',
+];
+
+// Secrets here end up in images, CI logs and provisioned infrastructure
+const DEPLOY_FILE_TYPES = [
+  'Dockerfile', 'Dockerfile.*', '.dockerfile', 'docker-compose*', '.gitlab-ci.yml', '.tf', '.sh', '.bash', '.zsh', '.ps1',
+];
+
+// Severity per file type for a detector match, an entropy hit next to a
+// secret-ish name, and an entropy hit alone. Entropy stays a step below a
+// detector match in the same place; no `pattern` keeps the detector's severity.
+const FILE_TYPE_SEVERITY = {
+  example: { pattern: 'low', keyword: 'low', entropy: 'low' },
+  credentials: { pattern: 'critical', keyword: 'high', entropy: 'medium' },
+  test: { pattern: 'medium', keyword: 'low', entropy: 'low' },
+  deploy: { minPattern: 'high', keyword: 'medium', entropy: 'low' },
+  source: { keyword: 'medium', entropy: 'low' },
+};
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+function classifyFile(filePath) {
   const fileName = path.basename(filePath).toLowerCase();
   
   if (fileName.includes('.example') || fileName.includes('.sample') || fileName.includes('.template')) {
-    return 'low';
+    return 'example';
   }
   
-  if (fileName === '.env' || fileName.startsWith('.env.')) {
-    return 'critical';
+  if (matchesFileType(filePath, CREDENTIAL_FILE_TYPES)) {
+    return 'credentials';
   }
   
   if (filePath.includes('test') || filePath.includes('spec') || filePath.includes('__tests__')) {
-    return 'medium';
+    return 'test';
+  }
+  
+  if (matchesFileType(filePath, DEPLOY_FILE_TYPES) || filePath.includes('.github/workflows/')) {
+    return 'deploy';
   }
   
-  return pattern.baseSeverity;
+  return 'source';
 }
 
-function shouldScanFile(filePath) {
-  const fileName = path.basename(filePath);
-  const ext = path.extname(filePath).toLowerCase();
-  
+function determineSeverity(rule, fileType) {
+  const { pattern, minPattern } = FILE_TYPE_SEVERITY[fileType];
+  if (pattern) {
+    return pattern;
+  }
+  if (minPattern && SEVERITY_ORDER.indexOf(rule.severity) > SEVERITY_ORDER.indexOf(minPattern)) {
+    return minPattern;
+  }
+  return rule.severity;
+}
+
+function determineEntropySeverity(candidate, fileType) {
+  const severity = FILE_TYPE_SEVERITY[fileType];
+  return candidate.keyword ? severity.keyword : severity.entropy;
+}
+
+/**
+ * Whether the secrets scanner looks at a file: one of
+ * CONFIG.ANALYZER_FILE_TYPES.secrets, outside ignored directories.
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function shouldScanFile(filePath) {
   for (const ignore of CONFIG.FILES_TO_IGNORE) {
     if (filePath.includes(ignore)) {
       return false;
     }
   }
   
-  if (fileName.startsWith('.env')) {
-    return true;
+  return matchesFileType(filePath, CONFIG.ANALYZER_FILE_TYPES.secrets);
+}
+
+/**
+ * What detectSecretsInLine() needs to know about the file a line is in:
+ * the detectors that apply to it (see a rule's `files`), its kind for
+ * severities, and whether entropy is worth scoring (not in lockfiles).
+ * @param {{rules: Object[]}} ruleset - From loadSecretRules()
+ * @param {string} filePath
+ * @returns {{rules: Object[], fileType: string, checkEntropy: boolean}}
+ */
+export function getFileScanContext(ruleset, filePath) {
+  return {
+    rules: ruleset.rules.filter((rule) => !rule.files || matchesFileType(filePath, rule.files)),
+    fileType: classifyFile(filePath),
+    checkEntropy: !ENTROPY_SKIPPED_FILES.includes(path.basename(filePath)),
+  };
+}
+
+/**
+ * Detector and entropy hits on one line, with their severity for the kind of
+ * file the line is in. Generic detectors step aside when a specific one
+ * matched, and entropy is only scored on lines no detector matched.
+ * @param {string} line
+ * @param {{rules: Object[], fileType: string, checkEntropy: boolean}} context - From getFileScanContext()
+ * @returns {{rule?: Object, candidate?: Object, value: string, fileType: string, severity: string}[]}
+ */
+export function detectSecretsInLine(line, { rules, fileType, checkEntropy }) {
+  const hits = [];
+
+  for (const rule of rules) {
+    // Generic detectors ("token = ...") would repeat a provider-specific match
+    if (rule.generic && hits.length > 0) {
+      continue;
+    }
+    const [match] = findRuleMatches(rule, line);
+    if (match) {
+      hits.push({ rule, value: match.value, fileType, severity: determineSeverity(rule, fileType) });
+    }
   }
-  
-  if (ext && !CONFIG.ALLOWED_FILE_TYPES.includes(ext)) {
-    return false;
+
+  // A pattern match already covers the line
+  if (hits.length > 0 || !checkEntropy) {
+    return hits;
   }
-  
-  return true;
+
+  return findHighEntropyStrings(line).map((candidate) => ({
+    candidate,
+    value: candidate.value,
+    fileType,
+    severity: determineEntropySeverity(candidate, fileType),
+  }));
+}
+
+/**
+ * The secrets panel finding for a detectSecretsInLine() hit. `metadata.secret`
+ * holds the raw value until redactFindings() masks it.
+ * @returns {Object} RawFinding
+ */
+export function createSecretFinding(hit, { file, line, rulesetVersion, tool = hit.rule ? 'secrets_regex' : 'secrets_entropy' }) {
+  if (hit.rule) {
+    return {
+      id: generateFindingId(hit.rule.id, file, line, tool),
+      panel: 'secrets',
+      tool,
+      severity: hit.severity,
+      message: `Possible ${hit.rule.name} detected`,
+      file,
+      line,
+      column: 0,
+      metadata: {
+        detectedBy: 'pattern',
+        detectorId: hit.rule.id,
+        detectorName: hit.rule.name,
+        rulesetVersion,
+        fileType: hit.fileType,
+        baseSeverity: hit.rule.severity,
+        contextSeverity: hit.severity,
+        // Raw value; redactFindings() swaps it for a masked preview before it leaves the scan
+        secret: hit.value,
+      },
+    };
+  }
+
+  const { candidate } = hit;
+  return {
+    id: generateFindingId(`${candidate.charset}:${candidate.column}`, file, line, tool),
+    panel: 'secrets',
+    tool,
+    severity: hit.severity,
+    message: candidate.keyword
+      ? `High-entropy ${candidate.charset} string next to "${candidate.keyword}" may be a secret`
+      : `High-entropy ${candidate.charset} string may be a secret`,
+    file,
+    line,
+    column: candidate.column,
+    metadata: {
+      detectedBy: 'entropy',
+      detectorId: `entropy_${candidate.charset}`,
+      rulesetVersion,
+      charset: candidate.charset,
+      entropy: candidate.entropy,
+      length: candidate.length,
+      keyword: candidate.keyword,
+      fileType: hit.fileType,
+      contextSeverity: hit.severity,
+      secret: hit.value,
+    },
+  };
 }
 
-function scanFileForSecrets(tempDir, filePath, findings) {
+function scanFileForSecrets(tempDir, filePath, findings, ruleset) {
   const relativePath = filePath.replace(tempDir, '').replace(/^\//, '');
   let secretsFound = 0;
   
@@ -118,39 +221,21 @@ function scanFileForSecrets(tempDir, filePath, findings) {
     
     const content = fs.readFileSync(filePath, 'utf-8');
     const lines = content.split('\n');
+    const context = getFileScanContext(ruleset, filePath);
     
     for (let lineNum = 0; lineNum < lines.length; lineNum++) {
-      const line = lines[lineNum];
-      
-      for (const pattern of SECRET_PATTERNS) {
-        if (pattern.regex.test(line)) {
-          secretsFound++;
-          
-          if (findings.length >= CONFIG.MAX_FINDINGS_PER_PANEL) {
-            continue;
-          }
-          
-          const severity = determineSeverity(pattern, filePath);
-          
-          const finding = {
-            id: generateFindingId(pattern.id, relativePath, lineNum + 1),
-            panel: 'secrets',
-            tool: 'secrets_regex',
-            severity,
-            message: `Possible ${pattern.name} detected`,
-            file: relativePath,
-            line: lineNum + 1,
-            column: 0,
-            metadata: {
-              patternId: pattern.id,
-              patternName: pattern.name,
-              baseSeverity: pattern.baseSeverity,
-              contextSeverity: severity,
-            },
-          };
-          
-          findings.push(finding);
+      for (const hit of detectSecretsInLine(lines[lineNum], context)) {
+        secretsFound++;
+        
+        if (findings.length >= CONFIG.MAX_FINDINGS_PER_PANEL) {
+          continue;
         }
+        
+        findings.push(createSecretFinding(hit, {
+          file: relativePath,
+          line: lineNum + 1,
+          rulesetVersion: ruleset.version,
+        }));
       }
     }
   } catch (readError) {
@@ -160,7 +245,7 @@ function scanFileForSecrets(tempDir, filePath, findings) {
   return secretsFound;
 }
 
-function walkDirectory(dir, tempDir, findings, startTime, timeoutMs) {
+function walkDirectory(dir, tempDir, findings, startTime, timeoutMs, ruleset) {
   let filesScanned = 0;
   let secretsFound = 0;
   
@@ -179,7 +264,7 @@ function walkDirectory(dir, tempDir, findings, startTime, timeoutMs) {
           continue;
         }
         
-        const subResult = walkDirectory(fullPath, tempDir, findings, startTime, timeoutMs);
+        const subResult = walkDirectory(fullPath, tempDir, findings, startTime, timeoutMs, ruleset);
         filesScanned += subResult.filesScanned;
         secretsFound += subResult.secretsFound;
         
@@ -189,7 +274,7 @@ function walkDirectory(dir, tempDir, findings, startTime, timeoutMs) {
       } else if (entry.isFile()) {
         if (shouldScanFile(fullPath)) {
           filesScanned++;
-          secretsFound += scanFileForSecrets(tempDir, fullPath, findings);
+          secretsFound += scanFileForSecrets(tempDir, fullPath, findings, ruleset);
         }
       }
     }
@@ -200,7 +285,8 @@ function walkDirectory(dir, tempDir, findings, startTime, timeoutMs) {
   return { filesScanned, secretsFound, timedOut: false };
 }
 
-export function runSecretsScanner(tempDir, timeoutMs = CONFIG.FAST_SCAN.secretsScanTimeoutMs) {
+// Runs inside a worker thread (see runSecretsScanner below); the file walk is synchronous
+export function scanDirectoryForSecrets(tempDir, timeoutMs, subPath) {
   const startTime = Date.now();
   
   logger.info(`runSecretsScanner: Starting scan of ${tempDir}`);
@@ -216,8 +302,12 @@ export function runSecretsScanner(tempDir, timeoutMs = CONFIG.FAST_SCAN.secretsS
   
   try {
     const findings = [];
+    const ruleset = loadSecretRules();
+    const rulesetSummary = { version: ruleset.version, detectorCount: ruleset.rules.length };
     
-    const result = walkDirectory(tempDir, tempDir, findings, startTime, timeoutMs);
+    // Manifests above subPath are only there for the dependency analyzers
+    const scanRoot = subPath ? path.join(tempDir, subPath) : tempDir;
+    const result = walkDirectory(scanRoot, tempDir, findings, startTime, timeoutMs, ruleset);
     
     if (result.timedOut) {
       logger.warn(`runSecretsScanner: Timeout after scanning ${result.filesScanned} files`);
@@ -226,6 +316,7 @@ export function runSecretsScanner(tempDir, timeoutMs = CONFIG.FAST_SCAN.secretsS
         findings,
         filesScanned: result.filesScanned,
         secretsFound: result.secretsFound,
+        ruleset: rulesetSummary,
         error: `Secrets scan timeout after ${timeoutMs}ms`,
       };
     }
@@ -238,6 +329,7 @@ export function runSecretsScanner(tempDir, timeoutMs = CONFIG.FAST_SCAN.secretsS
       findings,
       filesScanned: result.filesScanned,
       secretsFound: result.secretsFound,
+      ruleset: rulesetSummary,
     };
   } catch (error) {
     logger.error('runSecretsScanner: Unexpected error', error.message);
@@ -248,3 +340,26 @@ export function runSecretsScanner(tempDir, timeoutMs = CONFIG.FAST_SCAN.secretsS
     };
   }
 }
+
+/**
+ * Scans tempDir (only subPath within it, when given) off the main thread.
+ * The worker stops itself at timeoutMs and returns what it found so far; if it
+ * doesn't, it is terminated shortly after.
+ */
+export async function runSecretsScanner(tempDir, timeoutMs = CONFIG.FAST_SCAN.secretsScanTimeoutMs, { subPath } = {}) {
+  const { timedOut, result } = await runInWorker(
+    import.meta.url,
+    'scanDirectoryForSecrets',
+    [tempDir, timeoutMs, subPath],
+    timeoutMs + CONFIG.ANALYZERS.killGraceMs
+  );
+
+  if (timedOut) {
+    return {
+      success: true,
+      findings: [],
+      error: `Secrets scan timeout after ${timeoutMs}ms`,
+    };
+  }
+  return result;
+}
@@ -0,0 +1,414 @@
+import { createHash } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { CONFIG } from '../lib/config.js';
+import { runInWorker } from './analyzerPool.js';
+import { buildPathIndex, describeDependency, findDeclarationLine } from './dependencyPaths.js';
+import { classifySource, parseLockfile, planLockfiles, scopeLockfile, workspaceOf } from './lockfileParser.js';
+import { installScriptsOf, loadPackageMetadata, loadPopularPackages, publishedAt } from './packageMetadata.js';
+import { detectWorkspaces, findProjectRoot } from './workspaces.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[SupplyChain] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[SupplyChain] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[SupplyChain] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[SupplyChain] ${msg}`, data ?? ''),
+};
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// Baseline severity per signal; see mapSeverity for adjustments
+const SIGNAL_SEVERITY = {
+  typosquat: 'high',
+  install_script: 'medium',
+  git_dependency: 'medium',
+  tarball_dependency: 'medium',
+  recent_publish: 'low',
+};
+
+const MANIFEST_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shorter names are too dense ("ms", "q", "ws") to tell typos from real packages
+const MIN_TYPOSQUAT_LENGTH = 5;
+
+function generateFindingId(lockfilePath, signal, packageName, detail) {
+  const input = `dependencies:supply_chain:${lockfilePath}:${signal}:${packageName}:${detail}`;
+  return createHash('sha256').update(input).digest('hex').substring(0, 16);
+}
+
+function joinPath(dir, file) {
+  return dir === '.' ? file : `${dir}/${file}`;
+}
+
+// Dev-only packages still run on developer machines and CI, just not in production.
+// These are signals rather than known vulnerabilities, so they stop at high.
+function mapSeverity(signal, { isDev = false, escalate = false } = {}) {
+  let index = SEVERITY_ORDER.indexOf(SIGNAL_SEVERITY[signal]);
+  if (escalate) index--;
+  if (isDev) index++;
+  return SEVERITY_ORDER[Math.min(Math.max(index, 1), SEVERITY_ORDER.length - 1)];
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+/**
+ * The popular package a name looks like a typo of: one edit away (two for
+ * names of 10+ characters), or the same once separators are dropped
+ * ("cross_env", "crossenv").
+ */
+function findLookalike(name, popular) {
+  if (name.length < MIN_TYPOSQUAT_LENGTH || popular.has(name)) return null;
+
+  const maxDistance = name.length >= 10 ? 2 : 1;
+  const squashed = name.replace(/[-_.]/g, '');
+  for (const candidate of popular) {
+    if (candidate.length < MIN_TYPOSQUAT_LENGTH) continue;
+    if (squashed === candidate.replace(/[-_.]/g, '')) {
+      return { similarTo: candidate, distance: 0 };
+    }
+    const distance = editDistance(name, candidate, maxDistance);
+    if (distance <= maxDistance) {
+      return { similarTo: candidate, distance };
+    }
+  }
+  return null;
+}
+
+// Git dependencies without a full commit hash move whenever the branch or tag does
+function isPinnedGitSpec(spec) {
+  return /#(commit=)?[0-9a-f]{40}$/i.test(spec);
+}
+
+function lineOf(content, needle) {
+  const index = content.indexOf(needle);
+  return index === -1 ? 1 : content.slice(0, index).split('\n').length;
+}
+
+function describeSignal(signal, name, version, details) {
+  switch (signal) {
+    case 'typosquat':
+      return `${name} looks like a misspelling of the popular package ${details.similarTo}`;
+    case 'install_script':
+      return details.scripts.length > 0
+        ? `${name}@${version} runs ${details.scripts.join(', ')} scripts on install`
+        : `${name}@${version} runs install scripts`;
+    case 'git_dependency':
+      return `${name} is installed from a git repository${details.pinned ? '' : ' without a pinned commit'} (${details.source})`;
+    case 'tarball_dependency':
+      return `${name} is installed from a tarball URL outside the registry (${details.source})`;
+    default:
+      return `${name}@${version} was published ${details.ageDays === 0 ? 'today' : `${details.ageDays} day${details.ageDays === 1 ? '' : 's'} ago`}`;
+  }
+}
+
+function createContext(plan, pathIndex) {
+  const findings = [];
+
+  function addFinding(signal, { name, version = null, ids, declaredIn, isDev, escalate, details }) {
+    const described = ids ? describeDependency(pathIndex, { ids }) : null;
+    const location = declaredIn || (described && {
+      ...described.declaredIn,
+      file: joinPath(plan.workspace.dir, described.declaredIn.file),
+    });
+    const dev = isDev ?? (described ? described.type === 'dev' : false);
+    const workspace = workspaceOf(plan, location?.file);
+
+    findings.push({
+      id: generateFindingId(plan.lockfilePath, signal, name, version || details.source || ''),
+      panel: 'dependencies',
+      tool: 'supply_chain',
+      severity: mapSeverity(signal, { isDev: dev, escalate }),
+      message: describeSignal(signal, name, version, details),
+      file: location ? location.file : joinPath(plan.workspace.dir, 'package.json'),
+      line: location ? location.line : 1,
+      column: 0,
+      metadata: {
+        packageName: name,
+        installedVersion: version,
+        signal,
+        ...details,
+        dev,
+        dependency: described
+          ? {
+            chain: described.chain,
+            isDirect: described.isDirect,
+            type: described.type,
+            topLevel: described.topLevel,
+            declaredIn: location,
+          }
+          : null,
+        lockfile: plan.lockfilePath,
+        workspace: { name: workspace.name, path: workspace.dir },
+      },
+    });
+  }
+
+  return { findings, addFinding };
+}
+
+// Git and tarball specs written in the package.json files this lockfile covers
+// (only the importers in scope, when planLockfiles() narrowed them)
+function collectManifestSources(lockfileDir, workspaceDir, importers) {
+  const sources = [];
+  for (const pkg of detectWorkspaces(lockfileDir).packages) {
+    if (importers && !importers.includes(pkg.dir)) continue;
+    let content;
+    try {
+      content = fs.readFileSync(path.join(lockfileDir, pkg.dir, 'package.json'), 'utf-8');
+    } catch {
+      continue;
+    }
+    let manifest;
+    try {
+      manifest = JSON.parse(content);
+    } catch {
+      continue;
+    }
+
+    for (const field of MANIFEST_FIELDS) {
+      for (const [name, spec] of Object.entries(manifest[field] || {})) {
+        const kind = classifySource(spec);
+        if (!kind) continue;
+        sources.push({
+          name,
+          source: spec,
+          kind,
+          isDev: field === 'devDependencies',
+          declaredIn: {
+            file: joinPath(workspaceDir, joinPath(pkg.dir, 'package.json')),
+            line: findDeclarationLine(content, field, name),
+            field,
+          },
+        });
+      }
+    }
+  }
+  return sources;
+}
+
+function checkSources(context, plan, parsed, lockfileDir, counts) {
+  const seen = new Set();
+  const manifestSources = collectManifestSources(lockfileDir, plan.workspace.dir, plan.importers);
+  const lockfileSources = parsed.external.filter((entry) => entry.kind);
+
+  for (const entry of manifestSources) {
+    seen.add(entry.name);
+    const pinned = entry.kind === 'git' && isPinnedGitSpec(entry.source);
+    const signal = entry.kind === 'git' ? 'git_dependency' : 'tarball_dependency';
+    counts[entry.kind === 'git' ? 'gitDependencies' : 'tarballDependencies']++;
+    context.addFinding(signal, {
+      name: entry.name,
+      declaredIn: entry.declaredIn,
+      isDev: entry.isDev,
+      escalate: (entry.kind === 'git' && !pinned) || entry.source.startsWith('http://'),
+      details: { source: entry.source, ...(entry.kind === 'git' && { pinned }) },
+    });
+  }
+
+  // Transitive ones only show up in the lockfile, which pins git commits itself
+  let content = null;
+  for (const entry of lockfileSources) {
+    if (seen.has(entry.name)) continue;
+    seen.add(entry.name);
+    content ??= fs.readFileSync(path.join(lockfileDir, path.basename(plan.lockfilePath)), 'utf-8');
+    counts[entry.kind === 'git' ? 'gitDependencies' : 'tarballDependencies']++;
+    context.addFinding(entry.kind === 'git' ? 'git_dependency' : 'tarball_dependency', {
+      name: entry.name,
+      ids: entry.id ? [entry.id] : undefined,
+      declaredIn: entry.id ? undefined : { file: plan.lockfilePath, line: lineOf(content, entry.source), field: null },
+      escalate: entry.source.startsWith('http://'),
+      details: { source: entry.source, ...(entry.kind === 'git' && { pinned: true }) },
+    });
+  }
+}
+
+function checkPackages(context, pathIndex, snapshot, counts) {
+  const recentCutoff = Date.now() - CONFIG.SUPPLY_CHAIN.recentPublishDays * DAY_MS;
+
+  for (const ids of pathIndex.byPackage.values()) {
+    const { name, version } = pathIndex.graph.nodes.get(ids[0]);
+    counts.packagesChecked++;
+
+    const snapshotScripts = installScriptsOf(snapshot, name, version);
+    const runsScripts = ids.some((id) => pathIndex.graph.nodes.get(id).hasInstallScript) || snapshotScripts?.length > 0;
+    const published = publishedAt(snapshot, name, version);
+    const isRecent = published !== null && published.getTime() >= recentCutoff;
+
+    if (runsScripts) {
+      counts.installScripts++;
+      context.addFinding('install_script', {
+        name,
+        version,
+        ids,
+        escalate: isRecent,
+        details: { scripts: snapshotScripts || [] },
+      });
+    }
+    if (isRecent) {
+      counts.recentlyPublished++;
+      context.addFinding('recent_publish', {
+        name,
+        version,
+        ids,
+        escalate: runsScripts,
+        details: {
+          publishedAt: published.toISOString(),
+          ageDays: Math.max(0, Math.floor((Date.now() - published.getTime()) / DAY_MS)),
+        },
+      });
+    }
+  }
+}
+
+function checkNames(context, pathIndex, popular, counts) {
+  const idsByName = new Map();
+  for (const [id, node] of pathIndex.graph.nodes) {
+    if (!idsByName.has(node.name)) idsByName.set(node.name, []);
+    idsByName.get(node.name).push(id);
+  }
+
+  for (const [name, ids] of idsByName) {
+    const lookalike = findLookalike(name, popular);
+    if (!lookalike) continue;
+    counts.typosquatCandidates++;
+    context.addFinding('typosquat', {
+      name,
+      version: pathIndex.graph.nodes.get(ids[0]).version,
+      ids,
+      details: lookalike,
+    });
+  }
+}
+
+// Runs inside a worker thread (see runSupplyChainAnalyzer below)
+export function analyzeSupplyChain(tempDir, timeout, subPath) {
+  const startTime = Date.now();
+
+  const projectRoot = findProjectRoot(tempDir, subPath);
+  if (!projectRoot) {
+    logger.info('No package.json found, skipping');
+    return { success: true, findings: [] };
+  }
+
+  try {
+    const { plans } = planLockfiles(tempDir, projectRoot, subPath);
+    const snapshot = loadPackageMetadata();
+    const popular = loadPopularPackages();
+
+    const findings = [];
+    const errors = [];
+    const lockfiles = [];
+    const counts = {
+      packagesChecked: 0,
+      installScripts: 0,
+      gitDependencies: 0,
+      tarballDependencies: 0,
+      typosquatCandidates: 0,
+      recentlyPublished: 0,
+    };
+
+    for (const plan of plans) {
+      if (Date.now() - startTime > timeout) {
+        errors.push('Supply chain check timeout exceeded');
+        break;
+      }
+
+      const lockfileFullPath = path.join(tempDir, plan.lockfilePath);
+      const lockfile = parseLockfile(lockfileFullPath);
+      if (!lockfile.success) {
+        errors.push(lockfile.error);
+        continue;
+      }
+      const parsed = scopeLockfile(lockfile, plan.importers);
+      lockfiles.push({ path: plan.lockfilePath, manager: parsed.manager, lockfileVersion: parsed.lockfileVersion });
+
+      const lockfileDir = path.dirname(lockfileFullPath);
+      const pathIndex = buildPathIndex(parsed.graph, lockfileDir, parsed.manager);
+      const context = createContext(plan, pathIndex);
+
+      checkNames(context, pathIndex, popular, counts);
+      checkSources(context, plan, parsed, lockfileDir, counts);
+      checkPackages(context, pathIndex, snapshot, counts);
+      findings.push(...context.findings);
+    }
+
+    if (plans.length === 0) {
+      errors.push('No lockfile found (package-lock.json, npm-shrinkwrap.json, yarn.lock or pnpm-lock.yaml)');
+    }
+
+    const totalIssues = findings.length;
+    findings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+
+    const duration = Date.now() - startTime;
+    logger.info(`Completed in ${duration}ms: ${counts.packagesChecked} packages checked, ${totalIssues} signals`);
+
+    return {
+      success: true,
+      findings: findings.slice(0, CONFIG.MAX_FINDINGS_PER_PANEL),
+      totalIssues,
+      summary: {
+        ...counts,
+        metadataSnapshot: snapshot
+          ? { generatedAt: snapshot.generatedAt, packageCount: Object.keys(snapshot.packages).length }
+          : null,
+        lockfiles,
+      },
+      error: errors.length > 0 ? errors.join('; ') : undefined,
+    };
+  } catch (error) {
+    logger.error('Unexpected error', error.message);
+    return {
+      success: true,
+      findings: [],
+      error: `Unexpected error: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Looks for supply-chain risk in the project's dependencies: install scripts,
+ * git and tarball sources, names resembling popular packages and versions
+ * published in the last few days (CONFIG.SUPPLY_CHAIN). Findings go to the
+ * dependencies panel alongside known vulnerabilities.
+ */
+export async function runSupplyChainAnalyzer(tempDir, timeoutMs = CONFIG.FAST_SCAN.supplyChainTimeoutMs, { subPath } = {}) {
+  const { timedOut, result } = await runInWorker(
+    import.meta.url,
+    'analyzeSupplyChain',
+    [tempDir, timeoutMs, subPath],
+    timeoutMs + CONFIG.ANALYZERS.killGraceMs
+  );
+
+  if (timedOut) {
+    return {
+      success: true,
+      findings: [],
+      error: `Supply chain check timeout after ${timeoutMs}ms`,
+    };
+  }
+  return result;
+}
@@ -0,0 +1,109 @@
+import { spawn } from 'child_process';
+import * as os from 'os';
+import { fileURLToPath } from 'url';
+import { CONFIG } from '../lib/config.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[Sandbox] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[Sandbox] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[Sandbox] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[Sandbox] ${msg}`, data ?? ''),
+};
+
+const PRELOAD_PATH = fileURLToPath(new URL('./sandboxPreload.cjs', import.meta.url));
+
+// ulimit runs in the shell, then exec hands its (now limited) process to the analyzer
+const LIMIT_SCRIPT = 'ulimit -t "$1" && ulimit -f "$2" && shift 2 && exec "$@"';
+
+let namespaceCheck = null;
+
+// `unshare -rn` gives the process an empty network namespace without root,
+// where the kernel allows unprivileged user namespaces
+function canUseNetworkNamespace() {
+  if (!namespaceCheck) {
+    namespaceCheck = new Promise((resolve) => {
+      const child = spawn('unshare', ['-rn', 'true'], { stdio: 'ignore' });
+      const timer = setTimeout(() => child.kill('SIGKILL'), 2000);
+      child.once('error', () => {
+        clearTimeout(timer);
+        resolve(false);
+      });
+      child.once('close', (code) => {
+        clearTimeout(timer);
+        resolve(code === 0);
+      });
+    }).then((available) => {
+      if (!available) {
+        logger.warn('Network namespaces unavailable; falling back to in-process network blocking');
+      }
+      return available;
+    });
+  }
+  return namespaceCheck;
+}
+
+/**
+ * Environment for analyzer processes: nothing from the server's own environment
+ * (API keys, host tokens) except an allow-list of locale/path variables.
+ */
+export function createSandboxEnv(extra = {}) {
+  const env = {};
+  for (const name of CONFIG.SANDBOX.envAllowList) {
+    if (process.env[name] !== undefined) {
+      env[name] = process.env[name];
+    }
+  }
+
+  return {
+    ...env,
+    // Keeps tools away from the server user's dotfiles (~/.npmrc, ~/.eslintrc)
+    HOME: os.tmpdir(),
+    TMPDIR: os.tmpdir(),
+    NODE_ENV: 'production',
+    ...extra,
+  };
+}
+
+/**
+ * Wraps a command so it runs with a stripped environment, CPU-time and
+ * file-size limits, a V8 heap cap and (unless allowNetwork) no network.
+ * The result is passed straight to runCommand().
+ * @param {string} command
+ * @param {string[]} args
+ * @param {{allowNetwork?: boolean, env?: Object}} [options]
+ * @returns {Promise<{command: string, args: string[], env: Object, isolation: Object}>}
+ */
+export async function buildSandboxedCommand(command, args, { allowNetwork = false, env = {} } = {}) {
+  const limits = CONFIG.SANDBOX;
+  const nodeOptions = [`--max-old-space-size=${limits.maxMemoryMb}`];
+  let network = 'allowed';
+  let wrapped = [command, ...args];
+
+  if (!allowNetwork) {
+    if (await canUseNetworkNamespace()) {
+      network = 'namespace';
+      wrapped = ['unshare', '-rn', ...wrapped];
+    } else {
+      network = 'preload';
+      nodeOptions.push(`--require ${JSON.stringify(PRELOAD_PATH)}`);
+    }
+  }
+
+  // ulimit -f counts 512-byte blocks
+  const fileBlocks = limits.maxFileWriteMb * 2048;
+
+  return {
+    command: 'sh',
+    args: ['-c', LIMIT_SCRIPT, 'sandbox', String(limits.cpuSeconds), String(fileBlocks), ...wrapped],
+    env: createSandboxEnv({ ...env, NODE_OPTIONS: nodeOptions.join(' ') }),
+    isolation: {
+      environment: 'stripped',
+      network,
+      limits: {
+        cpuSeconds: limits.cpuSeconds,
+        maxMemoryMb: limits.maxMemoryMb,
+        maxFileWriteMb: limits.maxFileWriteMb,
+      },
+    },
+  };
+}
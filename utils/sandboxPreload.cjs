@@ -0,0 +1,20 @@
+// Preloaded (node --require) into sandboxed analyzers when network namespaces
+// are unavailable. Best effort: it stops ordinary sockets, DNS and UDP, which
+// covers http, https, tls and fetch, but it is not a security boundary.
+'use strict';
+
+const net = require('net');
+const dns = require('dns');
+const dgram = require('dgram');
+
+function blocked() {
+  throw new Error('Network access is disabled in the analyzer sandbox');
+}
+
+net.Socket.prototype.connect = blocked;
+dgram.Socket.prototype.send = blocked;
+dgram.Socket.prototype.connect = blocked;
+for (const method of ['lookup', 'resolve', 'resolve4', 'resolve6', 'resolveAny']) {
+  dns[method] = blocked;
+  dns.promises[method] = blocked;
+}
@@ -0,0 +1,383 @@
+import { randomUUID } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { CONFIG } from '../lib/config.js';
+import { runInWorker } from './analyzerPool.js';
+import { buildPathIndex } from './dependencyPaths.js';
+import { parseLicenseExpression } from './licensePolicy.js';
+import { parseLockfile, planLockfiles, scopeLockfile } from './lockfileParser.js';
+import { findProjectRoot } from './workspaces.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[Sbom] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[Sbom] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[Sbom] ${msg}`, data ?? ''),
+};
+
+const TOOL = {
+  name: 'lumen-clew',
+  version: JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf-8')).version,
+};
+
+export const SBOM_FORMATS = {
+  cyclonedx: { contentType: 'application/vnd.cyclonedx+json', extension: 'cdx.json' },
+  spdx: { contentType: 'application/spdx+json', extension: 'spdx.json' },
+};
+
+// ============================================
+// INVENTORY
+// ============================================
+
+// Runs inside a worker thread (see runDependencyInventory below)
+export function collectDependencyInventory(tempDir, timeout, subPath) {
+  const startTime = Date.now();
+  const projectRoot = findProjectRoot(tempDir, subPath);
+  if (!projectRoot) {
+    return { success: true, components: [], dependencies: [], topLevel: [], lockfiles: [] };
+  }
+
+  const components = new Map();
+  const edges = new Map();
+  const topLevel = new Map();
+  const lockfiles = [];
+  const errors = [];
+
+  for (const plan of planLockfiles(tempDir, projectRoot, subPath).plans) {
+    if (Date.now() - startTime > timeout) {
+      errors.push('SBOM inventory timeout exceeded');
+      break;
+    }
+
+    const lockfile = parseLockfile(path.join(tempDir, plan.lockfilePath));
+    if (!lockfile.success) {
+      errors.push(lockfile.error);
+      continue;
+    }
+    lockfiles.push(plan.lockfilePath);
+    const parsed = scopeLockfile(lockfile, plan.importers);
+
+    const { graph } = parsed;
+    const pathIndex = buildPathIndex(graph, path.dirname(path.join(tempDir, plan.lockfilePath)), parsed.manager);
+    const keyOf = (id) => `${graph.nodes.get(id).name}@${graph.nodes.get(id).version}`;
+
+    for (const [id, node] of graph.nodes) {
+      const key = keyOf(id);
+      // Dev-only unless some copy is reachable from a production dependency
+      const isDev = pathIndex.prod.has(id) ? false : pathIndex.all.has(id) ? true : node.dev === true;
+      const existing = components.get(key);
+      if (existing) {
+        existing.dev = existing.dev && isDev;
+        existing.license ??= node.license;
+      } else {
+        components.set(key, { key, name: node.name, version: node.version, dev: isDev, license: node.license });
+      }
+
+      if (!edges.has(key)) edges.set(key, new Set());
+      node.dependencies.forEach((dependency) => edges.get(key).add(keyOf(dependency)));
+    }
+
+    for (const root of graph.roots) {
+      const key = keyOf(root.id);
+      const isDev = root.field === 'devDependencies';
+      topLevel.set(key, topLevel.has(key) ? topLevel.get(key) && isDev : isDev);
+    }
+  }
+
+  logger.info(`Inventory of ${components.size} components from ${lockfiles.length} lockfile(s)`);
+  return {
+    success: true,
+    components: [...components.values()],
+    dependencies: [...edges].map(([key, dependsOn]) => ({ key, dependsOn: [...dependsOn] })),
+    topLevel: [...topLevel].map(([key, dev]) => ({ key, dev })),
+    lockfiles,
+    error: errors.length > 0 ? errors.join('; ') : undefined,
+  };
+}
+
+/**
+ * Lists every resolved package in the project's lockfiles (every workspace, or
+ * those in subPath) with the dependency edges between them, for building an SBOM.
+ */
+export async function runDependencyInventory(tempDir, timeoutMs = CONFIG.FAST_SCAN.sbomTimeoutMs, { subPath } = {}) {
+  const { timedOut, result } = await runInWorker(
+    import.meta.url,
+    'collectDependencyInventory',
+    [tempDir, timeoutMs, subPath],
+    timeoutMs + CONFIG.ANALYZERS.killGraceMs
+  );
+
+  if (timedOut) {
+    return { success: false, components: [], error: `SBOM inventory timeout after ${timeoutMs}ms` };
+  }
+  return result;
+}
+
+// ============================================
+// DOCUMENTS
+// ============================================
+
+// pkg:npm/%40scope/name@1.0.0
+function purlOf(name, version) {
+  const encodedName = name.startsWith('@') ? `%40${name.slice(1)}` : name;
+  return `pkg:npm/${encodedName}@${encodeURIComponent(version)}`;
+}
+
+function splitKey(key) {
+  const at = key.lastIndexOf('@');
+  return [key.slice(0, at), key.slice(at + 1)];
+}
+
+function isSpdxExpression(license) {
+  if (!license) return false;
+  try {
+    parseLicenseExpression(license);
+    return /^[A-Za-z0-9.+\-() ]+$/.test(license);
+  } catch {
+    return false;
+  }
+}
+
+// Advisories are listed per package; VEX statements are per advisory
+function groupByAdvisory(vulnerablePackages) {
+  const byId = new Map();
+  for (const pkg of vulnerablePackages) {
+    for (const advisory of pkg.advisories) {
+      if (!byId.has(advisory.id)) byId.set(advisory.id, { advisory, packages: [] });
+      byId.get(advisory.id).packages.push(pkg);
+    }
+  }
+  return [...byId.values()];
+}
+
+// Components the advisory applies to; npm audit can't always tell which version is installed
+function affectedComponents(inventory, pkg) {
+  return inventory.components.filter((component) =>
+    component.name === pkg.name && (!pkg.version || component.version === pkg.version)
+  );
+}
+
+function cyclonedxSeverity(severity) {
+  if (severity === 'moderate') return 'medium';
+  return ['critical', 'high', 'medium', 'low', 'info'].includes(severity) ? severity : 'unknown';
+}
+
+function advisorySource(id) {
+  if (id.startsWith('GHSA-')) return 'GitHub Advisories';
+  if (id.startsWith('npm-')) return 'npm';
+  return 'OSV';
+}
+
+function recommendationFor(packages) {
+  const fixes = packages.filter((pkg) => pkg.fixVersion).map((pkg) => `${pkg.name} ${pkg.fixVersion}`);
+  return fixes.length > 0 ? `Upgrade to ${[...new Set(fixes)].join(', ')} or later` : undefined;
+}
+
+/**
+ * CycloneDX 1.5 JSON. Known vulnerabilities are embedded as VEX entries
+ * (`vulnerabilities` with an `analysis` state) pointing at the affected components.
+ * @param {Object} sbom - as stored by orchestrateScan: {inventory, vulnerablePackages, subject, serialNumber, timestamp}
+ */
+export function buildCycloneDx({ inventory, vulnerablePackages, subject, serialNumber, timestamp }) {
+  const rootRef = 'root';
+  const components = inventory.components.map((component) => {
+    const scoped = component.name.startsWith('@');
+    const [group, name] = scoped ? component.name.split('/') : [undefined, component.name];
+    return {
+      type: 'library',
+      'bom-ref': purlOf(component.name, component.version),
+      group,
+      name,
+      version: component.version,
+      purl: purlOf(component.name, component.version),
+      scope: component.dev ? 'excluded' : 'required',
+      licenses: component.license
+        ? [isSpdxExpression(component.license) ? { expression: component.license } : { license: { name: component.license } }]
+        : undefined,
+      properties: component.dev ? [{ name: 'cdx:npm:package:development', value: 'true' }] : undefined,
+    };
+  });
+
+  const vulnerabilities = groupByAdvisory(vulnerablePackages).map(({ advisory, packages }) => ({
+    'bom-ref': `vulnerability-${advisory.id}`,
+    id: advisory.id,
+    source: advisory.url ? { name: advisorySource(advisory.id), url: advisory.url } : undefined,
+    references: advisory.aliases?.length > 0
+      ? advisory.aliases.map((alias) => ({ id: alias, source: { name: alias.startsWith('CVE-') ? 'NVD' : 'OSV' } }))
+      : undefined,
+    ratings: [{ severity: cyclonedxSeverity(advisory.severity), method: 'other' }],
+    description: advisory.summary,
+    recommendation: recommendationFor(packages),
+    advisories: advisory.url ? [{ url: advisory.url }] : undefined,
+    affects: packages.flatMap((pkg) =>
+      affectedComponents(inventory, pkg).map((component) => ({
+        ref: purlOf(component.name, component.version),
+        versions: [{ version: component.version, status: 'affected' }],
+      }))
+    ),
+    // Static matching can't tell whether the vulnerable code is reachable
+    analysis: {
+      state: 'in_triage',
+      detail: 'Matched by version during a dependency audit; exploitability in this project has not been assessed.',
+    },
+  }));
+
+  return {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${serialNumber}`,
+    version: 1,
+    metadata: {
+      timestamp,
+      tools: { components: [{ type: 'application', name: TOOL.name, version: TOOL.version }] },
+      component: {
+        type: 'application',
+        'bom-ref': rootRef,
+        name: subject.name,
+        version: subject.version,
+        externalReferences: subject.repoUrl ? [{ type: 'vcs', url: subject.repoUrl }] : undefined,
+      },
+    },
+    components,
+    dependencies: [
+      { ref: rootRef, dependsOn: inventory.topLevel.map((top) => purlOf(...splitKey(top.key))) },
+      ...inventory.dependencies.map((entry) => ({
+        ref: purlOf(...splitKey(entry.key)),
+        dependsOn: entry.dependsOn.map((key) => purlOf(...splitKey(key))),
+      })),
+    ],
+    vulnerabilities,
+  };
+}
+
+function spdxIdFor(key, used) {
+  const base = `SPDXRef-npm-${key.replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '')}`;
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+  used.add(id);
+  return id;
+}
+
+/**
+ * SPDX 2.3 JSON. SPDX 2.3 has no VEX section, so each known vulnerability is
+ * linked from the affected package as a SECURITY/advisory external reference,
+ * with its VEX status recorded in a package annotation.
+ */
+export function buildSpdx({ inventory, vulnerablePackages, subject, serialNumber, timestamp }) {
+  const creator = `Tool: ${TOOL.name}-${TOOL.version}`;
+  const used = new Set();
+  const rootId = 'SPDXRef-Root';
+  const idByKey = new Map(inventory.components.map((component) => [component.key, spdxIdFor(component.key, used)]));
+
+  const advisoriesByKey = new Map();
+  for (const { advisory, packages } of groupByAdvisory(vulnerablePackages)) {
+    for (const pkg of packages) {
+      for (const component of affectedComponents(inventory, pkg)) {
+        if (!advisoriesByKey.has(component.key)) advisoriesByKey.set(component.key, []);
+        advisoriesByKey.get(component.key).push({ advisory, fixVersion: pkg.fixVersion });
+      }
+    }
+  }
+
+  const packages = inventory.components.map((component) => {
+    const advisories = advisoriesByKey.get(component.key) || [];
+    return {
+      SPDXID: idByKey.get(component.key),
+      name: component.name,
+      versionInfo: component.version,
+      downloadLocation: 'NOASSERTION',
+      filesAnalyzed: false,
+      licenseConcluded: 'NOASSERTION',
+      licenseDeclared: isSpdxExpression(component.license) ? component.license : 'NOASSERTION',
+      primaryPackagePurpose: 'LIBRARY',
+      externalRefs: [
+        { referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: purlOf(component.name, component.version) },
+        ...advisories
+          .filter(({ advisory }) => advisory.url)
+          .map(({ advisory }) => ({
+            referenceCategory: 'SECURITY',
+            referenceType: 'advisory',
+            referenceLocator: advisory.url,
+            comment: advisory.id,
+          })),
+      ],
+      annotations: advisories.length > 0
+        ? advisories.map(({ advisory, fixVersion }) => ({
+          annotationDate: timestamp,
+          annotationType: 'REVIEW',
+          annotator: creator,
+          comment: `VEX ${advisory.id}: under_investigation. ${advisory.summary}.${fixVersion ? ` Fixed in ${fixVersion}.` : ''}`,
+        }))
+        : undefined,
+    };
+  });
+
+  const relationships = [
+    { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: rootId },
+    ...inventory.topLevel.filter((top) => idByKey.has(top.key)).map((top) => (top.dev
+      ? { spdxElementId: idByKey.get(top.key), relationshipType: 'DEV_DEPENDENCY_OF', relatedSpdxElement: rootId }
+      : { spdxElementId: rootId, relationshipType: 'DEPENDS_ON', relatedSpdxElement: idByKey.get(top.key) })),
+    ...inventory.dependencies.flatMap((entry) => entry.dependsOn
+      .filter((key) => idByKey.has(key))
+      .map((key) => ({ spdxElementId: idByKey.get(entry.key), relationshipType: 'DEPENDS_ON', relatedSpdxElement: idByKey.get(key) }))),
+  ];
+
+  const documentName = subject.version ? `${subject.name}@${subject.version}` : subject.name;
+  return {
+    spdxVersion: 'SPDX-2.3',
+    dataLicense: 'CC0-1.0',
+    SPDXID: 'SPDXRef-DOCUMENT',
+    name: documentName,
+    documentNamespace: `https://spdx.org/spdxdocs/${TOOL.name}/${encodeURIComponent(subject.name)}-${serialNumber}`,
+    creationInfo: { created: timestamp, creators: [creator] },
+    packages: [
+      {
+        SPDXID: rootId,
+        name: subject.name,
+        versionInfo: subject.version,
+        // git+<url>@<sha> pins the scanned commit
+        downloadLocation: subject.repoUrl && subject.version ? `git+${subject.repoUrl}@${subject.version}` : 'NOASSERTION',
+        filesAnalyzed: false,
+        licenseConcluded: 'NOASSERTION',
+        licenseDeclared: 'NOASSERTION',
+        primaryPackagePurpose: 'APPLICATION',
+      },
+      ...packages,
+    ],
+    relationships,
+  };
+}
+
+/**
+ * Everything needed to render either SBOM format later, so the documents are
+ * only built when someone downloads them. Null without any resolved packages.
+ * @param {Object} inventory - from runDependencyInventory
+ * @param {Object[]} vulnerablePackages - from the dependency audit
+ * @param {{name: string, version?: string, repoUrl?: string}} subject - the scanned repo and commit
+ */
+export function prepareSbom(inventory, vulnerablePackages, subject) {
+  if (!inventory?.success || inventory.components.length === 0) {
+    return null;
+  }
+  return {
+    inventory,
+    vulnerablePackages: vulnerablePackages || [],
+    subject,
+    serialNumber: randomUUID(),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * @param {Object} sbom - from prepareSbom
+ * @param {'cyclonedx' | 'spdx'} format - a key of SBOM_FORMATS; anything else throws
+ */
+export function renderSbom(sbom, format) {
+  switch (format) {
+    case 'cyclonedx':
+      return buildCycloneDx(sbom);
+    case 'spdx':
+      return buildSpdx(sbom);
+    default:
+      throw new Error(`Unknown SBOM format: ${format}`);
+  }
+}
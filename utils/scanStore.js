@@ -0,0 +1,36 @@
+import { CONFIG } from '../lib/config.js';
+
+// scanId -> { clientIp, createdAt, ...artifacts }; insertion order is age order
+const scans = new Map();
+
+function pruneExpired() {
+  const cutoff = Date.now() - CONFIG.SCAN_STORE.ttlMinutes * 60 * 1000;
+  for (const [scanId, entry] of scans) {
+    if (entry.createdAt >= cutoff && scans.size <= CONFIG.SCAN_STORE.maxEntries) break;
+    scans.delete(scanId);
+  }
+}
+
+/**
+ * Keeps what a finished scan needs for follow-up requests (its patch and SBOM inventory).
+ * Scans are only readable by the client that ran them.
+ * @param {string} scanId
+ * @param {string} clientIp
+ * @param {Object} artifacts
+ */
+export function saveScanArtifacts(scanId, clientIp, artifacts) {
+  scans.set(scanId, { clientIp, createdAt: Date.now(), ...artifacts });
+  pruneExpired();
+}
+
+/**
+ * @returns {Object | null} The stored artifacts, or null if unknown, expired or owned by another client
+ */
+export function getScanArtifacts(scanId, clientIp) {
+  pruneExpired();
+  const entry = scans.get(scanId);
+  if (!entry || entry.clientIp !== clientIp) {
+    return null;
+  }
+  return entry;
+}
@@ -0,0 +1,106 @@
+import { CONFIG } from '../lib/config.js';
+
+// Variable and key names that make a nearby random-looking literal more likely to be a credential
+const SECRET_KEYWORD = /(secret|passw(or)?d|pwd|token|api[_-]?key|access[_-]?key|private[_-]?key|credential|auth(?!or))/i;
+
+// How far before a literal (on the same line) to look for a keyword: the `clientSecret: ` part
+const KEYWORD_WINDOW = 40;
+
+// Hex is checked first: every hex string is also valid base64
+const CHARSETS = [
+  { name: 'hex', regex: /^[0-9a-fA-F]+$/ },
+  { name: 'base64', regex: /^[A-Za-z0-9+/_-]+={0,2}$/ },
+];
+
+const STRING_LITERAL = /(['"`])([^'"`\s]{8,})\1/g;
+
+// Config files leave values unquoted: API_SECRET=abc123 (.env, .properties, shell),
+// api_secret: abc123 (YAML) and ENV API_SECRET=abc123 (Dockerfile)
+const UNQUOTED_ASSIGNMENT = /^(\s*(?:export\s+|ENV\s+|ARG\s+|-\s+)?[A-Za-z_][\w.-]*\s*(?:=\s*|:\s+))([^'"`\s#]{8,})\s*$/;
+
+// Subresource integrity and lockfile hashes: random by design, not secrets
+const INTEGRITY_PREFIX = /^sha(1|256|384|512)-/;
+
+/**
+ * Shannon entropy of a string in bits per character.
+ * @param {string} value
+ * @returns {number}
+ */
+export function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Alphabets and counters ("ABCDEF...", "0123456789") score high without being random
+function hasSequentialRun(value, length = 6) {
+  let run = 1;
+  for (let i = 1; i < value.length; i++) {
+    run = value.charCodeAt(i) === value.charCodeAt(i - 1) + 1 ? run + 1 : 1;
+    if (run >= length) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether one value looks random enough to be a secret. `before` is the text
+ * just before it on the same line, searched for a secret-ish name that lowers
+ * the CONFIG.SECRETS_ENTROPY thresholds.
+ * @param {string} value
+ * @param {string} before
+ * @returns {{charset: 'base64' | 'hex', entropy: number, keyword: string | null} | null}
+ */
+export function scoreSecretCandidate(value, before) {
+  // Identifiers ("complexity_analyzer") have no digits; random tokens almost always do
+  if (!/\d/.test(value) || INTEGRITY_PREFIX.test(value) || hasSequentialRun(value)) return null;
+
+  const charset = CHARSETS.find((candidate) => candidate.regex.test(value));
+  if (!charset) return null;
+
+  const keyword = before.slice(-KEYWORD_WINDOW).match(SECRET_KEYWORD)?.[0] || null;
+  const limits = CONFIG.SECRETS_ENTROPY[charset.name];
+  const minLength = keyword ? limits.keywordMinLength : limits.minLength;
+  const threshold = keyword ? limits.keywordThreshold : limits.threshold;
+  if (value.length < minLength) return null;
+
+  const entropy = shannonEntropy(value);
+  if (entropy < threshold) return null;
+
+  return { charset: charset.name, entropy: Math.round(entropy * 100) / 100, keyword };
+}
+
+/**
+ * Base64 and hex string literals (or an unquoted assignment's value) on a
+ * line that look random enough to be secrets, per scoreSecretCandidate().
+ * @param {string} line
+ * @returns {{charset: 'base64' | 'hex', value: string, entropy: number, length: number, keyword: string | null, column: number}[]}
+ */
+export function findHighEntropyStrings(line) {
+  const candidates = [];
+  const assignment = line.match(UNQUOTED_ASSIGNMENT);
+  const values = assignment
+    ? [{ value: assignment[2], index: assignment[1].length }]
+    : [...line.matchAll(STRING_LITERAL)].map((match) => ({ value: match[2], index: match.index + 1 }));
+
+  for (const { value, index } of values) {
+    const score = scoreSecretCandidate(value, line.slice(0, index));
+    if (!score) continue;
+
+    candidates.push({
+      charset: score.charset,
+      value,
+      entropy: score.entropy,
+      length: value.length,
+      keyword: score.keyword,
+      column: index + 1,
+    });
+  }
+  return candidates;
+}
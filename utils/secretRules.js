@@ -0,0 +1,170 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG } from '../lib/config.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[SecretRules] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[SecretRules] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[SecretRules] ${msg}`, data ?? ''),
+  error: (msg, data) => console.error(`[SecretRules] ${msg}`, data ?? ''),
+};
+
+const SERVER_ROOT = fileURLToPath(new URL('..', import.meta.url));
+const BUNDLED_RULES_PATH = fileURLToPath(new URL('../lib/secretRules.json', import.meta.url));
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(text) {
+  let crc = 0xffffffff;
+  for (const byte of Buffer.from(text)) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toBase62(value, width) {
+  let encoded = '';
+  for (let rest = value; rest > 0; rest = Math.floor(rest / 62)) {
+    encoded = BASE62[rest % 62] + encoded;
+  }
+  return encoded.padStart(width, '0');
+}
+
+// GitHub and npm tokens end in a base62 CRC32 of their 30 random characters, so typed-out
+// placeholders ("ghp_xxxxxxxx...") don't validate
+function hasTokenChecksum(token, prefixLength) {
+  const random = token.slice(prefixLength, prefixLength + 30);
+  return toBase62(crc32(random), 6) === token.slice(prefixLength + 30, prefixLength + 36);
+}
+
+function decodeJsonSegment(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf-8'));
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+// Referenced by name from a rule's "validator"; each gets the matched text
+const VALIDATORS = {
+  github_checksum: (match) => hasTokenChecksum(match, 4),
+  npm_checksum: (match) => hasTokenChecksum(match, 4),
+  jwt: (match) => {
+    const [header, payload] = match.split('.');
+    return typeof decodeJsonSegment(header)?.alg === 'string' && decodeJsonSegment(payload) !== null;
+  },
+};
+
+function compileRule(rule) {
+  if (typeof rule.id !== 'string' || typeof rule.pattern !== 'string') {
+    throw new Error(`every rule needs a string "id" and "pattern"`);
+  }
+  if (rule.disabled) {
+    return { id: rule.id, disabled: true };
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`rule ${rule.id} has severity "${rule.severity}"; expected one of ${SEVERITIES.join(', ')}`);
+  }
+  if (rule.validator && !VALIDATORS[rule.validator]) {
+    throw new Error(`rule ${rule.id} uses unknown validator "${rule.validator}"`);
+  }
+
+  let regex;
+  try {
+    // Global so every match on a line can be validated; indices locate the secret group
+    regex = new RegExp(rule.pattern, `${(rule.flags || '').replace(/[gd]/g, '')}dg`);
+  } catch (error) {
+    throw new Error(`rule ${rule.id} has an invalid pattern (${error.message})`);
+  }
+
+  return {
+    id: rule.id,
+    name: rule.name || rule.id,
+    regex,
+    severity: rule.severity,
+    validate: rule.validator ? VALIDATORS[rule.validator] : null,
+    generic: rule.generic === true,
+    // Limits the rule to file types (see CONFIG.ANALYZER_FILE_TYPES), e.g. [".npmrc"]
+    files: Array.isArray(rule.files) ? rule.files : null,
+  };
+}
+
+function readRulesFile(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!Array.isArray(data.rules) || typeof data.version !== 'string') {
+      throw new Error('expected {"version": "...", "rules": [...]}');
+    }
+    return {
+      name: data.name || path.basename(filePath, '.json'),
+      version: data.version,
+      rules: data.rules.map(compileRule),
+    };
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Loads the bundled secret detectors (lib/secretRules.json) and any extra rule
+ * files from CONFIG.SECRET_RULES.extraRulesPaths, in order. An extra rule with
+ * an existing id replaces it, `"disabled": true` removes it. An extra file that
+ * fails to load is skipped and logged.
+ *
+ * The ruleset version names every file that contributed, e.g.
+ * "lumen-clew@1.0.0+acme@3", so findings can be traced to the rules that produced them.
+ * @returns {{version: string, rules: {id: string, name: string, regex: RegExp, severity: string, validate: Function | null, generic: boolean, files: string[] | null}[]}}
+ */
+export function loadSecretRules() {
+  const files = [readRulesFile(BUNDLED_RULES_PATH)];
+  for (const extraPath of CONFIG.SECRET_RULES.extraRulesPaths) {
+    const filePath = path.resolve(SERVER_ROOT, extraPath);
+    try {
+      files.push(readRulesFile(filePath));
+    } catch (error) {
+      logger.error(`Ignoring extra secret rules ${error.message}`);
+    }
+  }
+
+  const rules = new Map();
+  for (const file of files) {
+    for (const rule of file.rules) {
+      rules.delete(rule.id);
+      if (!rule.disabled) rules.set(rule.id, rule);
+    }
+  }
+
+  // Specific detectors run first so generic ones can step aside on lines they already matched
+  const ordered = [...rules.values()].sort((a, b) => Number(a.generic) - Number(b.generic));
+  return {
+    version: files.map((file) => `${file.name}@${file.version}`).join('+'),
+    rules: ordered,
+  };
+}
+
+/**
+ * Every match of a rule on a line that passes the rule's validator. The value
+ * is the rule's `(?<secret>...)` group when it has one, otherwise the whole match.
+ * @returns {{value: string, index: number}[]}
+ */
+export function findRuleMatches(rule, line) {
+  const matches = [];
+  for (const match of line.matchAll(rule.regex)) {
+    if (rule.validate && !rule.validate(match[0])) continue;
+    matches.push(match.groups?.secret
+      ? { value: match.groups.secret, index: match.indices.groups.secret[0] }
+      : { value: match[0], index: match.index });
+  }
+  return matches;
+}
@@ -0,0 +1,169 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { CONFIG } from '../lib/config.js';
+
+const logger = {
+  debug: (msg, data) => process.env.DEBUG && console.debug(`[Workspaces] ${msg}`, data ?? ''),
+  info: (msg, data) => console.info(`[Workspaces] ${msg}`, data ?? ''),
+  warn: (msg, data) => console.warn(`[Workspaces] ${msg}`, data ?? ''),
+};
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Minimal reader for the `packages:` list in pnpm-workspace.yaml
+function readPnpmWorkspacePatterns(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return [];
+  }
+
+  const patterns = [];
+  let inPackages = false;
+  for (const line of content.split('\n')) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (inPackages) {
+      const item = line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+      if (item) {
+        patterns.push(item[1]);
+      } else if (/^\S/.test(line)) {
+        break;
+      }
+    }
+  }
+  return patterns;
+}
+
+function globToRegex(pattern) {
+  const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  const source = normalized
+    .split('/')
+    .map((segment) => {
+      if (segment === '**') return '.*';
+      return segment
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]');
+    })
+    .join('/');
+  return new RegExp(`^${source.replace(/\/\.\*$/, '(/.*)?')}$`);
+}
+
+// Directories (relative to rootDir) that hold a package.json, excluding ignored dirs
+function listPackageDirs(rootDir) {
+  const ignoredNames = CONFIG.FILES_TO_IGNORE.map((ignored) => ignored.replace(/\/$/, ''));
+  const dirs = [];
+  const stack = [''];
+
+  while (stack.length > 0) {
+    const relativeDir = stack.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(rootDir, relativeDir), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory() && !ignoredNames.includes(entry.name)) {
+        const child = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (fs.existsSync(path.join(rootDir, child, 'package.json'))) {
+          dirs.push(child);
+        }
+        stack.push(child);
+      }
+    }
+  }
+
+  return dirs.sort();
+}
+
+export function detectPackageManager(rootDir) {
+  if (fs.existsSync(path.join(rootDir, 'pnpm-lock.yaml')) || fs.existsSync(path.join(rootDir, 'pnpm-workspace.yaml'))) {
+    return 'pnpm';
+  }
+  if (fs.existsSync(path.join(rootDir, 'yarn.lock'))) {
+    return 'yarn';
+  }
+  return 'npm';
+}
+
+/**
+ * Detects npm/yarn workspaces (package.json "workspaces") and pnpm workspaces
+ * (pnpm-workspace.yaml). The root package is always listed first as '.'.
+ * @returns {{manager: 'npm' | 'yarn' | 'pnpm', packages: {name: string, dir: string}[]}}
+ */
+export function detectWorkspaces(rootDir) {
+  const manager = detectPackageManager(rootDir);
+  const rootPackage = readJson(path.join(rootDir, 'package.json'));
+  const packages = [];
+
+  if (rootPackage) {
+    packages.push({ name: rootPackage.name || '(root)', dir: '.' });
+  }
+
+  let patterns = [];
+  if (manager === 'pnpm') {
+    patterns = readPnpmWorkspacePatterns(path.join(rootDir, 'pnpm-workspace.yaml'));
+  }
+  if (patterns.length === 0 && rootPackage) {
+    const declared = rootPackage.workspaces;
+    patterns = Array.isArray(declared) ? declared : declared?.packages || [];
+  }
+
+  if (patterns.length > 0) {
+    const include = patterns.filter((p) => !p.startsWith('!')).map(globToRegex);
+    const exclude = patterns.filter((p) => p.startsWith('!')).map((p) => globToRegex(p.slice(1)));
+
+    for (const dir of listPackageDirs(rootDir)) {
+      if (include.some((re) => re.test(dir)) && !exclude.some((re) => re.test(dir))) {
+        const pkg = readJson(path.join(rootDir, dir, 'package.json'));
+        packages.push({ name: pkg?.name || dir, dir });
+      }
+    }
+  }
+
+  logger.debug(`Detected ${manager} project with ${packages.length} package(s)`);
+  return { manager, packages };
+}
+
+// The directory to treat as the project: repo root, or the scanned subpath if only it has a package.json
+export function findProjectRoot(tempDir, subPath) {
+  if (fs.existsSync(path.join(tempDir, 'package.json'))) {
+    return '.';
+  }
+  if (subPath && fs.existsSync(path.join(tempDir, subPath, 'package.json'))) {
+    return subPath;
+  }
+  return null;
+}
+
+/**
+ * Keeps the workspace packages that live inside a scanned subpath. When the
+ * subpath is inside a single package (e.g. packages/web/src), that package is kept.
+ */
+export function filterWorkspacesToPath(packages, subPath) {
+  if (!subPath) {
+    return packages;
+  }
+
+  const inside = packages.filter((pkg) => pkg.dir === subPath || pkg.dir.startsWith(`${subPath}/`));
+  if (inside.length > 0) {
+    return inside;
+  }
+
+  const enclosing = packages
+    .filter((pkg) => pkg.dir === '.' || subPath.startsWith(`${pkg.dir}/`))
+    .sort((a, b) => b.dir.length - a.dir.length);
+  return enclosing.slice(0, 1);
+}